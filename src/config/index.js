@@ -18,16 +18,83 @@ export const config = {
 
   models: {
     default: process.env.DEFAULT_MODEL || 'gpt-4.1-mini-2025-04-14',
+    // Unknown model ids: 'strict' rejects them, 'fuzzy' also tries alias/prefix
+    // matches first, 'fallback' runs them on the default model
+    resolution: process.env.MODEL_RESOLUTION_POLICY || 'fuzzy',
     enableStreaming: process.env.ENABLE_STREAMING === 'true',
     maxTokens: parseInt(process.env.MAX_TOKENS) || 4096,
     temperature: parseFloat(process.env.DEFAULT_TEMPERATURE) || 0.7
   },
 
   auth: {
-    mode: process.env.API_KEY_MODE || 'passthrough', // 'passthrough' or 'override'
+    // 'passthrough', 'override' or 'virtual' (only proxy-issued virtual keys are accepted).
+    // Virtual keys work in every mode and are resolved to their upstream key.
+    mode: process.env.API_KEY_MODE || 'passthrough',
     overrideKey: process.env.OVERRIDE_API_KEY || null
   },
 
+  // Store of proxy-issued virtual API keys, managed through /admin/keys
+  virtualKeys: {
+    path: process.env.VIRTUAL_KEYS_PATH || 'data/virtual-keys.json'
+  },
+
+  // Per-key token and estimated-cost (USD) budgets. The defaults are hard limits
+  // for keys without a budget of their own (unset means unlimited); soft limits
+  // at softLimitRatio of them add an X-Budget-Warning header.
+  budgets: {
+    // Spending is only kept in memory under test
+    path: process.env.BUDGETS_PATH || (process.env.NODE_ENV === 'test' ? null : 'data/budgets.json'),
+    softLimitRatio: parseFloat(process.env.BUDGET_SOFT_LIMIT_RATIO) || 0.8,
+    defaults: {
+      daily_tokens: parseInt(process.env.BUDGET_DAILY_TOKENS) || null,
+      monthly_tokens: parseInt(process.env.BUDGET_MONTHLY_TOKENS) || null,
+      daily_cost: parseFloat(process.env.BUDGET_DAILY_COST) || null,
+      monthly_cost: parseFloat(process.env.BUDGET_MONTHLY_COST) || null
+    }
+  },
+
+  // Where rate limit counters, health data and other shared counters are kept:
+  // 'memory' (per instance) or 'redis', shared by every instance using the same Redis
+  store: {
+    type: process.env.STATE_STORE || 'memory',
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    prefix: process.env.STATE_STORE_PREFIX || 'qolaba-proxy:',
+    connectTimeout: parseInt(process.env.REDIS_CONNECT_TIMEOUT) || 5000,
+    maxRetryDelay: parseInt(process.env.REDIS_MAX_RETRY_DELAY) || 30000,
+    commandTimeout: parseInt(process.env.REDIS_COMMAND_TIMEOUT) || 2000
+  },
+
+  // Per-key limits per minute on requests, tokens (charged from each completion's
+  // usage) and streaming requests, counted over a sliding one-minute window.
+  // 0 means unlimited. Virtual keys can have limits of their own or a named tier.
+  rateLimits: {
+    windowMs: 60000,
+    default: {
+      requests_per_minute: parseInt(process.env.RATE_LIMIT_RPM ?? 100) || null,
+      tokens_per_minute: parseInt(process.env.RATE_LIMIT_TPM) || null,
+      streams_per_minute: parseInt(process.env.RATE_LIMIT_STREAMS_PER_MINUTE ?? 50) || null
+    },
+    // Named tiers as JSON, e.g. {"free": {"requests_per_minute": 20, "tokens_per_minute": 40000}}
+    tiers: process.env.RATE_LIMIT_TIERS || null,
+    // Requests per minute per client IP on the admin, models and health routes
+    ipRequestsPerMinute: parseInt(process.env.RATE_LIMIT_IP_RPM ?? 100) || null,
+    // When the state store fails: let requests through unlimited, or refuse them with 503
+    failOpen: process.env.RATE_LIMIT_FAIL_OPEN !== 'false'
+  },
+
+  // Price table (USD per 1K tokens for text models), see config/pricing.yaml
+  pricing: {
+    path: process.env.PRICING_PATH || 'config/pricing.yaml'
+  },
+
+  // Ledger of the tokens and estimated cost of every completion, per day, key
+  // and model, served by /v1/models/usage and /admin/usage
+  usage: {
+    // Usage is only kept in memory under test
+    path: process.env.USAGE_LEDGER_PATH || (process.env.NODE_ENV === 'test' ? null : 'data/usage.json'),
+    retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS) || 90
+  },
+
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     enabled: process.env.ENABLE_VERBOSE_LOGGING === 'true',
@@ -55,7 +122,8 @@ export const config = {
     keepAlive: process.env.KEEP_ALIVE !== 'false',
     keepAliveMsecs: parseInt(process.env.KEEP_ALIVE_MSECS) || 30000,
     maxCachedSessions: parseInt(process.env.MAX_CACHED_SESSIONS) || 100,
-    timeout: parseInt(process.env.CONNECTION_POOL_TIMEOUT) || 60000
+    timeout: parseInt(process.env.CONNECTION_POOL_TIMEOUT) || 60000,
+    maxPools: parseInt(process.env.MAX_CONNECTION_POOLS) || 100 // One pool per API key; idle ones beyond this are closed
   },
 
   monitoring: {
@@ -64,169 +132,90 @@ export const config = {
     debugEndpoints: process.env.ENABLE_DEBUG_ENDPOINTS === 'true'
   },
 
-  // OpenAI to Qolaba model mappings (based on actual Qolaba API)
-  modelMappings: {
-    // OpenAI models -> Qolaba models
-    'gpt-4.1-mini-2025-04-14': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-mini-2025-04-14',
-      provider: 'OpenAI'
-    },
-    'gpt-4.1-2025-04-14': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-2025-04-14',
-      provider: 'OpenAI'
-    },
-    'gpt-4o-mini': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4o-mini',
-      provider: 'OpenAI'
-    },
-    'gpt-4o': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-2025-04-14', // Map to available model
-      provider: 'OpenAI'
-    },
-    'gpt-3.5-turbo': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-mini-2025-04-14', // Map to available model
-      provider: 'OpenAI'
-    },
-    
-    // Claude models
-    'claude-3-5-sonnet-20241022': {
-      llm: 'ClaudeAI',
-      llm_model: 'claude-3-7-sonnet-latest',
-      provider: 'ClaudeAI'
-    },
-    'claude-3-opus-20240229': {
-      llm: 'ClaudeAI',
-      llm_model: 'claude-opus-4-20250514',
-      provider: 'ClaudeAI'
-    },
-    'claude-sonnet-4-20250514': {
-      llm: 'ClaudeAI',
-      llm_model: 'claude-sonnet-4-20250514',
-      provider: 'ClaudeAI'
-    },
-    
-    // Gemini models
-    'gemini-1.5-pro': {
-      llm: 'GeminiAI',
-      llm_model: 'gemini-2.5-pro',
-      provider: 'GeminiAI'
-    },
-    'gemini-1.5-flash': {
-      llm: 'GeminiAI',
-      llm_model: 'gemini-2.5-flash',
-      provider: 'GeminiAI'
-    },
-    'gemini-2.5-flash': {
-      llm: 'GeminiAI',
-      llm_model: 'gemini-2.5-flash',
-      provider: 'GeminiAI'
-    },
-    'gemini-2.5-pro': {
-      llm: 'GeminiAI',
-      llm_model: 'gemini-2.5-pro',
-      provider: 'GeminiAI'
-    },
-    
-    // OpenRouterAI models
-    'grok-3-beta': {
-      llm: 'OpenRouterAI',
-      llm_model: 'x-ai/grok-3-beta',
-      provider: 'OpenRouterAI'
-    },
-    'grok-3-mini-beta': {
-      llm: 'OpenRouterAI',
-      llm_model: 'x-ai/grok-3-mini-beta',
-      provider: 'OpenRouterAI'
-    },
-    'x-ai/grok-3-beta': {
-      llm: 'OpenRouterAI',
-      llm_model: 'x-ai/grok-3-beta',
-      provider: 'OpenRouterAI'
-    },
-    'x-ai/grok-3-mini-beta': {
-      llm: 'OpenRouterAI',
-      llm_model: 'x-ai/grok-3-mini-beta',
-      provider: 'OpenRouterAI'
-    },
-    'perplexity-sonar-pro': {
-      llm: 'OpenRouterAI',
-      llm_model: 'perplexity/sonar-pro',
-      provider: 'OpenRouterAI'
-    },
-    'perplexity/sonar-pro': {
-      llm: 'OpenRouterAI',
-      llm_model: 'perplexity/sonar-pro',
-      provider: 'OpenRouterAI'
-    },
-    'perplexity/sonar-reasoning-pro': {
-      llm: 'OpenRouterAI',
-      llm_model: 'perplexity/sonar-reasoning-pro',
-      provider: 'OpenRouterAI'
-    },
-    'perplexity/sonar-reasoning': {
-      llm: 'OpenRouterAI',
-      llm_model: 'perplexity/sonar-reasoning',
-      provider: 'OpenRouterAI'
-    },
-    'perplexity/sonar-deep-research': {
-      llm: 'OpenRouterAI',
-      llm_model: 'perplexity/sonar-deep-research',
-      provider: 'OpenRouterAI'
-    },
-    'deepseek-chat': {
-      llm: 'OpenRouterAI',
-      llm_model: 'deepseek/deepseek-chat',
-      provider: 'OpenRouterAI'
-    },
-    'deepseek/deepseek-chat': {
-      llm: 'OpenRouterAI',
-      llm_model: 'deepseek/deepseek-chat',
-      provider: 'OpenRouterAI'
-    },
-    'deepseek-r1': {
-      llm: 'OpenRouterAI',
-      llm_model: 'deepseek/deepseek-r1',
-      provider: 'OpenRouterAI'
-    },
-    'deepseek/deepseek-r1': {
-      llm: 'OpenRouterAI',
-      llm_model: 'deepseek/deepseek-r1',
-      provider: 'OpenRouterAI'
-    },
-    
-    // Additional OpenAI models that Kilo Code might request
-    'o3-mini': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-mini-2025-04-14',
-      provider: 'OpenAI'
-    },
-    'o1': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-2025-04-14',
-      provider: 'OpenAI'
-    },
-    'o3': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-2025-04-14',
-      provider: 'OpenAI'
-    },
-    'o4-mini-2025-04-16': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-mini-2025-04-14',
-      provider: 'OpenAI'
+  // How system/developer messages are passed to Qolaba:
+  // 'concatenate' merges all of them into system_msg, 'inline' keeps the ones
+  // after the first conversation turn in place as notes
+  systemMessages: {
+    policy: process.env.SYSTEM_MESSAGE_POLICY || 'concatenate'
+  },
+
+  // Limits for inline (base64) message content
+  content: {
+    maxImageBytes: parseInt(process.env.MAX_IMAGE_BYTES) || 5242880, // 5MB
+    maxFileBytes: parseInt(process.env.MAX_FILE_BYTES) || 1048576 // 1MB
+  },
+
+  // response_format json_object / json_schema enforcement
+  structuredOutputs: {
+    maxRetries: parseInt(process.env.STRUCTURED_OUTPUT_MAX_RETRIES) || 2
+  },
+
+  // Local store for /v1/responses, used for previous_response_id chaining
+  responses: {
+    storeTtl: parseInt(process.env.RESPONSES_STORE_TTL) || 3600000, // 1 hour
+    storeMaxEntries: parseInt(process.env.RESPONSES_STORE_MAX_ENTRIES) || 1000
+  },
+
+  // Model catalog (models, aliases, context windows), see config/models.yaml.
+  // The mappings are read through the registry in services/modelRegistry.js,
+  // which also exposes them as config.modelMappings.
+  modelCatalog: {
+    path: process.env.MODEL_CATALOG_PATH || 'config/models.yaml',
+    discoveryEnabled: process.env.MODEL_DISCOVERY_ENABLED === 'true', // Refresh the catalog from Qolaba
+    discoveryPath: process.env.MODEL_DISCOVERY_PATH || '/get-models',
+    discoveryTtl: parseInt(process.env.MODEL_DISCOVERY_TTL) || 3600000, // 1 hour
+    watch: process.env.MODEL_CATALOG_WATCH !== 'false', // Reload the file when it changes
+    watchInterval: parseInt(process.env.MODEL_CATALOG_WATCH_INTERVAL) || 2000
+  },
+
+  // Retry policies for failed Qolaba calls (network errors, timeouts, 502/503/504).
+  // Streams are only retried until their first chunk has been passed on.
+  retry: {
+    chat: {
+      maxRetries: parseInt(process.env.RETRY_MAX_RETRIES ?? 2),
+      initialDelay: parseInt(process.env.RETRY_INITIAL_DELAY) || 500,
+      maxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 8000,
+      backoffFactor: parseFloat(process.env.RETRY_BACKOFF_FACTOR) || 2,
+      maxRetryAfter: parseInt(process.env.RETRY_MAX_RETRY_AFTER) || 30000 // Upstream Retry-After waits longer than this fail instead
     },
-    
-    // Default fallback
-    'default': {
-      llm: 'OpenAI',
-      llm_model: 'gpt-4.1-mini-2025-04-14',
-      provider: 'OpenAI'
+    stream: {
+      maxRetries: parseInt(process.env.STREAM_RETRY_MAX_RETRIES ?? 1),
+      initialDelay: parseInt(process.env.RETRY_INITIAL_DELAY) || 500,
+      maxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 8000,
+      backoffFactor: parseFloat(process.env.RETRY_BACKOFF_FACTOR) || 2,
+      maxRetryAfter: parseInt(process.env.RETRY_MAX_RETRY_AFTER) || 30000
     }
+  },
+
+  // Circuit breakers around Qolaba calls, one per llm provider
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+    resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 60000, // How long an open breaker fails fast
+    successThreshold: parseInt(process.env.CIRCUIT_BREAKER_SUCCESS_THRESHOLD) || 3 // Trial successes that close it again
+  },
+
+  // Admin endpoints (/admin) are disabled unless a key is set
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY || null
+  },
+
+  // Local token counts are o200k_base (OpenAI) counts scaled by these ratios to
+  // approximate each provider family's tokenizer, keyed by provider
+  tokenizerRatios: {
+    'OpenAI': 1,
+    'ClaudeAI': 1.2,
+    'GeminiAI': 1.05,
+    'OpenRouterAI': 1.1,
+    'default': 1.1
+  },
+
+  // History trimming when a request does not fit the model's context window
+  context: {
+    strategy: process.env.CONTEXT_TRIM_STRATEGY || 'keep_pinned', // 'none', 'drop_oldest', 'keep_pinned' or 'summarize'
+    maxTokens: parseInt(process.env.MAX_CONTEXT_TOKENS) || null, // Caps every model's window when set
+    reserveTokens: parseInt(process.env.CONTEXT_RESERVE_TOKENS) || 4096, // Room left for the reply when max_tokens is not sent
+    summaryModel: process.env.CONTEXT_SUMMARY_MODEL || 'gpt-4.1-mini-2025-04-14',
+    summaryMaxTokens: parseInt(process.env.CONTEXT_SUMMARY_MAX_TOKENS) || 1024
   }
 }
 
@@ -242,8 +231,28 @@ export const validateConfig = () => {
     errors.push('PORT must be between 1 and 65535')
   }
   
-  if (!['passthrough', 'override'].includes(config.auth.mode)) {
-    errors.push('API_KEY_MODE must be either "passthrough" or "override"')
+  if (!['passthrough', 'override', 'virtual'].includes(config.auth.mode)) {
+    errors.push('API_KEY_MODE must be one of "passthrough", "override" or "virtual"')
+  }
+  
+  if (!['concatenate', 'inline'].includes(config.systemMessages.policy)) {
+    errors.push('SYSTEM_MESSAGE_POLICY must be either "concatenate" or "inline"')
+  }
+  
+  if (!['strict', 'fuzzy', 'fallback'].includes(config.models.resolution)) {
+    errors.push('MODEL_RESOLUTION_POLICY must be one of "strict", "fuzzy" or "fallback"')
+  }
+  
+  if (!['none', 'drop_oldest', 'keep_pinned', 'summarize'].includes(config.context.strategy)) {
+    errors.push('CONTEXT_TRIM_STRATEGY must be one of "none", "drop_oldest", "keep_pinned" or "summarize"')
+  }
+  
+  if (![config.retry.chat.maxRetries, config.retry.stream.maxRetries].every(value => Number.isInteger(value) && value >= 0)) {
+    errors.push('RETRY_MAX_RETRIES and STREAM_RETRY_MAX_RETRIES must be non-negative integers')
+  }
+  
+  if (!['memory', 'redis'].includes(config.store.type)) {
+    errors.push('STATE_STORE must be either "memory" or "redis"')
   }
   
   if (config.auth.mode === 'override' && !config.auth.overrideKey) {
@@ -9,23 +9,31 @@ import crypto from 'crypto'
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js'
 import { requestLogger } from './middleware/requestLogger.js'
-import { rateLimit } from './middleware/rateLimit.js'
 import { createUnifiedRequestTimeout } from './utils/unifiedTimeoutManager.js'
 import { concurrencyMonitor } from './utils/concurrencyMonitor.js'
 import { handleJsonParsingError } from './middleware/jsonValidator.js'
 import { healthMonitor } from './middleware/healthMonitor.js'
+import { ipRateLimit } from './middleware/rateLimit.js'
 import { createResponseManager } from './utils/responseManager.js'
 
 // Import routes
 import chatRoutes from './routes/chat.js'
+import messagesRoutes from './routes/messages.js'
+import completionsRoutes from './routes/completions.js'
+import responsesRoutes from './routes/responses.js'
 import modelsRoutes from './routes/models.js'
 import healthRoutes from './routes/health.js'
 import connectionHealthRoutes from './routes/connectionHealth.js'
 import concurrencyRoutes from './routes/concurrency.js'
+import adminRoutes from './routes/admin.js'
 
 // Import services
 import { logger } from './services/logger.js'
 import { config } from './config/index.js'
+import { modelRegistry } from './services/modelRegistry.js'
+import { connectionPool } from './services/connectionPool.js'
+import { budgetTracker } from './services/budgets.js'
+import { usageLedger } from './services/usageLedger.js'
 
 // Load environment variables
 dotenv.config()
@@ -70,7 +78,9 @@ app.use(cors({
     'Origin',
     'Referer',
     'User-Agent',
-    'X-Requested-With'
+    'X-Requested-With',
+    'anthropic-version',
+    'anthropic-beta'
   ],
   // Expose headers that clients might need to read
   exposedHeaders: [
@@ -78,6 +88,16 @@ app.use(cors({
     'X-RateLimit-Limit',
     'X-RateLimit-Remaining',
     'X-RateLimit-Reset',
+    'x-ratelimit-limit-requests',
+    'x-ratelimit-remaining-requests',
+    'x-ratelimit-reset-requests',
+    'x-ratelimit-limit-tokens',
+    'x-ratelimit-remaining-tokens',
+    'x-ratelimit-reset-tokens',
+    'Retry-After',
+    'Warning',
+    'X-Qolaba-Context-Trim',
+    'X-Qolaba-Model',
     'Content-Type',
     'Content-Length'
   ],
@@ -127,16 +147,21 @@ app.use(createUnifiedRequestTimeout({
   inactivityTimeout: 120000  // 2 minutes inactivity timeout (increased from 1 min)
 }))
 
-// Rate limiting
-app.use(rateLimit)
+// Rate limiting on the completion routes is per key, so it runs there after
+// authentication; the other routes, admin key checks included, are limited per client IP
+app.use(['/health', '/v1/health', '/concurrency', '/admin', '/v1/models'], ipRateLimit)
 
 // Health check endpoints (before other routes)
 app.use('/health', healthRoutes)
 app.use('/v1/health', connectionHealthRoutes)
 app.use('/concurrency', concurrencyRoutes)
+app.use('/admin', adminRoutes)
 
 // API routes
 app.use('/v1/chat/completions', chatRoutes)
+app.use('/v1/messages', messagesRoutes)
+app.use('/v1/completions', completionsRoutes)
+app.use('/v1/responses', responsesRoutes)
 app.use('/v1/models', modelsRoutes)
 
 // OpenAI-compatible root routes
@@ -158,6 +183,9 @@ app.get('/', (req, res) => {
     status: 'operational',
     endpoints: {
       chat: '/v1/chat/completions',
+      messages: '/v1/messages',
+      completions: '/v1/completions',
+      responses: '/v1/responses',
       models: '/v1/models',
       health: '/health'
     }
@@ -184,6 +212,9 @@ const gracefulShutdown = (signal) => {
   
   server.close(() => {
     logger.info('HTTP server closed')
+    connectionPool.destroy()
+    budgetTracker.flush()
+    usageLedger.flush()
     process.exit(0)
   })
 
@@ -200,11 +231,18 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'))
 // Start server
 const startServer = async () => {
   try {
+    if (config.modelCatalog.watch) {
+      modelRegistry.watch()
+    }
+
     server.listen(config.server.port, config.server.host, () => {
       logger.info(`🚀 Qoloba Proxy Server started successfully`)
       logger.info(`📍 Server running on http://${config.server.host}:${config.server.port}`)
       logger.info(`🔗 OpenAI-compatible endpoints available at:`)
       logger.info(`   • POST /v1/chat/completions`)
+      logger.info(`   • POST /v1/messages`)
+      logger.info(`   • POST /v1/completions`)
+      logger.info(`   • POST /v1/responses`)
       logger.info(`   • GET  /v1/models`)
       logger.info(`   • GET  /health`)
       logger.info(`🔧 Environment: ${config.server.nodeEnv}`)
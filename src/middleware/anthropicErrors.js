@@ -0,0 +1,66 @@
+// Anthropic error type for each HTTP status the proxy answers with
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  408: 'timeout_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  503: 'overloaded_error',
+  504: 'timeout_error',
+  529: 'overloaded_error'
+}
+
+/**
+ * Anthropic error type for an HTTP status, e.g. 'rate_limit_error' for 429
+ */
+export function toAnthropicErrorType(statusCode) {
+  return ERROR_TYPES[statusCode] || (statusCode < 500 ? 'invalid_request_error' : 'api_error')
+}
+
+/**
+ * Anthropic error body ({ type: 'error', error: { type, message } }) for an
+ * error thrown while handling a request, e.g. for a stream's error event
+ */
+export function toAnthropicError(error) {
+  const statusCode = error.statusCode || error.response?.status || 500
+  return {
+    type: 'error',
+    error: {
+      type: toAnthropicErrorType(statusCode),
+      message: error.message
+    }
+  }
+}
+
+/**
+ * Send the error responses of a router in the Anthropic format instead of
+ * OpenAI's, whether they come from the middleware before the handler or from
+ * the central error handler
+ */
+export const anthropicErrorFormat = (req, res, next) => {
+  const json = res.json.bind(res)
+
+  res.json = (body) => {
+    if (res.statusCode < 400 || !body?.error || body.type === 'error') {
+      return json(body)
+    }
+    return json({
+      type: 'error',
+      error: {
+        type: toAnthropicErrorType(res.statusCode),
+        message: body.error.message
+      },
+      ...(body.request_id && { request_id: body.request_id })
+    })
+  }
+
+  next()
+}
+
+export default {
+  anthropicErrorFormat,
+  toAnthropicError,
+  toAnthropicErrorType
+}
@@ -1,5 +1,16 @@
+import crypto from 'crypto'
 import { config } from '../config/index.js'
 import { logger } from '../services/logger.js'
+import { virtualKeyStore, isVirtualKey } from '../services/virtualKeys.js'
+import { ModelNotAllowedError } from './errorHandler.js'
+
+// Why a virtual key was rejected, by VirtualKeyStore.resolve status
+const VIRTUAL_KEY_ERRORS = {
+  unknown: { message: 'Invalid API key', code: 'invalid_api_key' },
+  disabled: { message: 'This API key has been disabled', code: 'invalid_api_key' },
+  expired: { message: 'This API key has expired', code: 'expired_api_key' },
+  unmapped: { message: 'This API key is not mapped to an upstream API key', code: 'invalid_api_key' }
+}
 
 export const authenticate = (req, res, next) => {
   try {
@@ -31,6 +42,38 @@ export const authenticate = (req, res, next) => {
       })
     }
 
+    // Proxy-issued virtual keys stand in for the upstream key they map to
+    if (isVirtualKey(apiKey)) {
+      const { status, record } = virtualKeyStore.resolve(apiKey)
+      if (status !== 'active') {
+        // A key left without an upstream key is a proxy configuration problem, not the client's
+        logger[status === 'unmapped' ? 'error' : 'warn']('Rejected virtual API key', { requestId: req.id, keyId: record?.id, status })
+        return res.status(401).json({
+          error: {
+            ...VIRTUAL_KEY_ERRORS[status],
+            type: 'invalid_request_error'
+          }
+        })
+      }
+
+      req.apiKey = record.upstreamKey || config.auth.overrideKey
+      req.originalApiKey = apiKey
+      req.virtualKey = { id: record.id, label: record.label, models: record.models, budget: record.budget, rateLimit: record.rateLimit ?? null }
+
+      logger.debug('Virtual API key authenticated', { requestId: req.id, keyId: record.id })
+      return next()
+    }
+
+    if (config.auth.mode === 'virtual') {
+      return res.status(401).json({
+        error: {
+          message: 'Invalid API key. This proxy only accepts API keys it has issued.',
+          type: 'invalid_request_error',
+          code: 'invalid_api_key'
+        }
+      })
+    }
+
     // Handle API key based on configuration
     let finalApiKey = apiKey
 
@@ -93,7 +136,14 @@ export const optionalAuth = (req, res, next) => {
       apiKey = req.query.api_key
     }
 
-    if (apiKey) {
+    if (apiKey && isVirtualKey(apiKey)) {
+      const { status, record } = virtualKeyStore.resolve(apiKey)
+      if (status === 'active') {
+        req.apiKey = record.upstreamKey || config.auth.overrideKey
+        req.originalApiKey = apiKey
+        req.virtualKey = { id: record.id, label: record.label, models: record.models, budget: record.budget, rateLimit: record.rateLimit ?? null }
+      }
+    } else if (apiKey && config.auth.mode !== 'virtual') {
       // Handle API key based on configuration
       let finalApiKey = apiKey
 
@@ -112,4 +162,57 @@ export const optionalAuth = (req, res, next) => {
   }
 }
 
-export default { authenticate, optionalAuth }
\ No newline at end of file
+/**
+ * Throw ModelNotAllowedError when the request's virtual key is limited to
+ * models that include neither the requested model id nor the model it resolved to
+ */
+export const assertModelAllowed = (req, modelConfig) => {
+  const models = req.virtualKey?.models
+  if (!models || models.length === 0) {
+    return
+  }
+
+  const candidates = [req.body?.model, modelConfig.id, modelConfig.llm_model]
+  if (!candidates.some(model => model && models.includes(model))) {
+    throw new ModelNotAllowedError(req.body?.model || modelConfig.llm_model)
+  }
+}
+
+// Admin endpoints take ADMIN_API_KEY as a Bearer token or x-admin-key header
+export const requireAdmin = (req, res, next) => {
+  if (!config.admin.apiKey) {
+    return res.status(403).json({
+      error: {
+        message: 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.',
+        type: 'invalid_request_error',
+        code: 'forbidden'
+      }
+    })
+  }
+
+  const authHeader = req.headers.authorization
+  const key = req.headers['x-admin-key'] ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null)
+
+  if (!key || !safeEqual(key, config.admin.apiKey)) {
+    logger.warn('Rejected admin request', { requestId: req.id, url: req.originalUrl })
+    return res.status(401).json({
+      error: {
+        message: 'Invalid admin key',
+        type: 'invalid_request_error',
+        code: 'invalid_api_key'
+      }
+    })
+  }
+
+  next()
+}
+
+// Constant-time comparison, so the key cannot be guessed from response times
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest()
+  const hashB = crypto.createHash('sha256').update(String(b)).digest()
+  return crypto.timingSafeEqual(hashA, hashB)
+}
+
+export default { authenticate, optionalAuth, assertModelAllowed, requireAdmin }
\ No newline at end of file
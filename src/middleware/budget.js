@@ -0,0 +1,68 @@
+import { logger } from '../services/logger.js'
+import { budgetTracker, secondsUntilReset } from '../services/budgets.js'
+import { priceTable } from '../services/pricing.js'
+import { modelRegistry } from '../services/modelRegistry.js'
+import { InsufficientQuotaError, UnpricedModelError } from './errorHandler.js'
+
+export const BUDGET_WARNING_HEADER = 'X-Budget-Warning'
+
+/**
+ * Reject requests whose key has used up a hard budget limit with 429
+ * insufficient_quota, and flag soft limits in X-Budget-Warning. Runs after
+ * authenticate; spending is charged when the request completes.
+ */
+export const enforceBudget = (req, res, next) => {
+  const { exceeded, warnings } = budgetTracker.check(req)
+
+  if (exceeded.length > 0) {
+    const limit = exceeded[0]
+    logger.warn('Budget exceeded', {
+      requestId: req.id,
+      keyId: req.virtualKey?.id,
+      budget: limit.name,
+      used: limit.used,
+      limit: limit.hard
+    })
+    return next(new InsufficientQuotaError(limit, secondsUntilReset(limit.period)))
+  }
+
+  if (warnings.length > 0) {
+    res.set(BUDGET_WARNING_HEADER, formatBudgetWarning(warnings))
+  }
+
+  next()
+}
+
+/**
+ * Throw UnpricedModelError when the request's key has a cost limit and the
+ * resolved model, or one of its fallbacks, has no price: its requests would
+ * cost nothing and never reach the limit
+ */
+export const assertModelPriced = (req, modelConfig) => {
+  if (!budgetTracker.hasCostLimit(req)) {
+    return
+  }
+
+  const unpriced = modelRegistry.getFallbackChain(modelConfig).find(model => !priceTable.hasPrice(model.llm_model))
+  if (unpriced) {
+    logger.warn('Rejected unpriced model under a cost budget', {
+      requestId: req.id,
+      keyId: req.virtualKey?.id,
+      model: unpriced.llm_model
+    })
+    throw new UnpricedModelError(unpriced.llm_model)
+  }
+}
+
+/**
+ * X-Budget-Warning value, e.g. "daily_tokens=85000/100000, monthly_cost=4.2/5"
+ */
+export function formatBudgetWarning(limits) {
+  return limits.map(limit => `${limit.name}=${round(limit.used)}/${round(limit.hard ?? limit.soft)}`).join(', ')
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000
+}
+
+export default { enforceBudget, assertModelPriced, formatBudgetWarning, BUDGET_WARNING_HEADER }
@@ -107,6 +107,48 @@ export const errorHandler = (error, req, res, next) => {
     errorType = 'api_error'
     errorCode = 'timeout'
     message = 'Request timeout'
+  } else if (error.name === 'StructuredOutputError') {
+    statusCode = 502
+    errorType = 'api_error'
+    errorCode = 'invalid_structured_output'
+    message = error.message
+  } else if (error.name === 'ContextLengthError') {
+    statusCode = 400
+    errorType = 'invalid_request_error'
+    errorCode = 'context_length_exceeded'
+    message = error.message
+  } else if (error.name === 'ModelNotFoundError') {
+    statusCode = 404
+    errorType = 'invalid_request_error'
+    errorCode = 'model_not_found'
+    message = error.message
+  } else if (error.name === 'InsufficientQuotaError') {
+    statusCode = 429
+    errorType = 'insufficient_quota'
+    errorCode = 'insufficient_quota'
+    message = error.message
+    res.set('Retry-After', String(error.retryAfter))
+  } else if (error.name === 'ModelNotAllowedError') {
+    statusCode = 403
+    errorType = 'invalid_request_error'
+    errorCode = 'model_not_allowed'
+    message = error.message
+  } else if (error.name === 'UnpricedModelError') {
+    statusCode = 403
+    errorType = 'invalid_request_error'
+    errorCode = 'model_not_priced'
+    message = error.message
+  } else if (error.name === 'ProviderUnavailableError') {
+    statusCode = 503
+    errorType = 'api_error'
+    errorCode = 'provider_unavailable'
+    message = error.message
+    res.set('Retry-After', String(error.retryAfter))
+  } else if (error.name === 'RequestCancelledError') {
+    statusCode = 499
+    errorType = 'invalid_request_error'
+    errorCode = 'request_cancelled'
+    message = error.message
   } else if (error.response) {
     // Handle axios errors (from Qolaba API)
     statusCode = error.response.status || 502
@@ -157,6 +199,8 @@ export const errorHandler = (error, req, res, next) => {
       message,
       type: errorType,
       code: errorCode,
+      ...(error.param && { param: error.param }),
+      ...(error.suggestions && { suggestions: error.suggestions }),
       ...(process.env.NODE_ENV !== 'production' && {
         stack: error.stack,
         details: error.details || error.message
@@ -277,6 +321,81 @@ export class TimeoutError extends AppError {
   }
 }
 
+// Model output that still does not match response_format after retries
+export class StructuredOutputError extends AppError {
+  constructor(message = 'Model output did not match response_format') {
+    super(message, 502, 'invalid_structured_output')
+    this.name = 'StructuredOutputError'
+    this.code = 'INVALID_STRUCTURED_OUTPUT'
+  }
+}
+
+// Request that cannot be trimmed to fit the model's context window
+export class ContextLengthError extends AppError {
+  constructor(message = 'Request exceeds the model context window') {
+    super(message, 400, 'context_length_exceeded')
+    this.name = 'ContextLengthError'
+  }
+}
+
+// Model id that does not resolve under the model resolution policy
+export class ModelNotFoundError extends AppError {
+  constructor(model, suggestions = []) {
+    const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.map(id => `'${id}'`).join(', ')}?` : ''
+    super(`The model '${model}' does not exist or is not routable.${hint}`, 404, 'model_not_found')
+    this.name = 'ModelNotFoundError'
+    this.param = 'model'
+    this.suggestions = suggestions
+  }
+}
+
+// API key that has used up a hard budget limit ({ name, period, metric, used, hard })
+export class InsufficientQuotaError extends AppError {
+  constructor(limit, retryAfter) {
+    const used = limit.metric === 'cost' ? `$${limit.used.toFixed(4)} of $${limit.hard}` : `${limit.used} of ${limit.hard} tokens`
+    super(`You exceeded your ${limit.period} ${limit.metric} budget (${used}). It resets in ${retryAfter} seconds.`, 429, 'insufficient_quota')
+    this.name = 'InsufficientQuotaError'
+    this.limit = limit
+    this.retryAfter = retryAfter
+  }
+}
+
+// Model outside the allowed models of a virtual API key
+export class ModelNotAllowedError extends AppError {
+  constructor(model) {
+    super(`This API key is not allowed to use the model '${model}'.`, 403, 'model_not_allowed')
+    this.name = 'ModelNotAllowedError'
+    this.param = 'model'
+  }
+}
+
+// Model without a price, requested with a key that has a cost budget
+export class UnpricedModelError extends AppError {
+  constructor(model) {
+    super(`The model '${model}' has no price, so it cannot be used with an API key that has a cost budget.`, 403, 'model_not_priced')
+    this.name = 'UnpricedModelError'
+    this.param = 'model'
+  }
+}
+
+// Upstream provider whose circuit breaker is open
+export class ProviderUnavailableError extends AppError {
+  constructor(provider, retryAfter) {
+    super(`The ${provider} provider is temporarily unavailable after repeated failures. Retry after ${retryAfter} seconds.`, 503, 'provider_unavailable')
+    this.name = 'ProviderUnavailableError'
+    this.provider = provider
+    this.retryAfter = retryAfter
+  }
+}
+
+// Upstream call abandoned because the client went away
+export class RequestCancelledError extends AppError {
+  constructor(message = 'Request cancelled by the client') {
+    super(message, 499, 'request_cancelled')
+    this.name = 'RequestCancelledError'
+  }
+}
+
 export default {
   errorHandler,
   AppError,
@@ -285,5 +404,13 @@ export default {
   ForbiddenError,
   NotFoundError,
   RateLimitError,
-  TimeoutError
+  TimeoutError,
+  StructuredOutputError,
+  ContextLengthError,
+  ModelNotFoundError,
+  InsufficientQuotaError,
+  ModelNotAllowedError,
+  UnpricedModelError,
+  ProviderUnavailableError,
+  RequestCancelledError
 }
\ No newline at end of file
@@ -1,109 +1,63 @@
 import { logger } from '../services/logger.js'
-import { defaultCircuitBreaker } from '../utils/retryHelper.js'
+import { stateStore } from '../services/stateStore.js'
+import { providerCircuitBreakers } from '../utils/retryHelper.js'
+
+// Request counters, kept in the state store so instances sharing it report the same numbers
+const COUNTERS = [
+  'total',
+  'successful',
+  'failed',
+  'timeouts',
+  'streaming.total',
+  'streaming.successful',
+  'streaming.clientDisconnects',
+  'streaming.errors'
+]
 
 /**
  * Health monitoring middleware for tracking system performance and issues
  */
 export const healthMonitor = (options = {}) => {
-  const healthData = {
-    startTime: Date.now(),
-    requests: {
-      total: 0,
-      successful: 0,
-      failed: 0,
-      timeouts: 0,
-      streaming: {
-        total: 0,
-        successful: 0,
-        clientDisconnects: 0,
-        errors: 0
-      }
-    },
-    responseTimes: [],
-    errors: [],
-    circuitBreakerState: defaultCircuitBreaker.getState(),
-    lastUpdate: Date.now()
-  }
-
   const maxHistorySize = options.maxHistorySize || 1000
   const alertThresholds = {
     errorRate: options.errorRate || 0.1, // 10%
     avgResponseTime: options.avgResponseTime || 30000, // 30 seconds
     circuitBreakerOpen: true
   }
+  // Reading the health data back from the store is not free, so alerts are checked at most this often
+  const alertInterval = options.alertInterval ?? 5000
+  const alerts = { lastCheck: 0 }
 
   return (req, res, next) => {
     const startTime = Date.now()
     const requestId = req.id || 'unknown'
-    
-    healthData.requests.total++
-    if (req.body?.stream === true) {
-      healthData.requests.streaming.total++
+    const streaming = req.body?.stream === true
+
+    increment('total')
+    if (streaming) {
+      increment('streaming.total')
     }
 
+    const onResponseEnd = () => recordResponse(req, res, {
+      startTime,
+      requestId,
+      streaming,
+      maxHistorySize,
+      alertThresholds,
+      alertInterval,
+      alerts
+    })
+
     // Use ResponseManager to track response completion instead of overriding res.end
     if (req.responseManager) {
-      req.responseManager.onEnd(() => {
-        const duration = Date.now() - startTime
-        
-        // Update health data
-        healthData.responseTimes.push(duration)
-        if (healthData.responseTimes.length > maxHistorySize) {
-          healthData.responseTimes.shift()
-        }
-
-        // Check for successful vs failed requests
-        if (res.statusCode >= 200 && res.statusCode < 400) {
-          healthData.requests.successful++
-          if (req.body?.stream === true) {
-            healthData.requests.streaming.successful++
-          }
-        } else {
-          healthData.requests.failed++
-          if (req.body?.stream === true) {
-            healthData.requests.streaming.errors++
-          }
-          
-          // Log error for monitoring
-          healthData.errors.push({
-            timestamp: Date.now(),
-            requestId,
-            statusCode: res.statusCode,
-            duration,
-            method: req.method,
-            url: req.url
-          })
-          
-          if (healthData.errors.length > maxHistorySize) {
-            healthData.errors.shift()
-          }
-        }
-
-        // Check for timeouts
-        if (duration > 30000) {
-          healthData.requests.timeouts++
-          logger.warn('Slow request detected', {
-            requestId,
-            method: req.method,
-            url: req.url,
-            duration: `${duration}ms`,
-            statusCode: res.statusCode
-          })
-        }
-
-        healthData.lastUpdate = Date.now()
-        healthData.circuitBreakerState = defaultCircuitBreaker.getState()
-
-        // Check for alerts
-        checkAlerts(healthData, alertThresholds, requestId)
-      })
+      req.responseManager.onEnd(onResponseEnd)
     } else {
       // CRITICAL FIX: Fallback to override res.end if ResponseManager not available
       // But only if response hasn't already been ended
       logger.warn('ResponseManager not available in health monitor, using fallback', {
         requestId
       })
-      
+
       const originalEnd = res.end
       res.end = function(chunk, encoding) {
         // CRITICAL FIX: Check if response has already been ended
@@ -113,59 +67,8 @@ export const healthMonitor = (options = {}) => {
           })
           return
         }
-        
-        const duration = Date.now() - startTime
-        
-        // Update health data
-        healthData.responseTimes.push(duration)
-        if (healthData.responseTimes.length > maxHistorySize) {
-          healthData.responseTimes.shift()
-        }
-
-        // Check for successful vs failed requests
-        if (res.statusCode >= 200 && res.statusCode < 400) {
-          healthData.requests.successful++
-          if (req.body?.stream === true) {
-            healthData.requests.streaming.successful++
-          }
-        } else {
-          healthData.requests.failed++
-          if (req.body?.stream === true) {
-            healthData.requests.streaming.errors++
-          }
-          
-          // Log error for monitoring
-          healthData.errors.push({
-            timestamp: Date.now(),
-            requestId,
-            statusCode: res.statusCode,
-            duration,
-            method: req.method,
-            url: req.url
-          })
-          
-          if (healthData.errors.length > maxHistorySize) {
-            healthData.errors.shift()
-          }
-        }
-
-        // Check for timeouts
-        if (duration > 30000) {
-          healthData.requests.timeouts++
-          logger.warn('Slow request detected', {
-            requestId,
-            method: req.method,
-            url: req.url,
-            duration: `${duration}ms`,
-            statusCode: res.statusCode
-          })
-        }
 
-        healthData.lastUpdate = Date.now()
-        healthData.circuitBreakerState = defaultCircuitBreaker.getState()
-
-        // Check for alerts
-        checkAlerts(healthData, alertThresholds, requestId)
+        onResponseEnd()
 
         // CRITICAL FIX: For streaming responses, don't pass parameters to end() if headers already sent
         if (res.headersSent) {
@@ -177,34 +80,130 @@ export const healthMonitor = (options = {}) => {
     }
 
     // Track client disconnects for streaming
-    if (req.body?.stream === true) {
+    if (streaming) {
       const originalClose = res.close
       res.close = function() {
-        healthData.requests.streaming.clientDisconnects++
+        increment('streaming.clientDisconnects')
         logger.info('Streaming client disconnect recorded', {
           requestId,
           method: req.method,
           url: req.url
         })
-        
+
         if (originalClose) {
           originalClose.call(this)
         }
       }
     }
 
-    // Attach health data to request for debugging
-    req.healthData = healthData
-
     next()
   }
 }
 
+/**
+ * Record a finished response in the health data, then check for alerts
+ */
+function recordResponse(req, res, { startTime, requestId, streaming, maxHistorySize, alertThresholds, alertInterval, alerts }) {
+  const duration = Date.now() - startTime
+  const updates = [stateStore.push('health:responseTimes', duration, maxHistorySize)]
+
+  // Check for successful vs failed requests
+  if (res.statusCode >= 200 && res.statusCode < 400) {
+    updates.push(increment('successful'))
+    if (streaming) {
+      updates.push(increment('streaming.successful'))
+    }
+  } else {
+    updates.push(increment('failed'))
+    if (streaming) {
+      updates.push(increment('streaming.errors'))
+    }
+
+    // Log error for monitoring
+    updates.push(stateStore.push('health:errors', {
+      timestamp: Date.now(),
+      requestId,
+      statusCode: res.statusCode,
+      duration,
+      method: req.method,
+      url: req.url
+    }, maxHistorySize))
+  }
+
+  // Check for timeouts
+  if (duration > 30000) {
+    updates.push(increment('timeouts'))
+    logger.warn('Slow request detected', {
+      requestId,
+      method: req.method,
+      url: req.url,
+      duration: `${duration}ms`,
+      statusCode: res.statusCode
+    })
+  }
+
+  updates.push(stateStore.set('health:lastUpdate', Date.now()))
+
+  const checkNow = Date.now() - alerts.lastCheck >= alertInterval
+  if (checkNow) {
+    alerts.lastCheck = Date.now()
+  }
+
+  // Check for alerts once the numbers include this response
+  Promise.all(updates)
+    .then(() => checkNow ? getHealthData() : null)
+    .then(healthData => healthData && checkAlerts(healthData, alertThresholds, requestId))
+    .catch(error => {
+      logger.error('Failed to record request health', { requestId, error: error.message })
+    })
+}
+
+// Add one to a request counter; failures are logged, never thrown
+function increment(counter) {
+  return stateStore.increment(`health:requests:${counter}`).catch(error => {
+    logger.error('Failed to update health data', { counter, error: error.message })
+  })
+}
+
+/**
+ * Health data as recorded by every instance sharing the state store
+ */
+export async function getHealthData() {
+  const [counts, responseTimes, errors, startTime, lastUpdate] = await Promise.all([
+    stateStore.getMany(COUNTERS.map(counter => `health:requests:${counter}`)),
+    stateStore.list('health:responseTimes'),
+    stateStore.list('health:errors'),
+    stateStore.get('health:startTime'),
+    stateStore.get('health:lastUpdate')
+  ])
+  const count = (counter) => Number(counts[COUNTERS.indexOf(counter)]) || 0
+
+  return {
+    startTime: startTime || Date.now(),
+    requests: {
+      total: count('total'),
+      successful: count('successful'),
+      failed: count('failed'),
+      timeouts: count('timeouts'),
+      streaming: {
+        total: count('streaming.total'),
+        successful: count('streaming.successful'),
+        clientDisconnects: count('streaming.clientDisconnects'),
+        errors: count('streaming.errors')
+      }
+    },
+    responseTimes,
+    errors,
+    circuitBreakers: providerCircuitBreakers.getStates(),
+    lastUpdate: lastUpdate || startTime || Date.now()
+  }
+}
+
 /**
  * Check for health alerts
  */
 function checkAlerts(healthData, thresholds, requestId) {
-  const errorRate = healthData.requests.total > 0 ? 
+  const errorRate = healthData.requests.total > 0 ?
     healthData.requests.failed / healthData.requests.total : 0
 
   const avgResponseTime = healthData.responseTimes.length > 0 ?
@@ -232,13 +231,18 @@ function checkAlerts(healthData, thresholds, requestId) {
     })
   }
 
-  // Circuit breaker alert
-  if (healthData.circuitBreakerState.state === 'OPEN' && thresholds.circuitBreakerOpen) {
-    logger.error('Circuit breaker is OPEN', {
-      requestId,
-      circuitBreakerState: healthData.circuitBreakerState,
-      failureCount: healthData.circuitBreakerState.failureCount
-    })
+  // Circuit breaker alert, per provider
+  if (thresholds.circuitBreakerOpen) {
+    for (const [provider, state] of Object.entries(healthData.circuitBreakers)) {
+      if (state.state === 'OPEN') {
+        logger.error('Circuit breaker is OPEN', {
+          requestId,
+          provider,
+          failureCount: state.failureCount,
+          retryAfter: state.retryAfter
+        })
+      }
+    }
   }
 
   // Streaming issues alert
@@ -270,18 +274,11 @@ function checkAlerts(healthData, thresholds, requestId) {
 /**
  * Get current health status
  */
-export const getHealthStatus = () => {
-  const healthData = global.healthData || {
-    startTime: Date.now(),
-    requests: { total: 0, successful: 0, failed: 0, timeouts: 0 },
-    responseTimes: [],
-    errors: [],
-    circuitBreakerState: defaultCircuitBreaker.getState(),
-    lastUpdate: Date.now()
-  }
+export const getHealthStatus = async () => {
+  const healthData = await getHealthData()
 
   const uptime = Date.now() - healthData.startTime
-  const errorRate = healthData.requests.total > 0 ? 
+  const errorRate = healthData.requests.total > 0 ?
     healthData.requests.failed / healthData.requests.total : 0
   const avgResponseTime = healthData.responseTimes.length > 0 ?
     healthData.responseTimes.reduce((a, b) => a + b, 0) / healthData.responseTimes.length : 0
@@ -297,13 +294,8 @@ export const getHealthStatus = () => {
       errorRate: errorRate,
       avgResponseTime: avgResponseTime
     },
-    streaming: {
-      total: healthData.requests.streaming?.total || 0,
-      successful: healthData.requests.streaming?.successful || 0,
-      errors: healthData.requests.streaming?.errors || 0,
-      clientDisconnects: healthData.requests.streaming?.clientDisconnects || 0
-    },
-    circuitBreaker: healthData.circuitBreakerState,
+    streaming: healthData.requests.streaming,
+    circuitBreakers: providerCircuitBreakers.getStates(),
     lastUpdate: healthData.lastUpdate,
     memory: process.memoryUsage(),
     pid: process.pid
@@ -311,37 +303,28 @@ export const getHealthStatus = () => {
 }
 
 /**
- * Reset health monitoring data
+ * Reset health monitoring data, for every instance sharing the state store
  */
-export const resetHealthData = () => {
-  global.healthData = {
-    startTime: Date.now(),
-    requests: {
-      total: 0,
-      successful: 0,
-      failed: 0,
-      timeouts: 0,
-      streaming: {
-        total: 0,
-        successful: 0,
-        clientDisconnects: 0,
-        errors: 0
-      }
-    },
-    responseTimes: [],
-    errors: [],
-    circuitBreakerState: defaultCircuitBreaker.getState(),
-    lastUpdate: Date.now()
-  }
-  
+export const resetHealthData = async () => {
+  await Promise.all([
+    ...COUNTERS.map(counter => stateStore.delete(`health:requests:${counter}`)),
+    stateStore.delete('health:responseTimes'),
+    stateStore.delete('health:errors'),
+    stateStore.delete('health:lastUpdate'),
+    stateStore.set('health:startTime', Date.now())
+  ])
+
   logger.info('Health monitoring data reset')
 }
 
-// Initialize global health data
-resetHealthData()
+// Start the clock with the first instance; later ones keep the shared data
+stateStore.add('health:startTime', Date.now()).catch(error => {
+  logger.error('Failed to initialize health data', { error: error.message })
+})
 
 export default {
   healthMonitor,
+  getHealthData,
   getHealthStatus,
   resetHealthData
-}
\ No newline at end of file
+}
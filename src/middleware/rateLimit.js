@@ -1,230 +1,139 @@
 import { config } from '../config/index.js'
 import { logger } from '../services/logger.js'
-import { RateLimitError } from './errorHandler.js'
+import { rateLimiter, ipRateLimiter } from '../services/rateLimiter.js'
 
-// Simple in-memory rate limiting store
-const rateLimitStore = new Map()
+// Human-readable name of each metric, for error messages
+const METRIC_NAMES = {
+  requests: 'requests per minute (RPM)',
+  tokens: 'tokens per minute (TPM)',
+  streams: 'streaming requests per minute'
+}
+
+/**
+ * Rate limit middleware counting requests against the given metrics of the
+ * key's limits ('requests', 'tokens' and/or 'streams'). Runs after
+ * authenticate. Rejected requests get 429 rate_limit_exceeded and a
+ * Retry-After header. When the state store fails or times out, requests go
+ * through unlimited with failOpen (RATE_LIMIT_FAIL_OPEN, the default), and
+ * are refused with 503 otherwise.
+ */
+export const createRateLimit = (options = {}) => {
+  const {
+    limiter = rateLimiter,
+    metrics = ['requests', 'tokens'],
+    // Requests the limit applies to; the others go straight through
+    appliesTo = () => true,
+    headers = true
+  } = options
 
-// Clean up expired entries every minute
-setInterval(() => {
-  const now = Date.now()
-  for (const [key, data] of rateLimitStore.entries()) {
-    if (data.resetTime < now) {
-      rateLimitStore.delete(key)
+  return async (req, res, next) => {
+    if (!appliesTo(req)) {
+      return next()
     }
-  }
-}, 60000)
-
-export const rateLimit = (req, res, next) => {
-  try {
-    const clientIp = req.ip || req.connection.remoteAddress || req.socket.remoteAddress
-    const apiKey = req.originalApiKey || 'anonymous'
-    
-    // Create rate limit key based on IP and API key
-    const rateLimitKey = `${clientIp}:${apiKey}`
-    
-    const now = Date.now()
-    const windowStart = now - (60 * 1000) // 1 minute window
-    
-    // Get or create rate limit data
-    let rateLimitData = rateLimitStore.get(rateLimitKey)
-    
-    if (!rateLimitData || rateLimitData.resetTime < now) {
-      rateLimitData = {
-        count: 0,
-        resetTime: now + (60 * 1000), // Reset in 1 minute
-        windowStart: now
+
+    let result
+    try {
+      result = await limiter.take(req, metrics)
+    } catch (error) {
+      const failOpen = options.failOpen ?? config.rateLimits.failOpen
+      logger.error('Rate limiting error', { requestId: req.id, error: error.message, failOpen })
+      if (failOpen) {
+        return next()
       }
-      rateLimitStore.set(rateLimitKey, rateLimitData)
+      res.set('Retry-After', '1')
+      return res.status(503).json({
+        error: {
+          message: 'Rate limits cannot be checked right now. Please try again shortly.',
+          type: 'api_error',
+          code: 'rate_limit_unavailable'
+        }
+      })
     }
-    
-    // Check if limit exceeded
-    const maxRequests = config.performance.concurrentRequests || 100
-    if (rateLimitData.count >= maxRequests) {
-      const resetTime = new Date(rateLimitData.resetTime).toISOString()
-      
+
+    if (headers) {
+      res.set(rateLimitHeaders(result))
+    }
+
+    if (!result.allowed) {
+      const { metric, limit, used, retryAfterMs } = result.limited
+      const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000))
+
       logger.warn('Rate limit exceeded', {
-        clientIp,
-        apiKey: apiKey.substring(0, 8) + '...',
-        count: rateLimitData.count,
-        limit: maxRequests,
-        resetTime,
-        requestId: req.id
-      })
-      
-      res.set({
-        'X-RateLimit-Limit': maxRequests,
-        'X-RateLimit-Remaining': 0,
-        'X-RateLimit-Reset': Math.ceil(rateLimitData.resetTime / 1000),
-        'Retry-After': Math.ceil((rateLimitData.resetTime - now) / 1000)
+        requestId: req.id,
+        key: result.key,
+        tier: result.tier,
+        metric,
+        used,
+        limit
       })
-      
-      throw new RateLimitError('Rate limit exceeded. Please try again later.')
-    }
-    
-    // Increment counter
-    rateLimitData.count++
-    
-    // Set rate limit headers
-    const remaining = Math.max(0, maxRequests - rateLimitData.count)
-    res.set({
-      'X-RateLimit-Limit': maxRequests,
-      'X-RateLimit-Remaining': remaining,
-      'X-RateLimit-Reset': Math.ceil(rateLimitData.resetTime / 1000)
-    })
-    
-    logger.debug('Rate limit check passed', {
-      clientIp,
-      apiKey: apiKey.substring(0, 8) + '...',
-      count: rateLimitData.count,
-      remaining,
-      requestId: req.id
-    })
-    
-    next()
-  } catch (error) {
-    if (error instanceof RateLimitError) {
+
+      res.set('Retry-After', String(retryAfter))
       return res.status(429).json({
         error: {
-          message: error.message,
+          message: `Rate limit reached for ${METRIC_NAMES[metric]}: limit ${limit}, used ${used}. Please try again in ${formatDuration(retryAfterMs)}.`,
           type: 'rate_limit_error',
           code: 'rate_limit_exceeded'
         }
       })
     }
-    
-    // Log other errors and proceed
-    logger.error('Rate limiting error:', error, { requestId: req.id })
+
     next()
   }
 }
 
-// Custom rate limit middleware with configurable limits
-export const createRateLimit = (options = {}) => {
-  const {
-    windowMs = 60 * 1000, // 1 minute
-    maxRequests = 100,
-    keyGenerator = (req) => req.ip,
-    skipSuccessfulRequests = false,
-    skipFailedRequests = false
-  } = options
-  
-  const store = new Map()
-  
-  // Cleanup expired entries
-  setInterval(() => {
-    const now = Date.now()
-    for (const [key, data] of store.entries()) {
-      if (data.resetTime < now) {
-        store.delete(key)
-      }
-    }
-  }, 60000)
-  
-  return (req, res, next) => {
-    try {
-      const key = keyGenerator(req)
-      const now = Date.now()
-      
-      let data = store.get(key)
-      
-      if (!data || data.resetTime < now) {
-        data = {
-          count: 0,
-          resetTime: now + windowMs,
-          windowStart: now
-        }
-        store.set(key, data)
-      }
-      
-      if (data.count >= maxRequests) {
-        const resetTime = new Date(data.resetTime).toISOString()
-        
-        res.set({
-          'X-RateLimit-Limit': maxRequests,
-          'X-RateLimit-Remaining': 0,
-          'X-RateLimit-Reset': Math.ceil(data.resetTime / 1000),
-          'Retry-After': Math.ceil((data.resetTime - now) / 1000)
-        })
-        
-        throw new RateLimitError('Rate limit exceeded')
-      }
-      
-      // Use ResponseManager to increment counter based on response
-      if (req.responseManager) {
-        req.responseManager.onEnd(() => {
-          if ((skipSuccessfulRequests && res.statusCode < 400) ||
-              (skipFailedRequests && res.statusCode >= 400)) {
-            // Don't count this request
-          } else {
-            data.count++
-          }
-          
-          // Update remaining count
-          const remaining = Math.max(0, maxRequests - data.count)
-          
-          // CRITICAL FIX: Check if headers are already sent before trying to set them
-          if (!res.headersSent) {
-            res.set('X-RateLimit-Remaining', remaining)
-          }
-        })
-      } else {
-        // Fallback to override res.end if ResponseManager not available
-        const originalEnd = res.end
-        res.end = function(chunk, encoding) {
-          if ((skipSuccessfulRequests && res.statusCode < 400) ||
-              (skipFailedRequests && res.statusCode >= 400)) {
-            // Don't count this request
-          } else {
-            data.count++
-          }
-          
-          // Update remaining count
-          const remaining = Math.max(0, maxRequests - data.count)
-          
-          // CRITICAL FIX: Check if headers are already sent before trying to set them
-          if (!res.headersSent) {
-            res.set('X-RateLimit-Remaining', remaining)
-          }
-          
-          // CRITICAL FIX: For streaming responses, don't pass parameters to end() if headers already sent
-          if (res.headersSent) {
-            originalEnd.call(this)
-          } else {
-            originalEnd.call(this, chunk, encoding)
-          }
-        }
-      }
-      
-      const remaining = Math.max(0, maxRequests - data.count)
-      res.set({
-        'X-RateLimit-Limit': maxRequests,
-        'X-RateLimit-Remaining': remaining,
-        'X-RateLimit-Reset': Math.ceil(data.resetTime / 1000)
-      })
-      
-      next()
-    } catch (error) {
-      if (error instanceof RateLimitError) {
-        return res.status(429).json({
-          error: {
-            message: error.message,
-            type: 'rate_limit_error',
-            code: 'rate_limit_exceeded'
-          }
-        })
-      }
-      
-      next(error)
+/**
+ * OpenAI-style x-ratelimit-* headers for the request and token limits, plus
+ * the older X-RateLimit-* headers for the request limit
+ */
+export function rateLimitHeaders(result, now = Date.now()) {
+  const headers = {}
+
+  for (const metric of ['requests', 'tokens']) {
+    const state = result[metric]
+    if (!state || state.limit === null) {
+      continue
     }
+    headers[`x-ratelimit-limit-${metric}`] = state.limit
+    headers[`x-ratelimit-remaining-${metric}`] = state.remaining
+    headers[`x-ratelimit-reset-${metric}`] = formatDuration(state.resetMs)
+  }
+
+  if (result.requests && result.requests.limit !== null) {
+    headers['X-RateLimit-Limit'] = result.requests.limit
+    headers['X-RateLimit-Remaining'] = result.requests.remaining
+    headers['X-RateLimit-Reset'] = Math.ceil((now + result.requests.resetMs) / 1000)
   }
+
+  return headers
 }
 
-// Stream-specific rate limiting (more restrictive)
+/**
+ * Duration the way OpenAI's reset headers give it, e.g. "20ms", "1.5s" or "6m0s"
+ */
+export function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${Math.ceil(ms)}ms`
+  }
+
+  const minutes = Math.floor(ms / 60000)
+  const seconds = Math.round((ms % 60000) / 10) / 100
+  return minutes > 0 ? `${minutes}m${seconds}s` : `${seconds}s`
+}
+
+// Requests per minute and tokens per minute of the key
+export const rateLimit = createRateLimit()
+
+// Streaming requests per minute of the key
 export const streamRateLimit = createRateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  maxRequests: 50, // Lower limit for streaming requests
-  keyGenerator: (req) => `${req.ip}:${req.originalApiKey || 'anonymous'}:stream`
+  metrics: ['streams'],
+  appliesTo: (req) => req.body?.stream === true,
+  headers: false
+})
+
+// Requests per minute of the client IP, for routes that run before or without authentication
+export const ipRateLimit = createRateLimit({
+  limiter: ipRateLimiter,
+  metrics: ['requests']
 })
 
-export default { rateLimit, createRateLimit, streamRateLimit }
\ No newline at end of file
+export default { rateLimit, createRateLimit, streamRateLimit, ipRateLimit, rateLimitHeaders, formatDuration }
@@ -57,7 +57,8 @@ export const requestLogger = (req, res, next) => {
         statusCode: res.statusCode,
         duration: `${duration}ms`,
         contentLength: parseInt(contentLength),
-        contentType: res.get('Content-Type')
+        contentType: res.get('Content-Type'),
+        usage: res.locals.usage
       })
     })
   } else {
@@ -78,7 +79,8 @@ export const requestLogger = (req, res, next) => {
         statusCode: res.statusCode,
         duration: `${duration}ms`,
         contentLength: parseInt(contentLength),
-        contentType: res.get('Content-Type')
+        contentType: res.get('Content-Type'),
+        usage: res.locals.usage
       })
       
       // CRITICAL FIX: For streaming responses, don't pass parameters to end() if headers already sent
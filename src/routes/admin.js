@@ -0,0 +1,131 @@
+import express from 'express'
+import { requireAdmin } from '../middleware/auth.js'
+import { logger } from '../services/logger.js'
+import { modelRegistry } from '../services/modelRegistry.js'
+import { virtualKeyStore } from '../services/virtualKeys.js'
+import { budgetTracker } from '../services/budgets.js'
+import { usageLedger, parseUsageRange } from '../services/usageLedger.js'
+import { rateLimiter } from '../services/rateLimiter.js'
+
+const router = express.Router()
+
+router.use(requireAdmin)
+
+// GET /admin/models - Loaded model catalog version and last reload error
+router.get('/models', (req, res) => {
+  res.json({
+    object: 'model_catalog',
+    ...modelRegistry.getStatus()
+  })
+})
+
+// POST /admin/models/reload - Reload the model catalog file now
+router.post('/models/reload', (req, res) => {
+  const reloaded = modelRegistry.reload()
+
+  logger.info('Model catalog reload requested', {
+    requestId: req.id,
+    reloaded,
+    version: modelRegistry.version
+  })
+
+  res.status(reloaded ? 200 : 422).json({
+    object: 'model_catalog',
+    reloaded,
+    ...modelRegistry.getStatus()
+  })
+})
+
+// GET /admin/keys - Virtual API keys (without the keys themselves)
+router.get('/keys', (req, res) => {
+  res.json({
+    object: 'list',
+    data: virtualKeyStore.list()
+  })
+})
+
+// POST /admin/keys - Issue a virtual API key; the key is only returned here
+router.post('/keys', (req, res, next) => {
+  try {
+    res.status(201).json(virtualKeyStore.create(req.body))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /admin/keys/:id
+router.get('/keys/:id', (req, res, next) => {
+  try {
+    res.json(virtualKeyStore.get(req.params.id))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// PATCH /admin/keys/:id - Change label, upstream key, allowed models, expiry or enabled flag
+router.patch('/keys/:id', (req, res, next) => {
+  try {
+    res.json(virtualKeyStore.update(req.params.id, req.body))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST /admin/keys/:id/rotate - Replace the key; the old one stops working
+router.post('/keys/:id/rotate', (req, res, next) => {
+  try {
+    res.json(virtualKeyStore.rotate(req.params.id))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// DELETE /admin/keys/:id - Revoke the key for good
+router.delete('/keys/:id', (req, res, next) => {
+  try {
+    res.json(virtualKeyStore.revoke(req.params.id))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /admin/budgets - Token and estimated-cost spending per key this day and month
+router.get('/budgets', (req, res) => {
+  res.json({
+    object: 'list',
+    defaults: budgetTracker.defaults,
+    data: budgetTracker.getStates()
+  })
+})
+
+// GET /admin/rate-limits - Rate limit tiers and each key's usage over the last minute
+router.get('/rate-limits', async (req, res, next) => {
+  try {
+    res.json({
+      object: 'list',
+      tiers: rateLimiter.tiers,
+      data: await rateLimiter.getStates()
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /admin/usage - Tokens and estimated cost of every key, per model, key and
+// day; start_date and end_date (YYYY-MM-DD) pick the days, key narrows it to one key
+router.get('/usage', (req, res, next) => {
+  try {
+    const usage = usageLedger.query({ ...parseUsageRange(req.query), key: req.query.key || null })
+
+    // Name the virtual keys, whose ids alone say little
+    for (const entry of usage.by_key) {
+      entry.label = virtualKeyStore.keys.get(entry.key)?.label || null
+    }
+
+    res.json({ object: 'usage', ...usage })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -1,85 +1,126 @@
 import express from 'express'
-import { authenticate } from '../middleware/auth.js'
-import { streamRateLimit } from '../middleware/rateLimit.js'
+import { authenticate, assertModelAllowed } from '../middleware/auth.js'
+import { enforceBudget, assertModelPriced } from '../middleware/budget.js'
+import { rateLimit, streamRateLimit } from '../middleware/rateLimit.js'
 import { requestTimer, requestBodyLogger } from '../middleware/requestLogger.js'
 import { ValidationError, NotFoundError } from '../middleware/errorHandler.js'
 import { logger } from '../services/logger.js'
 import { config } from '../config/index.js'
 import { QolabaApiClient } from '../services/qolaba.js'
-import { translateOpenAIToQolaba, translateQolabaToOpenAI } from '../utils/translator.js'
+import { translateOpenAIToQolaba, translateQolabaToOpenAI, getModelConfig, applyModelDefaults, MODEL_HEADER } from '../utils/translator.js'
 import { handleStreamingResponse, handleNonStreamingResponse } from '../utils/streaming.js'
+import { getToolContext, validateTools, convertToolCallToXml } from '../utils/toolCalling.js'
+import { validateParameters, validateStreamOptions, resolveParameters, formatWarningHeader } from '../utils/parameters.js'
+import { validateResponseFormat, getResponseFormat } from '../utils/structuredOutput.js'
+import { fitToContextWindow, formatContextTrimHeader, CONTEXT_TRIM_HEADER } from '../utils/contextWindow.js'
 import { createResponseManager } from '../utils/responseManager.js'
+import { withFallbacks, assertProviderAvailable } from '../utils/modelFallback.js'
+import { createDisconnectSignal } from '../utils/cancellation.js'
 
 const router = express.Router()
 
-// POST /v1/chat/completions
-router.post('/', 
-  authenticate,
-  streamRateLimit,
-  requestTimer,
-  requestBodyLogger,
-  async (req, res, next) => {
-    const startTime = Date.now()
-    const responseManager = createResponseManager(res, req.id)
+// Chat completion handler, shared by /v1/chat/completions and /tools
+const handleChatCompletion = async (req, res, next) => {
+  const startTime = Date.now()
+  const responseManager = createResponseManager(res, req.id)
 
-    try {
-      logger.info('Chat completion request received', {
-        requestId: req.id,
-        model: req.body.model,
-        stream: req.body.stream,
-        messagesCount: req.body.messages?.length || 0
-      })
+  try {
+    logger.info('Chat completion request received', {
+      requestId: req.id,
+      model: req.body.model,
+      stream: req.body.stream,
+      messagesCount: req.body.messages?.length || 0
+    })
 
-      // Validate request body
-      const validation = validateChatRequest(req.body)
-      if (!validation.valid) {
-        throw new ValidationError(validation.error)
-      }
+    // Validate request body
+    const validation = validateChatRequest(req.body)
+    if (!validation.valid) {
+      throw new ValidationError(validation.error)
+    }
 
-      // Get model configuration
-      const modelConfig = getModelConfig(req.body.model)
-      
-      // Translate OpenAI format to Qolaba format
-      const qolabaPayload = translateOpenAIToQolaba(req.body, modelConfig)
-      
-      // Create Qolaba API client
-      const qolabaClient = new QolabaApiClient(req.apiKey)
-      
-      logger.debug('Translated request to Qolaba format', {
-        requestId: req.id,
-        qolabaModel: qolabaPayload.llm_model,
-        qolabaLLM: qolabaPayload.llm,
-        stream: qolabaPayload.stream || false
-      })
+    // Get model configuration
+    const modelConfig = getModelConfig(req.body.model)
+    assertModelAllowed(req, modelConfig)
+    assertModelPriced(req, modelConfig)
+    res.set(MODEL_HEADER, modelConfig.llm_model)
+    // Fail fast while the circuit breakers of the model and its fallbacks are open
+    assertProviderAvailable(modelConfig)
 
-      // Handle streaming vs non-streaming requests
-      if (req.body.stream === true) {
-        await handleStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, req.id)
-      } else {
-        await handleNonStreamingResponse(responseManager, res, qolabaClient, qolabaPayload, req.id)
-      }
+    // Default parameters of the model or alias the request resolved to
+    const body = applyModelDefaults(req.body, modelConfig)
 
-      const duration = Date.now() - startTime
-      logger.info('Chat completion completed successfully', {
-        requestId: req.id,
-        model: req.body.model,
-        stream: req.body.stream,
-        duration: `${duration}ms`
-      })
+    // Create Qolaba API client; failed calls move down the model's fallback chain,
+    // and calls still running when the client disconnects are cancelled
+    const qolabaClient = withFallbacks(new QolabaApiClient(req.apiKey, { requestId: req.id, signal: createDisconnectSignal(res) }), modelConfig, { requestId: req.id, res })
 
-    } catch (error) {
-      const duration = Date.now() - startTime
-      logger.error('Chat completion failed', {
-        requestId: req.id,
-        error: error.message,
-        model: req.body.model,
-        duration: `${duration}ms`
-      })
-      
-      // Let the error handler middleware deal with the error
-      next(error)
+    // Trim history that does not fit the model's context window
+    const { request: chatRequest, trim } = await fitToContextWindow(body, modelConfig, { client: qolabaClient, requestId: req.id })
+    if (trim) {
+      res.set(CONTEXT_TRIM_HEADER, formatContextTrimHeader(trim))
+    }
+    
+    // Translate OpenAI format to Qolaba format
+    const qolabaPayload = translateOpenAIToQolaba(chatRequest, modelConfig)
+
+    // Function definitions the model was prompted with, used to parse tool calls back out
+    const toolContext = getToolContext(req.body)
+
+    // JSON output requirements, checked once the reply is complete
+    const responseFormat = getResponseFormat(req.body)
+
+    // stop, max_tokens and n are emulated by the proxy; unsupported sampling options are reported
+    const parameters = resolveParameters(body)
+    if (parameters.warnings.length > 0) {
+      res.set('Warning', formatWarningHeader(parameters.warnings))
+    }
+    
+    logger.debug('Translated request to Qolaba format', {
+      requestId: req.id,
+      qolabaModel: qolabaPayload.llm_model,
+      qolabaLLM: qolabaPayload.llm,
+      stream: qolabaPayload.stream || false,
+      toolCount: toolContext?.tools.length || 0
+    })
+
+    // Handle streaming vs non-streaming requests
+    if (req.body.stream === true) {
+      const includeUsage = req.body.stream_options?.include_usage === true
+      await handleStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, req.id, { toolContext, parameters, responseFormat, includeUsage })
+    } else {
+      await handleNonStreamingResponse(responseManager, res, qolabaClient, qolabaPayload, req.id, { toolContext, parameters, responseFormat })
     }
+
+    const duration = Date.now() - startTime
+    logger.info('Chat completion completed successfully', {
+      requestId: req.id,
+      model: req.body.model,
+      stream: req.body.stream,
+      duration: `${duration}ms`
+    })
+
+  } catch (error) {
+    const duration = Date.now() - startTime
+    logger.error('Chat completion failed', {
+      requestId: req.id,
+      error: error.message,
+      model: req.body.model,
+      duration: `${duration}ms`
+    })
+    
+    // Let the error handler middleware deal with the error
+    next(error)
   }
+}
+
+// POST /v1/chat/completions
+router.post('/', 
+  authenticate,
+  enforceBudget,
+  rateLimit,
+  streamRateLimit,
+  requestTimer,
+  requestBodyLogger,
+  handleChatCompletion
 )
 
 // Request validation
@@ -99,13 +140,40 @@ function validateChatRequest(body) {
   // Validate message format
   for (let i = 0; i < body.messages.length; i++) {
     const message = body.messages[i]
-    if (!message.role || !message.content) {
+    // Assistant turns that only call tools have null content; tool results may be empty strings
+    const hasToolCalls = message.role === 'assistant' && (message.tool_calls?.length > 0 || !!message.function_call)
+    const hasContent = message.role === 'tool'
+      ? message.content !== undefined && message.content !== null
+      : !!message.content
+    if (!message.role || (!hasContent && !hasToolCalls)) {
       return { valid: false, error: `Message at index ${i} is missing required role or content field` }
     }
     
     if (!['system', 'user', 'assistant', 'tool', 'developer', 'function'].includes(message.role)) {
       return { valid: false, error: `Invalid role "${message.role}" in message at index ${i}` }
     }
+
+    if (message.role === 'tool' && !message.tool_call_id) {
+      return { valid: false, error: `Tool message at index ${i} is missing tool_call_id` }
+    }
+  }
+
+  // Validate tools and tool_choice
+  const toolValidation = validateTools(body)
+  if (!toolValidation.valid) {
+    return toolValidation
+  }
+
+  // Validate stop, n, top_p, penalties, seed, logit_bias and logprobs
+  const parameterValidation = validateParameters(body)
+  if (!parameterValidation.valid) {
+    return parameterValidation
+  }
+
+  // Validate response_format
+  const responseFormatValidation = validateResponseFormat(body)
+  if (!responseFormatValidation.valid) {
+    return responseFormatValidation
   }
 
   // Validate temperature
@@ -127,51 +195,23 @@ function validateChatRequest(body) {
     return { valid: false, error: 'stream must be a boolean' }
   }
 
-  return { valid: true }
-}
-
-// Get model configuration
-function getModelConfig(modelName) {
-  const mappedModel = config.modelMappings[modelName]
-  
-  if (!mappedModel) {
-    // ENHANCED DIAGNOSTIC: Log detailed model mapping analysis
-    logger.warn('Model not found in mappings, using default', {
-      requestedModel: modelName,
-      defaultModel: config.modelMappings.default.llm_model,
-      availableModels: Object.keys(config.modelMappings).slice(0, 10), // Log first 10 for debugging
-      totalAvailableModels: Object.keys(config.modelMappings).length,
-      // DIAGNOSTIC: Check for similar model names
-      similarModels: Object.keys(config.modelMappings).filter(key =>
-        key.toLowerCase().includes(modelName.toLowerCase().split('-')[0]) ||
-        modelName.toLowerCase().includes(key.toLowerCase().split('-')[0])
-      ),
-      // DIAGNOSTIC: Check if this is a gemini model variant
-      isGeminiVariant: modelName.toLowerCase().includes('gemini'),
-      geminiModelsAvailable: Object.keys(config.modelMappings).filter(key =>
-        key.toLowerCase().includes('gemini')
-      )
-    })
-    return config.modelMappings.default
+  // Validate stream_options
+  const streamOptionsValidation = validateStreamOptions(body)
+  if (!streamOptionsValidation.valid) {
+    return streamOptionsValidation
   }
 
-  // DIAGNOSTIC: Log successful model mapping
-  logger.debug('Model mapped successfully', {
-    requestedModel: modelName,
-    mappedLLM: mappedModel.llm,
-    mappedLLMModel: mappedModel.llm_model,
-    provider: mappedModel.provider
-  })
-
-  return mappedModel
+  return { valid: true }
 }
 
 // Tool calling support
 router.post('/tools',
   authenticate,
+  enforceBudget,
+  rateLimit,
   streamRateLimit,
   requestTimer,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       logger.info('Tool calling request received', {
         requestId: req.id,
@@ -204,7 +244,7 @@ router.post('/tools',
       req.body = chatPayload
       
       // Reuse the main chat completion logic
-      return router.post('/', req, res)
+      return handleChatCompletion(req, res, next)
       
     } catch (error) {
       logger.error('Tool calling failed', {
@@ -212,39 +252,9 @@ router.post('/tools',
         error: error.message,
         toolName: req.body.tool_name
       })
-      throw error
+      next(error)
     }
   }
 )
 
-// Convert tool call to XML format
-function convertToolCallToXml(toolName, parameters) {
-  let xml = `<tool name="${toolName}">\n`
-  
-  for (const [key, value] of Object.entries(parameters)) {
-    if (typeof value === 'object') {
-      xml += `  <${key}>\n`
-      for (const [subKey, subValue] of Object.entries(value)) {
-        xml += `    <${subKey}>${escapeXml(String(subValue))}</${subKey}>\n`
-      }
-      xml += `  </${key}>\n`
-    } else {
-      xml += `  <${key}>${escapeXml(String(value))}</${key}>\n`
-    }
-  }
-  
-  xml += `</tool>`
-  return xml
-}
-
-// Escape XML special characters
-function escapeXml(unsafe) {
-  return unsafe
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;')
-}
-
 export default router
\ No newline at end of file
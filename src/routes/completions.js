@@ -0,0 +1,92 @@
+import express from 'express'
+import { authenticate, assertModelAllowed } from '../middleware/auth.js'
+import { enforceBudget, assertModelPriced } from '../middleware/budget.js'
+import { rateLimit, streamRateLimit } from '../middleware/rateLimit.js'
+import { requestTimer, requestBodyLogger } from '../middleware/requestLogger.js'
+import { ValidationError } from '../middleware/errorHandler.js'
+import { config } from '../config/index.js'
+import { logger } from '../services/logger.js'
+import { QolabaApiClient } from '../services/qolaba.js'
+import { translateOpenAIToQolaba, getModelConfig, applyModelDefaults, MODEL_HEADER } from '../utils/translator.js'
+import {
+  validateCompletionRequest,
+  getPrompts,
+  buildCompletionChatRequest,
+  handleCompletionResponse,
+  handleCompletionStreamingResponse
+} from '../utils/completions.js'
+import { fitToContextWindow } from '../utils/contextWindow.js'
+import { createResponseManager } from '../utils/responseManager.js'
+import { withFallbacks, assertProviderAvailable } from '../utils/modelFallback.js'
+import { createDisconnectSignal } from '../utils/cancellation.js'
+
+const router = express.Router()
+
+// POST /v1/completions (legacy text completions)
+router.post('/',
+  authenticate,
+  enforceBudget,
+  rateLimit,
+  streamRateLimit,
+  requestTimer,
+  requestBodyLogger,
+  async (req, res, next) => {
+    const startTime = Date.now()
+    const responseManager = createResponseManager(res, req.id)
+
+    try {
+      logger.info('Completion request received', {
+        requestId: req.id,
+        model: req.body?.model,
+        stream: req.body?.stream,
+        n: req.body?.n
+      })
+
+      const validation = validateCompletionRequest(req.body)
+      if (!validation.valid) {
+        throw new ValidationError(validation.error)
+      }
+
+      const modelConfig = getModelConfig(req.body.model)
+      assertModelAllowed(req, modelConfig)
+      assertModelPriced(req, modelConfig)
+      res.set(MODEL_HEADER, modelConfig.llm_model)
+      assertProviderAvailable(modelConfig)
+      const body = applyModelDefaults(req.body, modelConfig)
+      const chatRequests = getPrompts(body).map(prompt => buildCompletionChatRequest(body, prompt))
+
+      // A prompt is a single turn with nothing to trim, so one that does not fit the context window is rejected
+      const strategy = config.context.strategy === 'none' ? 'none' : 'keep_pinned'
+      for (const chatRequest of chatRequests) {
+        await fitToContextWindow(chatRequest, modelConfig, { requestId: req.id, strategy })
+      }
+
+      const qolabaPayloads = chatRequests.map(chatRequest => translateOpenAIToQolaba(chatRequest, modelConfig))
+      const qolabaClient = withFallbacks(new QolabaApiClient(req.apiKey, { requestId: req.id, signal: createDisconnectSignal(res) }), modelConfig, { requestId: req.id, res })
+
+      if (req.body.stream === true) {
+        await handleCompletionStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayloads, req.body, req.id)
+      } else {
+        await handleCompletionResponse(res, qolabaClient, qolabaPayloads, req.body, req.id)
+      }
+
+      logger.info('Completion request completed successfully', {
+        requestId: req.id,
+        model: req.body.model,
+        stream: req.body.stream,
+        duration: `${Date.now() - startTime}ms`
+      })
+    } catch (error) {
+      logger.error('Completion request failed', {
+        requestId: req.id,
+        error: error.message,
+        model: req.body?.model,
+        duration: `${Date.now() - startTime}ms`
+      })
+
+      next(error)
+    }
+  }
+)
+
+export default router
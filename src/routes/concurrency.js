@@ -6,9 +6,9 @@ import { concurrencyMonitor } from '../utils/concurrencyMonitor.js'
 const router = express.Router()
 
 // GET /concurrency/metrics - Get comprehensive concurrency metrics
-router.get('/metrics', authenticate, (req, res) => {
+router.get('/metrics', authenticate, async (req, res) => {
   try {
-    const metrics = concurrencyMonitor.getMetrics()
+    const metrics = await concurrencyMonitor.getMetrics()
     
     res.json({
       status: 'success',
@@ -76,7 +76,7 @@ router.get('/requests', authenticate, (req, res) => {
 })
 
 // GET /concurrency/hanging - Detect and report hanging requests
-router.get('/hanging', authenticate, (req, res) => {
+router.get('/hanging', authenticate, async (req, res) => {
   try {
     const hangingRequests = concurrencyMonitor.detectHangingRequests()
     const resourceLeaks = concurrencyMonitor.detectResourceLeaks()
@@ -84,7 +84,7 @@ router.get('/hanging', authenticate, (req, res) => {
     const diagnostics = {
       hangingRequests,
       resourceLeaks,
-      metrics: concurrencyMonitor.getMetrics(),
+      metrics: await concurrencyMonitor.getMetrics(),
       timestamp: new Date().toISOString()
     }
     
@@ -156,9 +156,9 @@ router.post('/cleanup', authenticate, (req, res) => {
 })
 
 // GET /convergence/health - Overall concurrency health check
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
   try {
-    const metrics = concurrencyMonitor.getMetrics()
+    const metrics = await concurrencyMonitor.getMetrics()
     const hangingRequests = concurrencyMonitor.detectHangingRequests()
     const resourceLeaks = concurrencyMonitor.detectResourceLeaks()
     
@@ -1,5 +1,6 @@
 import express from 'express'
 import { QolabaApiClient } from '../services/qolaba.js'
+import { connectionPool } from '../services/connectionPool.js'
 import { logger } from '../services/logger.js'
 import { config } from '../config/index.js'
 
@@ -48,6 +49,7 @@ router.get('/connections', async (req, res) => {
         lastError: connectionHealth.lastError,
         lastErrorTime: connectionHealth.lastErrorTime
       },
+      pool: connectionPool.getStats(),
       qolaba: {
         baseUrl: config.qolaba.baseUrl,
         status: qolabaStatus,
@@ -1,6 +1,8 @@
 import express from 'express'
 import { logger } from '../services/logger.js'
 import { config } from '../config/index.js'
+import { providerCircuitBreakers } from '../utils/retryHelper.js'
+import { getHealthStatus } from '../middleware/healthMonitor.js'
 
 const router = express.Router()
 
@@ -53,8 +55,20 @@ router.get('/detailed', async (req, res) => {
       })
     }
 
+    // Request numbers of every instance sharing the state store
+    let traffic = null
+    try {
+      traffic = await getHealthStatus()
+    } catch (error) {
+      logger.warn('State store health check failed', {
+        requestId: req.id,
+        error: error.message
+      })
+    }
+
+    // Providers whose circuit breaker is open are failing fast
     const detailedHealth = {
-      status: qolabaStatus === 'healthy' ? 'healthy' : 'degraded',
+      status: qolabaStatus === 'healthy' && traffic && !providerCircuitBreakers.hasOpen() ? 'healthy' : 'degraded',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       version: '1.0.0',
@@ -65,8 +79,18 @@ router.get('/detailed', async (req, res) => {
           status: qolabaStatus,
           response_time: `${qolabaResponseTime}ms`,
           url: config.qolaba.baseUrl
+        },
+        // One breaker per provider that has been called, keyed by llm
+        circuit_breakers: providerCircuitBreakers.getStates(),
+        state_store: {
+          status: traffic ? 'healthy' : 'unhealthy',
+          type: config.store.type
         }
       },
+      requests: traffic && {
+        ...traffic.requests,
+        streaming: traffic.streaming
+      },
       system: {
         memory_usage: process.memoryUsage(),
         cpu_usage: process.cpuUsage(),
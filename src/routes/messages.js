@@ -0,0 +1,113 @@
+import express from 'express'
+import { authenticate, assertModelAllowed } from '../middleware/auth.js'
+import { enforceBudget, assertModelPriced } from '../middleware/budget.js'
+import { anthropicErrorFormat } from '../middleware/anthropicErrors.js'
+import { rateLimit, streamRateLimit } from '../middleware/rateLimit.js'
+import { requestTimer, requestBodyLogger } from '../middleware/requestLogger.js'
+import { ValidationError } from '../middleware/errorHandler.js'
+import { logger } from '../services/logger.js'
+import { QolabaApiClient } from '../services/qolaba.js'
+import { translateOpenAIToQolaba, getModelConfig, applyModelDefaults, MODEL_HEADER } from '../utils/translator.js'
+import { getToolContext, validateTools } from '../utils/toolCalling.js'
+import { resolveParameters, formatWarningHeader } from '../utils/parameters.js'
+import { fitToContextWindow, formatContextTrimHeader, CONTEXT_TRIM_HEADER } from '../utils/contextWindow.js'
+import {
+  validateMessagesRequest,
+  translateAnthropicToOpenAI,
+  handleAnthropicResponse,
+  handleAnthropicStreamingResponse
+} from '../utils/anthropic.js'
+import { createResponseManager } from '../utils/responseManager.js'
+import { withFallbacks, assertProviderAvailable } from '../utils/modelFallback.js'
+import { createDisconnectSignal } from '../utils/cancellation.js'
+
+const router = express.Router()
+
+// POST /v1/messages (Anthropic Messages API); errors are answered in the Anthropic format
+router.post('/',
+  anthropicErrorFormat,
+  authenticate,
+  enforceBudget,
+  rateLimit,
+  streamRateLimit,
+  requestTimer,
+  requestBodyLogger,
+  async (req, res, next) => {
+    const startTime = Date.now()
+    const responseManager = createResponseManager(res, req.id)
+
+    try {
+      logger.info('Messages request received', {
+        requestId: req.id,
+        model: req.body?.model,
+        stream: req.body?.stream,
+        messagesCount: req.body?.messages?.length || 0
+      })
+
+      const validation = validateMessagesRequest(req.body)
+      if (!validation.valid) {
+        throw new ValidationError(validation.error)
+      }
+
+      // Go through the OpenAI request shape so translation and tool prompting are shared
+      const openaiRequest = translateAnthropicToOpenAI(req.body)
+      const toolValidation = validateTools(openaiRequest)
+      if (!toolValidation.valid) {
+        throw new ValidationError(toolValidation.error)
+      }
+
+      const modelConfig = getModelConfig(req.body.model)
+      assertModelAllowed(req, modelConfig)
+      assertModelPriced(req, modelConfig)
+      res.set(MODEL_HEADER, modelConfig.llm_model)
+      assertProviderAvailable(modelConfig)
+      const qolabaClient = withFallbacks(new QolabaApiClient(req.apiKey, { requestId: req.id, signal: createDisconnectSignal(res) }), modelConfig, { requestId: req.id, res })
+
+      // Trim history that does not fit the model's context window
+      const { request: chatRequest, trim } = await fitToContextWindow(applyModelDefaults(openaiRequest, modelConfig), modelConfig, { client: qolabaClient, requestId: req.id })
+      if (trim) {
+        res.set(CONTEXT_TRIM_HEADER, formatContextTrimHeader(trim))
+      }
+
+      const qolabaPayload = translateOpenAIToQolaba(chatRequest, modelConfig)
+      const toolContext = getToolContext(openaiRequest)
+
+      // max_tokens and stop_sequences are emulated by the proxy, as for chat completions
+      const parameters = resolveParameters(openaiRequest)
+      if (parameters.warnings.length > 0) {
+        res.set('Warning', formatWarningHeader(parameters.warnings))
+      }
+
+      logger.debug('Translated Messages request to Qolaba format', {
+        requestId: req.id,
+        qolabaModel: qolabaPayload.llm_model,
+        qolabaLLM: qolabaPayload.llm,
+        toolCount: toolContext?.tools.length || 0
+      })
+
+      if (req.body.stream === true) {
+        await handleAnthropicStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, qolabaPayload.llm_model, req.id, { toolContext, parameters })
+      } else {
+        await handleAnthropicResponse(res, qolabaClient, qolabaPayload, qolabaPayload.llm_model, req.id, { toolContext, parameters })
+      }
+
+      logger.info('Messages request completed successfully', {
+        requestId: req.id,
+        model: req.body.model,
+        stream: req.body.stream,
+        duration: `${Date.now() - startTime}ms`
+      })
+    } catch (error) {
+      logger.error('Messages request failed', {
+        requestId: req.id,
+        error: error.message,
+        model: req.body?.model,
+        duration: `${Date.now() - startTime}ms`
+      })
+
+      next(error)
+    }
+  }
+)
+
+export default router
@@ -2,8 +2,11 @@ import express from 'express'
 import { authenticate, optionalAuth } from '../middleware/auth.js'
 import { requestTimer } from '../middleware/requestLogger.js'
 import { logger } from '../services/logger.js'
-import { config } from '../config/index.js'
+import { modelRegistry } from '../services/modelRegistry.js'
 import { QolabaApiClient } from '../services/qolaba.js'
+import { priceTable } from '../services/pricing.js'
+import { budgetKey } from '../services/budgets.js'
+import { usageLedger, parseUsageRange } from '../services/usageLedger.js'
 
 const router = express.Router()
 
@@ -24,224 +27,11 @@ router.get('/',
         }
       })
 
-      // Get available models from Qolaba documentation
-      let availableModels = [
-        // OpenAI models
-        {
-          id: 'gpt-4.1-mini-2025-04-14',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'gpt-4.1-mini-2025-04-14',
-          parent: null
-        },
-        {
-          id: 'gpt-4.1-2025-04-14',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'gpt-4.1-2025-04-14',
-          parent: null
-        },
-        {
-          id: 'gpt-4o-mini',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'gpt-4o-mini',
-          parent: null
-        },
-        {
-          id: 'gpt-4o',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'gpt-4o',
-          parent: null
-        },
-        {
-          id: 'o3-mini',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'o3-mini',
-          parent: null
-        },
-        {
-          id: 'o1',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'o1',
-          parent: null
-        },
-        {
-          id: 'o3',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'o3',
-          parent: null
-        },
-        {
-          id: 'o4-mini-2025-04-16',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai',
-          permission: [],
-          root: 'o4-mini-2025-04-16',
-          parent: null
-        },
-        
-        // ClaudeAI models
-        {
-          id: 'claude-3-7-sonnet-latest',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'claudeai',
-          permission: [],
-          root: 'claude-3-7-sonnet-latest',
-          parent: null
-        },
-        {
-          id: 'claude-opus-4-20250514',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'claudeai',
-          permission: [],
-          root: 'claude-opus-4-20250514',
-          parent: null
-        },
-        {
-          id: 'claude-sonnet-4-20250514',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'claudeai',
-          permission: [],
-          root: 'claude-sonnet-4-20250514',
-          parent: null
-        },
-        
-        // GeminiAI models
-        {
-          id: 'gemini-2.5-pro',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'geminiai',
-          permission: [],
-          root: 'gemini-2.5-pro',
-          parent: null
-        },
-        {
-          id: 'gemini-2.5-flash',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'geminiai',
-          permission: [],
-          root: 'gemini-2.5-flash',
-          parent: null
-        },
-        
-        // OpenRouterAI models
-        {
-          id: 'x-ai/grok-3-beta',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'x-ai/grok-3-beta',
-          parent: null
-        },
-        {
-          id: 'x-ai/grok-3-mini-beta',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'x-ai/grok-3-mini-beta',
-          parent: null
-        },
-        {
-          id: 'perplexity/sonar-pro',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'perplexity/sonar-pro',
-          parent: null
-        },
-        {
-          id: 'perplexity/sonar-reasoning-pro',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'perplexity/sonar-reasoning-pro',
-          parent: null
-        },
-        {
-          id: 'perplexity/sonar-reasoning',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'perplexity/sonar-reasoning',
-          parent: null
-        },
-        {
-          id: 'perplexity/sonar-deep-research',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'perplexity/sonar-deep-research',
-          parent: null
-        },
-        {
-          id: 'deepseek/deepseek-chat',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'deepseek/deepseek-chat',
-          parent: null
-        },
-        {
-          id: 'deepseek/deepseek-r1',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openrouterai',
-          permission: [],
-          root: 'deepseek/deepseek-r1',
-          parent: null
-        }
-      ]
-
-      // Fallback: if no models are configured (edge-case), populate with default model
-      if (availableModels.length === 0) {
-        const defaultModelId = config.models.default
-        const defaultModelConfig = config.modelMappings[defaultModelId] || {
-          provider: 'OpenAI',
-          llm: 'OpenAI',
-          llm_model: defaultModelId
-        }
-        availableModels = [{
-          id: defaultModelId,
-          object: 'model',
-          created: Date.now(),
-          owned_by: (defaultModelConfig.provider || 'OpenAI').toLowerCase(),
-          permission: [],
-          root: defaultModelId,
-          parent: null
-        }]
+      // Models that route somewhere, refreshed from Qolaba when discovery is on
+      if (req.apiKey) {
+        await modelRegistry.refreshIfStale(new QolabaApiClient(req.apiKey))
       }
+      const availableModels = modelRegistry.listModels()
 
       const response = {
         object: 'list',
@@ -300,197 +90,172 @@ router.get('/',
   }
 )
 
-// GET /v1/models/:model - Get model details
-router.get('/:model',
-  optionalAuth,
+// The usage and pricing routes come before /v1/models/:model, which would
+// otherwise take them for model ids
+
+// GET /v1/models/usage - Tokens and estimated cost recorded for the caller's key
+// (authenticated only); start_date and end_date (YYYY-MM-DD) pick the days
+router.get('/usage',
+  authenticate,
   requestTimer,
-  async (req, res) => {
+  async (req, res, next) => {
+    let range
     try {
-      const { model } = req.params
-      
-      logger.info('Model details request received', {
+      range = parseUsageRange(req.query)
+    } catch (error) {
+      return next(error)
+    }
+
+    try {
+      const key = budgetKey(req)
+
+      logger.info('Usage information request received', {
         requestId: req.id,
-        model,
-        authenticated: !!req.apiKey
+        key,
+        startDate: range.from,
+        endDate: range.to
       })
 
-      // Check if model exists in our mappings
-      const modelConfig = config.modelMappings[model]
-      
-      if (!modelConfig || model === 'default') {
-        return res.status(404).json({
-          error: {
-            message: `Model '${model}' not found`,
-            type: 'invalid_request_error',
-            code: 'model_not_found'
-          }
-        })
-      }
-
-      const modelDetails = {
-        id: model,
-        object: 'model',
-        created: Date.now(),
-        owned_by: modelConfig.provider.toLowerCase(),
-        permission: [],
-        root: model,
-        parent: null,
-        // Additional model metadata
-        capabilities: {
-          text: true,
-          images: false, // Could be enabled based on model
-          tools: true,
-          streaming: true
-        },
-        provider: modelConfig.provider,
-        llm: modelConfig.llm,
-        llm_model: modelConfig.llm_model
-      }
+      // The per-key breakdown is only shown to admins
+      const usage = usageLedger.query({ ...range, key })
+      delete usage.by_key
 
-      logger.debug('Model details response', {
+      logger.debug('Usage information response', {
         requestId: req.id,
-        model,
-        provider: modelConfig.provider
+        requests: usage.totals.requests,
+        totalTokens: usage.totals.total_tokens
       })
 
-      res.json(modelDetails)
+      res.json({
+        object: 'usage',
+        key,
+        ...usage
+      })
 
     } catch (error) {
-      logger.error('Model details failed', {
+      logger.error('Usage information failed', {
         requestId: req.id,
-        model: req.params.model,
         error: error.message
       })
 
       res.status(500).json({
         error: {
-          message: 'Failed to retrieve model details',
+          message: 'Failed to retrieve usage information',
           type: 'api_error',
-          code: 'model_error'
+          code: 'usage_error'
         }
       })
     }
   }
 )
 
-// GET /v1/models/usage - Get usage information (authenticated only)
-router.get('/usage',
-  authenticate,
+// GET /v1/models/pricing - Get pricing information
+router.get('/pricing',
+  optionalAuth,
   requestTimer,
   async (req, res) => {
     try {
-      logger.info('Usage information request received', {
-        requestId: req.id,
-        apiKey: req.originalApiKey?.substring(0, 8) + '...'
+      logger.info('Pricing information request received', {
+        requestId: req.id
       })
 
-      const qolabaClient = new QolabaApiClient(req.apiKey)
-      const usageInfo = await qolabaClient.getUsageInfo()
-
-      const response = {
-        object: 'usage',
-        data: {
-          credits_available: usageInfo.credits_available,
-          credits_used: usageInfo.credits_used,
-          requests_today: usageInfo.requests_today,
-          requests_this_month: usageInfo.requests_this_month,
-          last_updated: new Date().toISOString()
-        }
+      // Price table from config/pricing.yaml
+      const pricing = {
+        object: 'pricing',
+        version: priceTable.version,
+        data: priceTable.prices,
+        last_updated: priceTable.loadedAt
       }
 
-      logger.debug('Usage information response', {
-        requestId: req.id,
-        creditsAvailable: usageInfo.credits_available,
-        creditsUsed: usageInfo.credits_used
-      })
-
-      res.json(response)
+      res.json(pricing)
 
     } catch (error) {
-      logger.error('Usage information failed', {
+      logger.error('Pricing information failed', {
         requestId: req.id,
         error: error.message
       })
 
       res.status(500).json({
         error: {
-          message: 'Failed to retrieve usage information',
+          message: 'Failed to retrieve pricing information',
           type: 'api_error',
-          code: 'usage_error'
+          code: 'pricing_error'
         }
       })
     }
   }
 )
 
-// GET /v1/models/pricing - Get pricing information
-router.get('/pricing',
+// GET /v1/models/:model - Get model details
+router.get('/:model',
   optionalAuth,
   requestTimer,
   async (req, res) => {
     try {
-      logger.info('Pricing information request received', {
-        requestId: req.id
+      const { model } = req.params
+      
+      logger.info('Model details request received', {
+        requestId: req.id,
+        model,
+        authenticated: !!req.apiKey
       })
 
-      // Pricing information based on Qolaba documentation
-      const pricing = {
-        object: 'pricing',
-        data: {
-          text_models: {
-            'gpt-4.1-mini-2025-04-14': {
-              input_tokens: 0.0001,  // Example pricing
-              output_tokens: 0.0002,
-              currency: 'USD'
-            },
-            'gpt-4.1-2025-04-14': {
-              input_tokens: 0.0003,
-              output_tokens: 0.0006,
-              currency: 'USD'
-            },
-            'gpt-4o-mini': {
-              input_tokens: 0.00015,
-              output_tokens: 0.0003,
-              currency: 'USD'
-            }
-          },
-          image_models: {
-            'dall-e-3': {
-              credits_per_image: 11,
-              currency: 'credits'
-            },
-            'flux-schnell': {
-              credits_per_image: 3,
-              currency: 'credits'
-            },
-            'flux-pro': {
-              credits_per_image: 14,
-              currency: 'credits'
-            }
-          },
-          voice_models: {
-            'text-to-speech': {
-              credits_per_request: 2,
-              currency: 'credits'
-            }
+      // Check if model routes anywhere
+      const modelConfig = modelRegistry.resolve(model)
+
+      if (!modelConfig) {
+        return res.status(404).json({
+          error: {
+            message: `Model '${model}' not found`,
+            type: 'invalid_request_error',
+            code: 'model_not_found',
+            param: 'model',
+            suggestions: modelRegistry.suggest(model)
           }
+        })
+      }
+
+      const modelDetails = {
+        id: model,
+        object: 'model',
+        created: Date.now(),
+        owned_by: modelConfig.provider.toLowerCase(),
+        permission: [],
+        root: modelConfig.id,
+        parent: null,
+        // Additional model metadata
+        capabilities: {
+          text: true,
+          images: false, // Could be enabled based on model
+          tools: true,
+          streaming: true
         },
-        last_updated: new Date().toISOString()
+        provider: modelConfig.provider,
+        llm: modelConfig.llm,
+        llm_model: modelConfig.llm_model,
+        context_window: modelRegistry.getContextWindow(modelConfig.llm_model)
       }
 
-      res.json(pricing)
+      logger.debug('Model details response', {
+        requestId: req.id,
+        model,
+        provider: modelConfig.provider
+      })
+
+      res.json(modelDetails)
 
     } catch (error) {
-      logger.error('Pricing information failed', {
+      logger.error('Model details failed', {
         requestId: req.id,
+        model: req.params.model,
         error: error.message
       })
 
       res.status(500).json({
         error: {
-          message: 'Failed to retrieve pricing information',
+          message: 'Failed to retrieve model details',
           type: 'api_error',
-          code: 'pricing_error'
+          code: 'model_error'
         }
       })
     }
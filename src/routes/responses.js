@@ -0,0 +1,137 @@
+import express from 'express'
+import { authenticate, assertModelAllowed } from '../middleware/auth.js'
+import { enforceBudget, assertModelPriced } from '../middleware/budget.js'
+import { budgetKey } from '../services/budgets.js'
+import { rateLimit, streamRateLimit } from '../middleware/rateLimit.js'
+import { requestTimer, requestBodyLogger } from '../middleware/requestLogger.js'
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js'
+import { logger } from '../services/logger.js'
+import { QolabaApiClient } from '../services/qolaba.js'
+import { translateOpenAIToQolaba, getModelConfig, applyModelDefaults, MODEL_HEADER } from '../utils/translator.js'
+import { getToolContext, validateTools } from '../utils/toolCalling.js'
+import { fitToContextWindow, formatContextTrimHeader, CONTEXT_TRIM_HEADER } from '../utils/contextWindow.js'
+import {
+  validateResponsesRequest,
+  buildResponsesChatRequest,
+  createResponsesContext,
+  handleResponsesResponse,
+  handleResponsesStreamingResponse
+} from '../utils/responsesApi.js'
+import { responseStore } from '../utils/responseStore.js'
+import { createResponseManager } from '../utils/responseManager.js'
+import { withFallbacks, assertProviderAvailable } from '../utils/modelFallback.js'
+import { createDisconnectSignal } from '../utils/cancellation.js'
+
+const router = express.Router()
+
+// POST /v1/responses (OpenAI Responses API)
+router.post('/',
+  authenticate,
+  enforceBudget,
+  rateLimit,
+  streamRateLimit,
+  requestTimer,
+  requestBodyLogger,
+  async (req, res, next) => {
+    const startTime = Date.now()
+    const responseManager = createResponseManager(res, req.id)
+
+    try {
+      logger.info('Responses request received', {
+        requestId: req.id,
+        model: req.body?.model,
+        stream: req.body?.stream,
+        previousResponseId: req.body?.previous_response_id
+      })
+
+      const validation = validateResponsesRequest(req.body)
+      if (!validation.valid) {
+        throw new ValidationError(validation.error)
+      }
+
+      // Continue a stored conversation
+      let previousMessages = []
+      if (req.body.previous_response_id) {
+        const previous = responseStore.get(budgetKey(req), req.body.previous_response_id)
+        if (!previous) {
+          throw new NotFoundError(`Previous response with id "${req.body.previous_response_id}" not found`)
+        }
+        previousMessages = previous.messages
+      }
+
+      const { chatRequest, conversation } = buildResponsesChatRequest(req.body, previousMessages)
+      const toolValidation = validateTools(chatRequest)
+      if (!toolValidation.valid) {
+        throw new ValidationError(toolValidation.error)
+      }
+
+      const modelConfig = getModelConfig(req.body.model)
+      assertModelAllowed(req, modelConfig)
+      assertModelPriced(req, modelConfig)
+      res.set(MODEL_HEADER, modelConfig.llm_model)
+      assertProviderAvailable(modelConfig)
+      const qolabaClient = withFallbacks(new QolabaApiClient(req.apiKey, { requestId: req.id, signal: createDisconnectSignal(res) }), modelConfig, { requestId: req.id, res })
+
+      // Trim history that does not fit the model's context window; the stored
+      // conversation keeps every turn
+      const { request: fittedRequest, trim } = await fitToContextWindow(applyModelDefaults(chatRequest, modelConfig), modelConfig, { client: qolabaClient, requestId: req.id })
+      if (trim) {
+        res.set(CONTEXT_TRIM_HEADER, formatContextTrimHeader(trim))
+      }
+
+      const qolabaPayload = translateOpenAIToQolaba(fittedRequest, modelConfig)
+      const toolContext = getToolContext(chatRequest)
+      const context = createResponsesContext(req.body, budgetKey(req), conversation, toolContext, req.id, qolabaPayload.llm_model)
+
+      logger.debug('Translated Responses request to Qolaba format', {
+        requestId: req.id,
+        responseId: context.id,
+        qolabaModel: qolabaPayload.llm_model,
+        historyLength: qolabaPayload.history.length,
+        toolCount: toolContext?.tools.length || 0
+      })
+
+      if (req.body.stream === true) {
+        await handleResponsesStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, context)
+      } else {
+        await handleResponsesResponse(res, qolabaClient, qolabaPayload, context)
+      }
+
+      logger.info('Responses request completed successfully', {
+        requestId: req.id,
+        responseId: context.id,
+        duration: `${Date.now() - startTime}ms`
+      })
+    } catch (error) {
+      logger.error('Responses request failed', {
+        requestId: req.id,
+        error: error.message,
+        model: req.body?.model,
+        duration: `${Date.now() - startTime}ms`
+      })
+
+      next(error)
+    }
+  }
+)
+
+// GET /v1/responses/:id - Retrieve a stored response
+router.get('/:id', authenticate, (req, res, next) => {
+  const entry = responseStore.get(budgetKey(req), req.params.id)
+  if (!entry) {
+    return next(new NotFoundError(`Response with id "${req.params.id}" not found`))
+  }
+
+  res.json(entry.response)
+})
+
+// DELETE /v1/responses/:id - Delete a stored response
+router.delete('/:id', authenticate, (req, res, next) => {
+  if (!responseStore.delete(budgetKey(req), req.params.id)) {
+    return next(new NotFoundError(`Response with id "${req.params.id}" not found`))
+  }
+
+  res.json({ id: req.params.id, object: 'response.deleted', deleted: true })
+})
+
+export default router
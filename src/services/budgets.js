@@ -0,0 +1,213 @@
+import crypto from 'crypto'
+import Joi from 'joi'
+import { config } from '../config/index.js'
+import { logger } from './logger.js'
+import { estimateCost } from './pricing.js'
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js'
+
+// A limit is a hard limit, or { soft, hard }
+const limitSchema = Joi.alternatives(
+  Joi.number().min(0),
+  Joi.object({ soft: Joi.number().min(0), hard: Joi.number().min(0) }).or('soft', 'hard')
+)
+
+/**
+ * Budget of a virtual key (null to use the defaults)
+ */
+export const budgetSchema = Joi.object({
+  daily_tokens: limitSchema,
+  monthly_tokens: limitSchema,
+  daily_cost: limitSchema,
+  monthly_cost: limitSchema
+}).allow(null)
+
+// Budget periods (UTC) and how their current period is named
+const PERIODS = {
+  daily: (date) => date.toISOString().slice(0, 10),
+  monthly: (date) => date.toISOString().slice(0, 7)
+}
+
+/**
+ * Token and estimated-cost spending per API key, checked against daily and
+ * monthly budgets.
+ *
+ * Keys are virtual key ids, or a hash of the client's API key. A request is
+ * charged once it completes, from the usage chat/streamChat returned, and its
+ * cost is estimated with the pricing table. Models without a price only count
+ * tokens, so keys with a cost limit cannot use them (see hasCostLimit). Spending is kept in a JSON file (unless path is null), written
+ * shortly after each charge.
+ */
+export class BudgetTracker {
+  constructor(options = {}) {
+    this.filePath = options.path === undefined ? 'data/budgets.json' : options.path
+    this.defaults = options.defaults || {}
+    this.softLimitRatio = options.softLimitRatio ?? 0.8
+    this.saveDelay = options.saveDelay ?? 1000
+    // Budget key -> { daily: { period, tokens, cost }, monthly: { ... } }
+    this.spending = new Map()
+    this.saveTimer = null
+    this.load()
+  }
+
+  /**
+   * (Re)load spending, optionally from another file. A missing file starts from zero.
+   */
+  load(filePath = this.filePath) {
+    this.filePath = filePath
+    this.spending.clear()
+
+    const data = readJsonFile(this.filePath)
+    if (!data) {
+      return
+    }
+
+    for (const [key, spent] of Object.entries(data.spending || {})) {
+      this.spending.set(key, spent)
+    }
+  }
+
+  /**
+   * Limits that apply to a request: its virtual key's budget, or the defaults.
+   * Each is { name, period, metric, soft, hard }; a plain number is a hard
+   * limit with a soft limit at softLimitRatio of it.
+   */
+  getLimits(req) {
+    const budget = req.virtualKey?.budget || this.defaults
+
+    return Object.entries(budget)
+      .filter(([, limit]) => limit !== null && limit !== undefined)
+      .map(([name, limit]) => {
+        const [period, metric] = name.split('_')
+        const { soft = null, hard = null } = typeof limit === 'number'
+          ? { soft: limit * this.softLimitRatio, hard: limit }
+          : limit
+        return { name, period, metric, soft, hard }
+      })
+  }
+
+  /**
+   * Whether a cost limit applies to the request's key
+   */
+  hasCostLimit(req) {
+    return this.getLimits(req).some(limit => limit.metric === 'cost')
+  }
+
+  /**
+   * Compare the request's key's spending with its limits. Returns the limits
+   * reached as { exceeded, warnings } (hard and soft), each with `used`.
+   */
+  check(req) {
+    const spent = this.getSpent(budgetKey(req))
+    const result = { exceeded: [], warnings: [] }
+
+    for (const limit of this.getLimits(req)) {
+      const used = spent[limit.period][limit.metric]
+      if (limit.hard !== null && used >= limit.hard) {
+        result.exceeded.push({ ...limit, used })
+      } else if (limit.soft !== null && used >= limit.soft) {
+        result.warnings.push({ ...limit, used })
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Charge a completed request's usage to its key
+   */
+  charge(req, model, usage) {
+    const key = budgetKey(req)
+    const spent = this.getSpent(key)
+    const cost = estimateCost(model, usage) || 0
+
+    for (const period of Object.keys(PERIODS)) {
+      spent[period].tokens += usage.totalTokens || 0
+      spent[period].cost += cost
+    }
+
+    logger.debug('Charged usage to budget', { key, model, tokens: usage.totalTokens, cost })
+    this.scheduleSave()
+    return spent
+  }
+
+  // Spending of a key in the current periods; a new day or month starts from zero
+  getSpent(key) {
+    const now = new Date()
+    const spent = this.spending.get(key) || {}
+
+    for (const [period, name] of Object.entries(PERIODS)) {
+      if (spent[period]?.period !== name(now)) {
+        spent[period] = { period: name(now), tokens: 0, cost: 0 }
+      }
+    }
+
+    this.spending.set(key, spent)
+    return spent
+  }
+
+  /**
+   * Current spending of every key
+   */
+  getStates() {
+    return Array.from(this.spending.keys()).map(key => ({ key, ...this.getSpent(key) }))
+  }
+
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return
+    }
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay)
+    this.saveTimer.unref?.()
+  }
+
+  /**
+   * Write spending now, e.g. on shutdown
+   */
+  flush() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    if (!this.filePath) {
+      return
+    }
+
+    try {
+      writeJsonFile(this.filePath, { version: 1, spending: Object.fromEntries(this.spending) })
+    } catch (error) {
+      logger.error('Failed to save budget spending', { path: this.filePath, error: error.message })
+    }
+  }
+
+  /**
+   * Forget all spending (used by tests)
+   */
+  reset() {
+    this.spending.clear()
+  }
+}
+
+/**
+ * Key a request's spending is charged to: its virtual key id, or a hash of
+ * the API key the client sent
+ */
+export function budgetKey(req) {
+  if (req.virtualKey) {
+    return req.virtualKey.id
+  }
+  const apiKey = req.originalApiKey || req.apiKey || 'anonymous'
+  return `key_${crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16)}`
+}
+
+/**
+ * Seconds until a budget period starts over (midnight UTC, or the first of the month)
+ */
+export function secondsUntilReset(period, now = new Date()) {
+  const reset = period === 'monthly'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+  return Math.ceil((reset - now.getTime()) / 1000)
+}
+
+// Global singleton instance
+export const budgetTracker = new BudgetTracker(config.budgets)
+
+export default budgetTracker
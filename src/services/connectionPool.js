@@ -0,0 +1,136 @@
+import http from 'http'
+import https from 'https'
+import crypto from 'crypto'
+import { config } from '../config/index.js'
+import { logger } from './logger.js'
+
+/**
+ * Process-wide keep-alive agents for Qolaba calls.
+ *
+ * QolabaApiClient is created per request; its axios instance gets the agents
+ * of its API key from here, so requests made with the same key reuse open
+ * (TLS) connections. Keys get separate agents so one key's traffic cannot
+ * take all the sockets of another. Once there are more than maxPools, the
+ * least recently used idle pools are closed.
+ */
+export class ConnectionPool {
+  constructor(options = {}) {
+    this.options = {
+      keepAlive: options.keepAlive !== false,
+      keepAliveMsecs: options.keepAliveMsecs || 30000,
+      maxSockets: options.maxSockets || 100,
+      maxFreeSockets: options.maxFreeSockets || 10,
+      maxCachedSessions: options.maxCachedSessions || 100,
+      timeout: options.timeout || 60000
+    }
+    this.maxPools = options.maxPools || 100
+
+    // Pool id (hashed API key) -> { httpAgent, httpsAgent, createdAt, lastUsed, clients }
+    this.pools = new Map()
+  }
+
+  /**
+   * { httpAgent, httpsAgent } shared by every client of the API key
+   */
+  getAgents(apiKey) {
+    const id = poolId(apiKey)
+    let pool = this.pools.get(id)
+
+    if (pool) {
+      // Keep the Map in least recently used order
+      this.pools.delete(id)
+    } else {
+      pool = {
+        httpAgent: new http.Agent(this.options),
+        httpsAgent: new https.Agent(this.options),
+        createdAt: new Date().toISOString(),
+        clients: 0
+      }
+      logger.debug('Created connection pool', { pool: id, pools: this.pools.size + 1 })
+    }
+
+    pool.lastUsed = Date.now()
+    pool.clients++
+    this.pools.set(id, pool)
+    this.evict(id)
+
+    return { httpAgent: pool.httpAgent, httpsAgent: pool.httpsAgent }
+  }
+
+  // Pools with requests in flight are left alone, even if that keeps more than maxPools open
+  evict(keepId) {
+    for (const [id, pool] of this.pools) {
+      if (this.pools.size <= this.maxPools) {
+        return
+      }
+      if (id !== keepId && countSockets(pool.httpAgent.sockets) + countSockets(pool.httpsAgent.sockets) === 0) {
+        destroyPool(pool)
+        this.pools.delete(id)
+        logger.debug('Closed least recently used connection pool', { pool: id })
+      }
+    }
+  }
+
+  /**
+   * Sockets in use, free and queued requests, per pool and in total. Pools
+   * are identified by a hash of their API key.
+   */
+  getStats() {
+    const pools = []
+    const totals = { inUse: 0, free: 0, queued: 0 }
+
+    for (const [id, pool] of this.pools) {
+      const stats = {
+        id,
+        createdAt: pool.createdAt,
+        lastUsed: new Date(pool.lastUsed).toISOString(),
+        clients: pool.clients,
+        inUse: countSockets(pool.httpAgent.sockets) + countSockets(pool.httpsAgent.sockets),
+        free: countSockets(pool.httpAgent.freeSockets) + countSockets(pool.httpsAgent.freeSockets),
+        queued: countSockets(pool.httpAgent.requests) + countSockets(pool.httpsAgent.requests)
+      }
+      totals.inUse += stats.inUse
+      totals.free += stats.free
+      totals.queued += stats.queued
+      pools.push(stats)
+    }
+
+    return {
+      keepAlive: this.options.keepAlive,
+      maxSocketsPerPool: this.options.maxSockets,
+      maxFreeSocketsPerPool: this.options.maxFreeSockets,
+      maxPools: this.maxPools,
+      ...totals,
+      pools
+    }
+  }
+
+  /**
+   * Close every pooled connection, e.g. on shutdown
+   */
+  destroy() {
+    for (const pool of this.pools.values()) {
+      destroyPool(pool)
+    }
+    this.pools.clear()
+  }
+}
+
+function poolId(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 12)
+}
+
+// Agents keep sockets and queued requests in { 'host:port:': [...] } maps
+function countSockets(byOrigin) {
+  return Object.values(byOrigin || {}).reduce((total, list) => total + list.length, 0)
+}
+
+function destroyPool(pool) {
+  pool.httpAgent.destroy()
+  pool.httpsAgent.destroy()
+}
+
+// Global singleton instance
+export const connectionPool = new ConnectionPool(config.connectionPool)
+
+export default connectionPool
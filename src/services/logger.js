@@ -3,10 +3,62 @@ import { config } from '../config/index.js'
 import { safeStringify, safePayloadSize, sanitizeForLogging } from '../utils/serialization.js'
 import fs from 'fs'
 import path from 'path'
+import { stateStore } from './stateStore.js'
 
-// Rate limiting for log messages to prevent console flooding
+// Rate limiting for log messages to prevent console flooding. Winston formats
+// are synchronous, so entries are decided on here; how often messages that are
+// not tied to a request were logged is shared through the state store.
 const logRateLimiter = new Map()
 
+// Log counts not yet added to the state store, by key, and when they will be
+const pendingLogCounts = new Map()
+const LOG_COUNT_FLUSH_DELAY = 1000
+let logCountTimer = null
+
+/**
+ * Count a logged message towards the count every instance shares. Counts are
+ * added to the state store in batches, so logging never waits on it; the
+ * shared count comes back on the entry. Messages of a request only come from
+ * the instance serving it, so those stay local.
+ */
+function shareLogCount(key, requestId, entry) {
+  if (requestId !== 'global') {
+    return
+  }
+  pendingLogCounts.set(key, (pendingLogCounts.get(key) || 0) + 1)
+  if (!logCountTimer) {
+    logCountTimer = setTimeout(flushLogCounts, LOG_COUNT_FLUSH_DELAY)
+    logCountTimer.unref?.()
+  }
+}
+
+/**
+ * Add the pending log counts to the state store
+ */
+export function flushLogCounts() {
+  clearTimeout(logCountTimer)
+  logCountTimer = null
+
+  const batch = Array.from(pendingLogCounts.entries())
+  pendingLogCounts.clear()
+  return Promise.all(batch.map(([key, count]) =>
+    stateStore.increment(`logs:${key}`, count, 600000)
+      .then(sharedCount => {
+        const entry = logRateLimiter.get(key)
+        if (entry) {
+          entry.sharedCount = sharedCount
+        }
+      })
+      // Logging a store failure would only come back here
+      .catch(() => {})
+  ))
+}
+
+// Times an entry's message was logged, by any instance
+function loggedCount(entry) {
+  return Math.max(entry.count, entry.sharedCount || 0)
+}
+
 /**
  * Check if a log message should be rate limited
  * @param {string} level - Log level
@@ -24,11 +76,13 @@ function shouldLog(level, message, meta) {
   
   if (!entry) {
     // First occurrence - log and set rate limit
-    logRateLimiter.set(key, {
+    const created = {
       count: 1,
       firstLog: now,
       lastLog: now
-    })
+    }
+    logRateLimiter.set(key, created)
+    shareLogCount(key, requestId, created)
     return true
   }
   
@@ -40,6 +94,7 @@ function shouldLog(level, message, meta) {
   if (entry.count === 1) {
     entry.count++
     entry.lastLog = now
+    shareLogCount(key, requestId, entry)
     return true
   }
   
@@ -64,13 +119,14 @@ function shouldLog(level, message, meta) {
   const logsInLastMinute = Math.floor((now - entry.firstLog) / 60000) * maxLogsPerMinute +
                            Math.min(entry.count % maxLogsPerMinute, maxLogsPerMinute - 1)
   
-  if (entry.count >= maxLogsPerMinute && timeSinceFirstLog < 60000) {
+  if (loggedCount(entry) >= maxLogsPerMinute && timeSinceFirstLog < 60000) {
     return false // Exceeded max logs per minute
   }
   
   // Update rate limit entry
   entry.count++
   entry.lastLog = now
+  shareLogCount(key, requestId, entry)
   
   // Clean up old entries (older than 10 minutes)
   if (now - entry.firstLog > 600000) {
@@ -92,9 +148,9 @@ function getRateLimitSummary(level, message, meta) {
   const key = `${level}:${message}:${requestId}`
   const entry = logRateLimiter.get(key)
   
-  if (entry && entry.count > 1) {
+  if (entry && loggedCount(entry) > 1) {
     return {
-      suppressedCount: entry.count - 1,
+      suppressedCount: loggedCount(entry) - 1,
       timeWindow: Math.floor((Date.now() - entry.firstLog) / 1000)
     }
   }
@@ -281,7 +337,7 @@ const debugLogFormat = winston.format.combine(
     const key = `${level}:${message}:${requestId}`
     const entry = logRateLimiter.get(key)
     
-    if (entry && entry.count > 5 && level === 'debug') {
+    if (entry && loggedCount(entry) > 5 && level === 'debug') {
       return null // Skip excessive debug logs
     }
     
@@ -289,12 +345,15 @@ const debugLogFormat = winston.format.combine(
     if (entry) {
       entry.count++
       entry.lastLog = Date.now()
+      shareLogCount(key, requestId, entry)
     } else {
-      logRateLimiter.set(key, {
+      const created = {
         count: 1,
         firstLog: Date.now(),
         lastLog: Date.now()
-      })
+      }
+      logRateLimiter.set(key, created)
+      shareLogCount(key, requestId, created)
     }
     
     let log = `${timestamp} [${level.toUpperCase()}]: ${message}`
@@ -455,13 +514,14 @@ export const logQolabaRequest = (endpoint, method, payload, responseTime, status
 }
 
 // Usage tracker logger
-export const logUsage = (model, inputTokens, outputTokens, cost, userId) => {
+export const logUsage = (model, inputTokens, outputTokens, cost, userId, metadata = {}) => {
   logger.info('Usage metrics', {
     model,
     inputTokens,
     outputTokens,
     cost,
     userId,
+    ...metadata,
     timestamp: new Date().toISOString()
   })
 }
@@ -0,0 +1,626 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import Joi from 'joi'
+import yaml from 'js-yaml'
+import { config } from '../config/index.js'
+import { logger } from './logger.js'
+
+/**
+ * Registry of the models the proxy routes to Qolaba.
+ *
+ * The catalog file (config/models.yaml by default) lists upstream models,
+ * the aliases clients may use for them and wildcard/regex alias rules, each
+ * with optional default parameters. Models and aliases may name fallback
+ * models to try when the upstream provider fails. Everything that needs a model list reads
+ * it from here: request routing (getModelConfig), /v1/models,
+ * QolabaApiClient.getModels and the context window budget.
+ *
+ * The file can be watched and reloaded at runtime. A new version is validated
+ * before it is swapped in; an invalid one is logged, kept as lastReloadError,
+ * and the previous catalog stays in use.
+ *
+ * When discovery is enabled, the catalog is refreshed from Qolaba at most once
+ * per TTL: models Qolaba reports but the catalog lacks are added, and catalog
+ * models Qolaba does not report are no longer listed.
+ */
+export class ModelRegistry {
+  constructor(options = {}) {
+    this.catalogPath = options.path || 'config/models.yaml'
+    this.discoveryEnabled = options.discoveryEnabled || false
+    this.discoveryTtl = options.discoveryTtl || 3600000
+    this.defaultModelId = options.defaultModel
+    this.watchInterval = options.watchInterval || 2000
+
+    this.models = new Map()
+    this.aliases = new Map()
+    this.rules = []
+    this.defaultContextWindow = 128000
+
+    // Reload state, shown on the admin endpoint
+    this.version = null
+    this.loadedAt = null
+    this.lastReloadError = null
+    this.watchedFile = null
+
+    // Discovery state: upstream llm_models seen in the last refresh (null until one succeeds)
+    this.discovered = null
+    this.discoveredAt = 0
+    this.lastDiscoveryError = null
+    this.pendingRefresh = null
+
+    this.load()
+  }
+
+  /**
+   * Load the catalog file and swap it in. Throws when it is missing or invalid,
+   * leaving the current catalog untouched.
+   */
+  load(catalogPath = this.catalogPath) {
+    const file = path.resolve(catalogPath)
+    const text = fs.readFileSync(file, 'utf8')
+    const catalog = validateCatalog(parseCatalog(text, file), file)
+    const { models, aliases, rules } = buildCatalog(catalog, file)
+
+    this.catalogPath = catalogPath
+    this.models = models
+    this.aliases = aliases
+    this.rules = rules
+    this.defaultContextWindow = catalog.default_context_window
+    this.version = catalog.version !== undefined ? String(catalog.version) : crypto.createHash('sha256').update(text).digest('hex').slice(0, 12)
+    this.loadedAt = new Date().toISOString()
+    this.lastReloadError = null
+    this.discovered = null
+    this.discoveredAt = 0
+
+    logger.info('Loaded model catalog', {
+      path: file,
+      version: this.version,
+      models: models.size,
+      aliases: aliases.size,
+      rules: rules.length
+    })
+  }
+
+  /**
+   * Reload the catalog file, keeping the current one when the new version is
+   * invalid. Returns whether the new version was loaded.
+   */
+  reload() {
+    try {
+      this.load()
+      return true
+    } catch (error) {
+      this.lastReloadError = { message: error.message, at: new Date().toISOString() }
+      logger.error('Model catalog reload failed, keeping the current version', {
+        path: this.catalogPath,
+        version: this.version,
+        error: error.message
+      })
+      return false
+    }
+  }
+
+  /**
+   * Reload the catalog whenever the file changes (polled, so it also works on
+   * mounted volumes). The watcher does not keep the process alive.
+   */
+  watch() {
+    if (this.watchedFile) {
+      return
+    }
+
+    this.watchedFile = path.resolve(this.catalogPath)
+    fs.watchFile(this.watchedFile, { interval: this.watchInterval, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.info('Model catalog changed, reloading', { path: this.watchedFile })
+        this.reload()
+      }
+    })
+  }
+
+  unwatch() {
+    if (this.watchedFile) {
+      fs.unwatchFile(this.watchedFile)
+      this.watchedFile = null
+    }
+  }
+
+  /**
+   * Loaded version, counts and reload/discovery errors, for the admin endpoint
+   */
+  getStatus() {
+    return {
+      path: path.resolve(this.catalogPath),
+      version: this.version,
+      loaded_at: this.loadedAt,
+      watching: this.watchedFile !== null,
+      models: this.models.size,
+      aliases: this.aliases.size,
+      rules: this.rules.length,
+      last_reload_error: this.lastReloadError,
+      discovery: {
+        enabled: this.discoveryEnabled,
+        refreshed_at: this.discovered !== null ? new Date(this.discoveredAt).toISOString() : null,
+        last_error: this.lastDiscoveryError
+      }
+    }
+  }
+
+  /**
+   * Routing config ({ id, llm, llm_model, provider, contextWindow, defaults, fallbacks })
+   * of a model id, alias or alias rule match, or null when it does not route
+   * anywhere. For aliases, id is the catalog model they point to, defaults
+   * merge the model's and the alias' default parameters and the alias'
+   * fallbacks replace the model's.
+   */
+  resolve(modelId) {
+    if (this.models.has(modelId)) {
+      return this.models.get(modelId)
+    }
+
+    const alias = this.aliases.get(modelId)
+    if (alias) {
+      return withFallbacks(withDefaults(this.models.get(alias.model), alias.defaults), alias.fallbacks)
+    }
+
+    // Rules are tried in file order; $1, $2... in the target refer to regex groups
+    for (const rule of this.rules) {
+      const match = typeof modelId === 'string' ? rule.pattern.exec(modelId) : null
+      if (match) {
+        const target = rule.model.replace(/\$(\d+)/g, (_, group) => match[group] ?? '')
+        const targetAlias = this.aliases.get(target)
+        const model = this.models.get(targetAlias ? targetAlias.model : target)
+        if (model) {
+          return withFallbacks(withDefaults(model, { ...targetAlias?.defaults, ...rule.defaults }), targetAlias?.fallbacks)
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Routing configs to try in order for a resolved model: the model itself,
+   * then its fallbacks. Fallbacks that run the same upstream model as an
+   * earlier entry are skipped.
+   */
+  getFallbackChain(modelConfig) {
+    const chain = [modelConfig]
+
+    for (const id of modelConfig.fallbacks || []) {
+      const fallback = this.resolve(id)
+      if (fallback && !chain.some(model => model.llm_model === fallback.llm_model)) {
+        chain.push(fallback)
+      }
+    }
+
+    return chain
+  }
+
+  /**
+   * Routable id a loosely written model name most likely means, or null when
+   * there is no single candidate. Matches ignore case, a vendor prefix
+   * ("openai/gpt-4o"), a missing date or -latest suffix ("gpt-4.1" for
+   * "gpt-4.1-2025-04-14") and a missing OpenRouter vendor ("sonar-pro").
+   */
+  findClosest(modelName) {
+    const name = String(modelName || '').trim().toLowerCase()
+    if (!name) {
+      return null
+    }
+
+    const ids = this.getRoutableIds()
+    const names = [name]
+    if (name.includes('/')) {
+      names.push(name.slice(name.lastIndexOf('/') + 1))
+    }
+
+    for (const candidate of names) {
+      const exact = ids.filter(id => id.toLowerCase() === candidate)
+      if (exact.length === 1) {
+        return exact[0]
+      }
+
+      const matches = ids.filter(id => {
+        const lower = id.toLowerCase()
+        return (lower.startsWith(candidate) && VERSION_SUFFIX.test(lower.slice(candidate.length))) ||
+          lower.endsWith(`/${candidate}`)
+      })
+      if (matches.length === 1) {
+        return matches[0]
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Up to `limit` routable ids close to a model name, closest first
+   */
+  suggest(modelName, limit = 3) {
+    const name = String(modelName || '').trim().toLowerCase()
+    const family = name.split(/[-/]/)[0]
+
+    return this.getRoutableIds()
+      .map(id => ({
+        id,
+        related: rankRelation(name, family, id.toLowerCase()),
+        distance: editDistance(name, id.toLowerCase())
+      }))
+      .sort((a, b) => a.related - b.related || a.distance - b.distance)
+      .slice(0, limit)
+      .map(candidate => candidate.id)
+  }
+
+  getRoutableIds() {
+    return [...this.models.keys(), ...this.aliases.keys()]
+  }
+
+  /**
+   * Routing config of DEFAULT_MODEL, or of the first catalog model when it is unknown
+   */
+  getDefault() {
+    return this.resolve(this.defaultModelId) || this.models.values().next().value
+  }
+
+  /**
+   * Every routable id with its { llm, llm_model, provider }, plus 'default'
+   */
+  getMappings() {
+    const mappings = {}
+    for (const id of this.getRoutableIds()) {
+      mappings[id] = toMapping(this.resolve(id))
+    }
+    mappings.default = toMapping(this.getDefault())
+    return mappings
+  }
+
+  /**
+   * Context window in tokens of an upstream model (by llm_model)
+   */
+  getContextWindow(llmModel) {
+    for (const model of this.models.values()) {
+      if (model.llm_model === llmModel && model.contextWindow) {
+        return model.contextWindow
+      }
+    }
+    return this.defaultContextWindow
+  }
+
+  /**
+   * OpenAI model objects for /v1/models: available models and listed aliases
+   */
+  listModels() {
+    const created = Date.now()
+    const data = []
+
+    for (const model of this.models.values()) {
+      if (this.isAvailable(model)) {
+        data.push(toModelObject(model.id, model, created))
+      }
+    }
+
+    for (const [id, alias] of this.aliases) {
+      const target = this.models.get(alias.model)
+      if (alias.listed && this.isAvailable(target)) {
+        data.push(toModelObject(id, target, created))
+      }
+    }
+
+    return data
+  }
+
+  /**
+   * Whether Qolaba reported the model in the last discovery (always true without one)
+   */
+  isAvailable(model) {
+    return this.discovered === null || this.discovered.has(model.llm_model)
+  }
+
+  isStale() {
+    return this.discoveryEnabled && Date.now() - this.discoveredAt >= this.discoveryTtl
+  }
+
+  /**
+   * Refresh the catalog from Qolaba when discovery is enabled and the last
+   * result is older than the TTL. Never throws: on failure the catalog stays
+   * as it was and the error is kept for diagnostics.
+   */
+  async refreshIfStale(client) {
+    if (!client || !this.isStale()) {
+      return
+    }
+
+    // Concurrent callers share one discovery call
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.refresh(client).finally(() => {
+        this.pendingRefresh = null
+      })
+    }
+    await this.pendingRefresh
+  }
+
+  async refresh(client) {
+    try {
+      const discovered = normalizeDiscovered(await client.discoverModels())
+      if (discovered.length === 0) {
+        throw new Error('Discovery returned no models')
+      }
+
+      let added = 0
+      for (const model of discovered) {
+        if (!this.resolveUpstream(model.llm_model)) {
+          this.models.set(model.llm_model, {
+            id: model.llm_model,
+            llm: model.llm,
+            llm_model: model.llm_model,
+            provider: model.llm,
+            contextWindow: null,
+            defaults: null,
+            fallbacks: []
+          })
+          added++
+        }
+      }
+
+      this.discovered = new Set(discovered.map(model => model.llm_model))
+      this.discoveredAt = Date.now()
+      this.lastDiscoveryError = null
+
+      const unavailable = [...this.models.values()]
+        .filter(model => !this.isAvailable(model))
+        .map(model => model.id)
+
+      logger.info('Refreshed model catalog from Qolaba', {
+        discovered: discovered.length,
+        added,
+        unavailable
+      })
+    } catch (error) {
+      // Retry after another TTL rather than on every request
+      this.discoveredAt = Date.now()
+      this.lastDiscoveryError = error.message
+      logger.warn('Model discovery failed, keeping the current catalog', {
+        error: error.message
+      })
+    }
+  }
+
+  resolveUpstream(llmModel) {
+    return [...this.models.values()].find(model => model.llm_model === llmModel) || null
+  }
+}
+
+// Date or -latest suffix a model name may leave out
+const VERSION_SUFFIX = /^-(\d{4}-\d{2}-\d{2}|\d{8}|latest)$/
+
+// Suggestions extending the name come first, then ones of the same family
+function rankRelation(name, family, id) {
+  if (name && id.startsWith(name)) {
+    return 0
+  }
+  return family && id.includes(family) ? 1 : 2
+}
+
+// Levenshtein distance, for suggestions
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+function parseCatalog(text, file) {
+  try {
+    return /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text)
+  } catch (error) {
+    throw new Error(`Invalid model catalog ${file}: ${error.message}`)
+  }
+}
+
+const defaultsSchema = Joi.object({
+  temperature: Joi.number().min(0).max(2),
+  max_tokens: Joi.number().integer().min(1).max(32768),
+  system_prompt_prefix: Joi.string()
+})
+
+const fallbacksSchema = Joi.array().items(Joi.string()).unique()
+
+const catalogSchema = Joi.object({
+  version: Joi.alternatives(Joi.string(), Joi.number()),
+  default_context_window: Joi.number().integer().positive().default(128000),
+  models: Joi.array().min(1).unique('id').required().items(Joi.object({
+    id: Joi.string().required(),
+    llm: Joi.string().required(),
+    llm_model: Joi.string(),
+    provider: Joi.string(),
+    context_window: Joi.number().integer().positive(),
+    defaults: defaultsSchema,
+    fallbacks: fallbacksSchema
+  })),
+  aliases: Joi.object().pattern(Joi.string(), Joi.alternatives(
+    Joi.string(),
+    Joi.object({
+      model: Joi.string().required(),
+      listed: Joi.boolean(),
+      defaults: defaultsSchema,
+      fallbacks: fallbacksSchema
+    })
+  )).default({}),
+  rules: Joi.array().default([]).items(Joi.object({
+    match: Joi.string(),
+    regex: Joi.string().custom(checkRegex, 'regular expression'),
+    flags: Joi.string().pattern(/^[imsu]*$/),
+    model: Joi.string().required(),
+    defaults: defaultsSchema
+  }).xor('match', 'regex'))
+})
+
+// Throws (and so fails validation) on patterns that do not compile
+function checkRegex(value) {
+  RegExp(value)
+  return value
+}
+
+function validateCatalog(catalog, file) {
+  const { value, error } = catalogSchema.validate(catalog, { abortEarly: false })
+  if (error) {
+    throw new Error(`Invalid model catalog ${file}: ${error.details.map(detail => detail.message).join('; ')}`)
+  }
+  return value
+}
+
+// Turn a validated catalog into lookup structures; also checks that every alias and fallback routes somewhere
+function buildCatalog(catalog, file) {
+  const fail = (message) => {
+    throw new Error(`Invalid model catalog ${file}: ${message}`)
+  }
+
+  const models = new Map()
+  for (const entry of catalog.models) {
+    models.set(entry.id, {
+      id: entry.id,
+      llm: entry.llm,
+      llm_model: entry.llm_model || entry.id,
+      provider: entry.provider || entry.llm,
+      contextWindow: entry.context_window || null,
+      defaults: entry.defaults || null,
+      fallbacks: entry.fallbacks || []
+    })
+  }
+
+  const aliases = new Map()
+  for (const [id, value] of Object.entries(catalog.aliases)) {
+    const alias = typeof value === 'string' ? { model: value } : value
+    if (models.has(id)) {
+      fail(`alias ${id} shadows a model`)
+    }
+    if (!models.has(alias.model)) {
+      fail(`alias ${id} points to unknown model ${alias.model}`)
+    }
+    aliases.set(id, {
+      model: alias.model,
+      listed: alias.listed === true,
+      defaults: alias.defaults || null,
+      fallbacks: alias.fallbacks || null
+    })
+  }
+
+  const fallbackLists = [
+    ...[...models.values()].map(model => [model.id, model.fallbacks]),
+    ...[...aliases].map(([id, alias]) => [id, alias.fallbacks || []])
+  ]
+  for (const [id, fallbacks] of fallbackLists) {
+    const unknown = fallbacks.find(fallback => !models.has(fallback) && !aliases.has(fallback))
+    if (unknown) {
+      fail(`fallback ${unknown} of ${id} is not a model or alias`)
+    }
+  }
+
+  const rules = catalog.rules.map(rule => {
+    const source = rule.regex || rule.match
+    // Targets with regex group references can only be checked once they match
+    if (!rule.model.includes('$') && !models.has(rule.model) && !aliases.has(rule.model)) {
+      fail(`rule ${source} points to unknown model ${rule.model}`)
+    }
+    return {
+      source,
+      pattern: rule.regex ? new RegExp(rule.regex, rule.flags) : wildcardToRegExp(rule.match),
+      model: rule.model,
+      defaults: rule.defaults || null
+    }
+  })
+
+  return { models, aliases, rules }
+}
+
+// "claude-*" style patterns: * is any run of characters, ? a single one
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+// A model's routing config with alias or rule defaults layered on top
+function withDefaults(model, defaults) {
+  if (!defaults || Object.keys(defaults).length === 0) {
+    return model
+  }
+  return { ...model, defaults: { ...model.defaults, ...defaults } }
+}
+
+// An alias' fallbacks, when it sets any, replace the model's
+function withFallbacks(model, fallbacks) {
+  return fallbacks ? { ...model, fallbacks } : model
+}
+
+// Accepts [{ llm, llm_model }], { models | data: [...] } or { <llm>: [llm_model, ...] }
+function normalizeDiscovered(response) {
+  const list = Array.isArray(response) ? response : (response?.models || response?.data)
+
+  if (Array.isArray(list)) {
+    return list
+      .map(item => ({
+        llm: item?.llm || item?.provider,
+        llm_model: item?.llm_model || item?.model || item?.id
+      }))
+      .filter(model => model.llm && model.llm_model)
+  }
+
+  if (response && typeof response === 'object') {
+    return Object.entries(response)
+      .filter(([, names]) => Array.isArray(names))
+      .flatMap(([llm, names]) => names.map(name => ({ llm, llm_model: name })))
+  }
+
+  return []
+}
+
+function toMapping(model) {
+  return {
+    llm: model.llm,
+    llm_model: model.llm_model,
+    provider: model.provider
+  }
+}
+
+function toModelObject(id, model, created) {
+  return {
+    id,
+    object: 'model',
+    created,
+    owned_by: model.provider.toLowerCase(),
+    permission: [],
+    root: model.id,
+    parent: null
+  }
+}
+
+// Global singleton instance
+export const modelRegistry = new ModelRegistry({
+  ...config.modelCatalog,
+  defaultModel: config.models.default
+})
+
+// Existing callers read the mappings from config
+Object.defineProperty(config, 'modelMappings', {
+  get: () => modelRegistry.getMappings(),
+  enumerable: true,
+  configurable: true
+})
+
+export default modelRegistry
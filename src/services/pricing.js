@@ -0,0 +1,98 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import yaml from 'js-yaml'
+import Joi from 'joi'
+import { config } from '../config/index.js'
+import { logger } from './logger.js'
+
+const priceTableSchema = Joi.object({
+  version: Joi.alternatives(Joi.string(), Joi.number()),
+  text_models: Joi.object().pattern(Joi.string(), Joi.object({
+    input_tokens: Joi.number().min(0).required(),
+    output_tokens: Joi.number().min(0).required(),
+    currency: Joi.string().default('USD')
+  })).default({}),
+  image_models: Joi.object().pattern(Joi.string(), Joi.object({
+    credits_per_image: Joi.number().min(0).required(),
+    currency: Joi.string().default('credits')
+  })).default({}),
+  voice_models: Joi.object().pattern(Joi.string(), Joi.object({
+    credits_per_request: Joi.number().min(0).required(),
+    currency: Joi.string().default('credits')
+  })).default({})
+})
+
+/**
+ * Qolaba prices, read from config/pricing.yaml and served by
+ * GET /v1/models/pricing. Text model prices are in USD per 1K tokens and are
+ * used to estimate the cost of each request.
+ */
+export class PriceTable {
+  constructor(options = {}) {
+    this.filePath = options.path || 'config/pricing.yaml'
+    this.prices = { text_models: {}, image_models: {}, voice_models: {} }
+    this.version = null
+    this.loadedAt = null
+    this.load()
+  }
+
+  /**
+   * Load the price table, optionally from another file. Throws when it is
+   * missing or invalid, leaving the current prices untouched.
+   */
+  load(filePath = this.filePath) {
+    const file = path.resolve(filePath)
+    const text = fs.readFileSync(file, 'utf8')
+    const { value, error } = priceTableSchema.validate(parsePriceTable(text, file), { abortEarly: false })
+    if (error) {
+      throw new Error(`Invalid price table ${file}: ${error.details.map(detail => detail.message).join('; ')}`)
+    }
+
+    const { version, ...prices } = value
+    this.filePath = filePath
+    this.prices = prices
+    this.version = version !== undefined ? String(version) : crypto.createHash('sha256').update(text).digest('hex').slice(0, 12)
+    this.loadedAt = new Date().toISOString()
+
+    logger.info('Loaded price table', { path: file, version: this.version, textModels: Object.keys(prices.text_models).length })
+  }
+
+  /**
+   * Whether a model has a text price, so its requests can be costed
+   */
+  hasPrice(model) {
+    return Boolean(this.prices.text_models[model])
+  }
+
+  /**
+   * Estimated USD cost of a request's usage, or null when the model has no price
+   */
+  estimateCost(model, usage) {
+    const price = this.prices.text_models[model]
+    if (!price || !usage) {
+      return null
+    }
+    return ((usage.promptTokens || 0) * price.input_tokens + (usage.completionTokens || 0) * price.output_tokens) / 1000
+  }
+}
+
+function parsePriceTable(text, file) {
+  try {
+    return /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text)
+  } catch (error) {
+    throw new Error(`Invalid price table ${file}: ${error.message}`)
+  }
+}
+
+// Global singleton instance
+export const priceTable = new PriceTable(config.pricing)
+
+/**
+ * Estimated USD cost of a request's usage with the loaded price table
+ */
+export function estimateCost(model, usage) {
+  return priceTable.estimateCost(model, usage)
+}
+
+export default priceTable
@@ -3,9 +3,27 @@ import axios from 'axios'
 import { config } from '../config/index.js'
 import { logger, logQolabaRequest } from './logger.js'
 import { safeStringify } from '../utils/serialization.js'
+import { resolveUsage } from '../utils/tokenizer.js'
+import { modelRegistry } from './modelRegistry.js'
+import { RetryHelper, providerCircuitBreakers } from '../utils/retryHelper.js'
+import { ProviderUnavailableError, RequestCancelledError } from '../middleware/errorHandler.js'
+import { concurrencyMonitor } from '../utils/concurrencyMonitor.js'
+import { connectionPool } from './connectionPool.js'
+import { isCancellation } from '../utils/cancellation.js'
+
+// Connection health is process-wide; clients are created per request
+const connectionHealth = createConnectionHealth()
 
 export class QolabaApiClient {
-  constructor(apiKey) {
+  /**
+   * options.requestId ties the client's upstream attempts to a proxy request
+   * in the logs and the concurrency monitor; options.signal cancels its calls
+   * (e.g. when the client disconnects) unless a call passes its own
+   */
+  constructor(apiKey, options = {}) {
+    this.requestId = options.requestId || null
+    this.signal = options.signal || null
+
     this.client = axios.create({
       baseURL: config.qolaba.baseUrl,
       timeout: config.qolaba.timeout,
@@ -13,12 +31,8 @@ export class QolabaApiClient {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${apiKey}`
       },
-      // Connection pool configuration
-      maxSockets: config.connectionPool.maxSockets,
-      maxFreeSockets: config.connectionPool.maxFreeSockets,
-      keepAlive: config.connectionPool.keepAlive,
-      keepAliveMsecs: config.connectionPool.keepAliveMsecs,
-      maxCachedSessions: config.connectionPool.maxCachedSessions,
+      // Keep-alive agents shared by every client of this API key
+      ...connectionPool.getAgents(apiKey),
       // Additional connection settings
       maxRedirects: 5,
       validateStatus: (status) => status < 500, // Don't throw on 4xx errors
@@ -28,14 +42,7 @@ export class QolabaApiClient {
     })
 
     // Add connection health tracking
-    this.connectionHealth = {
-      totalRequests: 0,
-      failedRequests: 0,
-      lastError: null,
-      lastErrorTime: null,
-      consecutiveFailures: 0,
-      maxConsecutiveFailures: 5
-    }
+    this.connectionHealth = connectionHealth
 
     // Request interceptor for logging
     this.client.interceptors.request.use(
@@ -82,7 +89,42 @@ export class QolabaApiClient {
     return sanitized
   }
 
-  async streamChat(payload, onChunk) {
+  /**
+   * Stream a chat reply, passing each parsed chunk to onChunk. Failed attempts
+   * are retried under config.retry.stream until the first chunk has been
+   * passed on. Fails fast with ProviderUnavailableError while the provider's
+   * circuit breaker is open. Aborting options.signal destroys the upstream
+   * stream and rejects with RequestCancelledError.
+   */
+  async streamChat(payload, onChunk, options = {}) {
+    const signal = options.signal || this.signal
+    let started = false
+
+    return this.withRetries('stream', payload, async () => {
+      throwIfCancelled(signal)
+      this.checkCircuit(payload.llm)
+
+      try {
+        const result = await this.streamChatUpstream(payload, (chunk) => {
+          if (chunk.output) {
+            started = true
+          }
+          onChunk(chunk)
+        }, signal)
+        this.recordSuccess(payload.llm)
+        return result
+      } catch (error) {
+        const cancellation = toCancellation(error, signal)
+        if (cancellation) {
+          throw cancellation
+        }
+        this.recordFailure(error, payload.llm)
+        throw error
+      }
+    }, () => !started)
+  }
+
+  async streamChatUpstream(payload, onChunk, signal = null) {
     const startTime = Date.now()
     
     // DIAGNOSTIC: Log timeout configuration for debugging
@@ -100,15 +142,23 @@ export class QolabaApiClient {
           'Accept': 'text/event-stream',
           'Cache-Control': 'no-cache'
         },
-        timeout: 120000 // CRITICAL FIX: Aligned with unified timeout manager (120 seconds)
+        timeout: 120000, // CRITICAL FIX: Aligned with unified timeout manager (120 seconds)
+        signal
       })
 
+      // 4xx answers resolve (see validateStatus); there is no stream to read from them
+      if (!isSuccessStatus(response.status)) {
+        response.data?.destroy?.()
+        throw createUpstreamStatusError('/streamChat', response, null)
+      }
+
       let buffer = ''
       let totalOutput = ''
       let isStreamEnded = false
       let lastChunkTime = Date.now()
-      
-      return new Promise((resolve, reject) => {
+      let handleAbort = null
+
+      const stream = new Promise((resolve, reject) => {
         // CRITICAL FIX: Improved stream data handling with provider latency accommodation
         const handleData = (chunk) => {
           try {
@@ -149,11 +199,7 @@ export class QolabaApiClient {
                   
                   resolve({
                     output: totalOutput,
-                    usage: {
-                      promptTokens: 0,
-                      completionTokens: totalOutput.length / 4, // Rough estimate
-                      totalTokens: totalOutput.length / 4
-                    }
+                    usage: resolveUsage(null, payload, totalOutput)
                   })
                   return
                 }
@@ -189,11 +235,7 @@ export class QolabaApiClient {
                   
                   resolve({
                     output: totalOutput,
-                    usage: {
-                      promptTokens: data.promptTokens || 0,
-                      completionTokens: data.completionTokens || 0,
-                      totalTokens: (data.promptTokens || 0) + (data.completionTokens || 0)
-                    }
+                    usage: resolveUsage(data, payload, totalOutput)
                   })
                   return
                 }
@@ -227,7 +269,7 @@ export class QolabaApiClient {
           })
           
           cleanupStream(response, 'error')
-          reject(new Error(`Streaming error: ${error.message}`))
+          reject(Object.assign(new Error(`Streaming error: ${error.message}`), { code: error.code }))
         }
 
         // CRITICAL FIX: Enhanced end handling with proper cleanup
@@ -244,11 +286,7 @@ export class QolabaApiClient {
             logQolabaRequest('/streamChat', 'POST', payload, responseTime, 200)
             resolve({
               output: totalOutput,
-              usage: {
-                promptTokens: 0,
-                completionTokens: totalOutput.length / 4, // Rough estimate
-                totalTokens: totalOutput.length / 4
-              }
+              usage: resolveUsage(null, payload, totalOutput)
             })
           } else {
             logQolabaRequest('/streamChat', 'POST', payload, responseTime, 'ERROR')
@@ -279,10 +317,30 @@ export class QolabaApiClient {
           }
         }
 
+        // Client went away: stop pulling tokens (and credits) from Qolaba
+        handleAbort = () => {
+          if (isStreamEnded) return
+
+          isStreamEnded = true
+          logQolabaRequest('/streamChat', 'POST', payload, Date.now() - startTime, 'CANCELLED')
+          logger.info('Upstream stream cancelled by the client', {
+            requestId: this.requestId,
+            outputLength: totalOutput.length
+          })
+
+          cleanupStream(response, 'client_cancelled')
+          reject(new RequestCancelledError())
+        }
+
         // Set up event listeners with proper error handling
         response.data.on('data', handleData)
         response.data.on('error', handleError)
         response.data.on('end', handleEnd)
+        if (signal?.aborted) {
+          handleAbort()
+        } else {
+          signal?.addEventListener('abort', handleAbort, { once: true })
+        }
         
         // CRITICAL FIX: Adaptive timeout based on data activity
         const checkStreamActivity = () => {
@@ -335,8 +393,14 @@ export class QolabaApiClient {
 
         Promise.resolve().finally(cleanup)
       })
+
+      return stream.finally(() => signal?.removeEventListener('abort', handleAbort))
     } catch (error) {
       const responseTime = Date.now() - startTime
+      if (axios.isCancel(error)) {
+        logQolabaRequest('/streamChat', 'POST', payload, responseTime, 'CANCELLED')
+        throw new RequestCancelledError()
+      }
       logQolabaRequest('/streamChat', 'POST', payload, responseTime, error.response?.status || 'ERROR')
       
       // Add more specific error handling with enhanced logging
@@ -347,14 +411,14 @@ export class QolabaApiClient {
           errorCode: error.code,
           stack: error.stack
         })
-        throw new Error('Streaming request timeout')
+        throw Object.assign(new Error('Streaming request timeout'), { code: error.code })
       } else if (error.code === 'ECONNRESET') {
         logger.error('Qolaba API connection reset', {
           errorMessage: error.message,
           errorCode: error.code,
           stack: error.stack
         })
-        throw new Error('Connection reset during streaming')
+        throw Object.assign(new Error('Connection reset during streaming'), { code: error.code })
       } else {
         logger.error('Qolaba API unexpected error', {
           errorMessage: error.message,
@@ -366,26 +430,43 @@ export class QolabaApiClient {
     }
   }
 
-  async chat(payload) {
+  /**
+   * Non-streaming chat call. Fails fast with ProviderUnavailableError while
+   * the provider's circuit breaker is open, and with RequestCancelledError
+   * once options.signal is aborted.
+   */
+  async chat(payload, options = {}) {
+    const signal = options.signal || this.signal
+    return this.withRetries('chat', payload, () => this.chatOnce(payload, signal))
+  }
+
+  async chatOnce(payload, signal = null) {
+    throwIfCancelled(signal)
+    this.checkCircuit(payload.llm)
     const startTime = Date.now()
     
     try {
-      const response = await this.client.post('/chat', payload)
+      const response = await this.client.post('/chat', payload, { signal })
+      if (!isSuccessStatus(response.status)) {
+        throw createUpstreamStatusError('/chat', response)
+      }
       const responseTime = Date.now() - startTime
       
       logQolabaRequest('/chat', 'POST', payload, responseTime, response.status)
+      this.recordSuccess(payload.llm)
       
       return {
         output: response.data.output,
-        usage: {
-          promptTokens: response.data.promptTokens || 0,
-          completionTokens: response.data.completionTokens || 0,
-          totalTokens: (response.data.promptTokens || 0) + (response.data.completionTokens || 0)
-        }
+        usage: resolveUsage(response.data, payload, response.data.output)
       }
     } catch (error) {
       const responseTime = Date.now() - startTime
-      logQolabaRequest('/chat', 'POST', payload, responseTime, error.response?.status || 'ERROR')
+      const cancellation = toCancellation(error, signal)
+      logQolabaRequest('/chat', 'POST', payload, responseTime, cancellation ? 'CANCELLED' : error.response?.status || 'ERROR')
+      if (cancellation) {
+        throw cancellation
+      }
+      this.recordFailure(error, payload.llm)
       throw error
     }
   }
@@ -401,72 +482,28 @@ export class QolabaApiClient {
     }
   }
 
+  /**
+   * Models the proxy routes to, from the model registry
+   */
   async getModels() {
-    try {
-      // Since Qolaba doesn't have a models endpoint, return available models from config
-      const availableModels = [
-        {
-          id: 'gpt-4.1-mini-2025-04-14',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai'
-        },
-        {
-          id: 'gpt-4.1-2025-04-14',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai'
-        },
-        {
-          id: 'gpt-4o-mini',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'openai'
-        },
-        {
-          id: 'claude-3-5-sonnet-20241022',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'anthropic'
-        },
-        {
-          id: 'gemini-1.5-pro',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'google'
-        },
-        {
-          id: 'gemini-1.5-flash',
-          object: 'model',
-          created: Date.now(),
-          owned_by: 'google'
-        }
-      ]
-      
-      return {
-        object: 'list',
-        data: availableModels
-      }
-    } catch (error) {
-      logger.error('Failed to get models:', error)
-      throw error
+    return {
+      object: 'list',
+      data: modelRegistry.listModels()
     }
   }
 
-  async getUsageInfo() {
-    try {
-      // This would need to be implemented based on Qolaba's actual usage API
-      // For now, return a mock response
-      return {
-        credits_available: 1000,
-        credits_used: 100,
-        requests_today: 25,
-        requests_this_month: 500
-      }
-    } catch (error) {
-      logger.error('Failed to get usage info:', error)
-      throw error
+  /**
+   * Ask Qolaba which models it serves (used by the model registry's discovery)
+   */
+  async discoverModels() {
+    const startTime = Date.now()
+    const response = await this.client.get(config.modelCatalog.discoveryPath)
+    logQolabaRequest(config.modelCatalog.discoveryPath, 'GET', null, Date.now() - startTime, response.status)
+
+    if (response.status >= 400) {
+      throw new Error(`Model discovery failed with status ${response.status}`)
     }
+    return response.data
   }
 
   /**
@@ -534,14 +571,7 @@ export class QolabaApiClient {
    * Reset connection health tracking
    */
   resetConnectionHealth() {
-    this.connectionHealth = {
-      totalRequests: 0,
-      failedRequests: 0,
-      lastError: null,
-      lastErrorTime: null,
-      consecutiveFailures: 0,
-      maxConsecutiveFailures: 5
-    }
+    Object.assign(this.connectionHealth, createConnectionHealth())
   }
 
   /**
@@ -551,23 +581,119 @@ export class QolabaApiClient {
     return this.connectionHealth.consecutiveFailures < this.connectionHealth.maxConsecutiveFailures
   }
 
+  /**
+   * Run an upstream call under the config.retry[policy] retry policy, tracking
+   * every attempt in the concurrency monitor. canRetry can rule out retries
+   * the policy would allow.
+   */
+  withRetries(policy, payload, call, canRetry = () => true) {
+    const retryHelper = new RetryHelper(config.retry[policy])
+    const context = { requestId: this.requestId, operation: policy, model: payload.llm_model }
+
+    return retryHelper.execute(async (attempt) => {
+      const startTime = Date.now()
+      const track = (outcome, error = null) => concurrencyMonitor.trackAttempt(this.requestId, {
+        operation: policy,
+        model: payload.llm_model,
+        attempt: attempt + 1,
+        outcome,
+        duration: Date.now() - startTime,
+        ...(error && { error: error.message, errorCode: error.code, statusCode: error.response?.status })
+      })
+
+      try {
+        const result = await call()
+        track('success')
+        return result
+      } catch (error) {
+        track(isCancellation(error) ? 'cancelled' : 'failed', error)
+        throw error
+      }
+    }, context, { canRetry })
+  }
+
+  /**
+   * Throw ProviderUnavailableError when the provider's circuit breaker is open
+   */
+  checkCircuit(llm) {
+    const breaker = providerCircuitBreakers.get(llm)
+    if (!breaker.allowRequest()) {
+      throw new ProviderUnavailableError(llm, breaker.getRetryAfter())
+    }
+  }
+
   /**
    * Record successful request
    */
-  recordSuccess() {
+  recordSuccess(llm) {
     this.connectionHealth.totalRequests++
     this.connectionHealth.consecutiveFailures = 0
+    if (llm) {
+      providerCircuitBreakers.get(llm).onSuccess()
+    }
   }
 
   /**
    * Record failed request
    */
-  recordFailure(error) {
+  recordFailure(error, llm) {
     this.connectionHealth.totalRequests++
     this.connectionHealth.failedRequests++
     this.connectionHealth.consecutiveFailures++
     this.connectionHealth.lastError = error.message
     this.connectionHealth.lastErrorTime = new Date().toISOString()
+
+    // Client errors say nothing about the provider's health
+    if (llm && !(error.response?.status < 500)) {
+      providerCircuitBreakers.get(llm).onFailure()
+    }
+  }
+}
+
+function isSuccessStatus(status) {
+  return status >= 200 && status < 300
+}
+
+/**
+ * Error for a non-2xx Qolaba answer. It carries the status and headers like an
+ * axios error does, so RetryHelper honors Retry-After (e.g. on 429) and the
+ * error handler maps the status.
+ */
+function createUpstreamStatusError(endpoint, response, data = response.data) {
+  return Object.assign(new Error(`Qolaba ${endpoint} failed with status ${response.status}`), {
+    statusCode: response.status,
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers || {},
+      data
+    }
+  })
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new RequestCancelledError()
+  }
+}
+
+// Cancelled calls say nothing about the provider, so they are neither retried
+// nor counted against its circuit breaker
+function toCancellation(error, signal) {
+  if (isCancellation(error)) {
+    return error
+  }
+  return signal?.aborted || axios.isCancel(error) ? new RequestCancelledError() : null
+}
+
+function createConnectionHealth() {
+  return {
+    totalRequests: 0,
+    failedRequests: 0,
+    lastError: null,
+    lastErrorTime: null,
+    consecutiveFailures: 0,
+    maxConsecutiveFailures: 5
   }
 }
 
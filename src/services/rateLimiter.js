@@ -0,0 +1,254 @@
+import Joi from 'joi'
+import { config } from '../config/index.js'
+import { logger } from './logger.js'
+import { budgetKey } from './budgets.js'
+import { stateStore } from './stateStore.js'
+
+// Limits of a tier, per minute (null means unlimited)
+const limitsSchema = Joi.object({
+  requests_per_minute: Joi.number().integer().min(1).allow(null),
+  tokens_per_minute: Joi.number().integer().min(1).allow(null),
+  streams_per_minute: Joi.number().integer().min(1).allow(null)
+})
+
+const tiersSchema = Joi.object().pattern(Joi.string(), limitsSchema.required())
+
+/**
+ * Rate limit of a virtual key: a tier name, limits of its own (unset ones come
+ * from the default tier), or null for the default tier
+ */
+export const rateLimitSchema = Joi.alternatives(
+  Joi.string().custom((tier, helpers) => rateLimiter.tiers[tier] ? tier : helpers.message(`Unknown rate limit tier '${tier}'`)),
+  limitsSchema.min(1)
+).allow(null)
+
+// Metric -> limit it is counted against
+const METRICS = {
+  requests: 'requests_per_minute',
+  tokens: 'tokens_per_minute',
+  streams: 'streams_per_minute'
+}
+
+/**
+ * Requests, tokens and streaming requests per key, limited per minute.
+ *
+ * Each key and metric has a sliding-window counter: the count of the current
+ * minute plus the previous minute's count weighted by how much of it is still
+ * inside the last 60 seconds. Requests and streams are counted when they are
+ * let through; tokens are charged once a request completes, from its actual
+ * usage, so a key can go over its token limit with one request and is then
+ * held back until its usage slides out of the window.
+ *
+ * Keys are the same as for budgets: virtual key ids, or a hash of the
+ * client's API key, unless options.keyOf names another key (the IP limiter
+ * below uses the client's address, and the default tier for everyone). Counts
+ * are kept in the state store, one counter per key, metric and minute, so
+ * instances sharing a store share their limits. A check and the count that
+ * follows it are separate steps, so instances racing each other may let a
+ * request or two past a limit.
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 60000
+    this.tiers = { default: options.default || {}, ...parseTiers(options.tiers) }
+    this.store = options.store || stateStore
+    this.keyOf = options.keyOf || budgetKey
+    // Prefix of the limiter's counters in the state store
+    this.namespace = options.namespace || 'ratelimit'
+    // Whether virtual keys can pick their own tier or limits
+    this.keyLimits = options.keyLimits ?? true
+  }
+
+  /**
+   * Limits that apply to a request: its virtual key's tier or limits, or the default tier.
+   * Returns { tier, requests, tokens, streams }.
+   */
+  getLimits(req) {
+    const own = this.keyLimits ? req.virtualKey?.rateLimit : null
+    const tier = typeof own === 'string' && this.tiers[own] ? own : own && typeof own === 'object' ? 'custom' : 'default'
+    const limits = { ...this.tiers.default, ...(tier === 'custom' ? own : this.tiers[tier]) }
+
+    return Object.fromEntries([
+      ['tier', tier],
+      ...Object.entries(METRICS).map(([metric, name]) => [metric, limits[name] ?? null])
+    ])
+  }
+
+  /**
+   * Check a request against the limits of the given metrics and, when none is
+   * reached, count it. Resolves with { key, tier, allowed, limited } plus the
+   * state of each metric ({ metric, limit, used, remaining, resetMs,
+   * retryAfterMs }); limited is the first metric whose limit was reached.
+   */
+  async take(req, metrics = ['requests', 'tokens'], now = Date.now()) {
+    const key = this.keyOf(req)
+    const limits = this.getLimits(req)
+    const limited = metrics.filter(metric => limits[metric] !== null)
+    const counters = await this.getCounters(limited.map(metric => `${key}:${metric}`), now)
+    const states = {}
+
+    for (const metric of metrics) {
+      // Tokens are only known afterwards, so a request goes through while any are left
+      const cost = metric === 'tokens' ? 0 : 1
+      states[metric] = this.evaluate(counters[`${key}:${metric}`], metric, limits[metric], cost, now)
+    }
+
+    const reached = Object.values(states).find(state => !state.allowed) || null
+    if (!reached) {
+      const counted = limited.filter(metric => metric !== 'tokens')
+      await Promise.all(counted.map(metric => this.store.increment(this.counterKey(`${key}:${metric}`, this.windowStart(now)), 1, 2 * this.windowMs)))
+      for (const metric of counted) {
+        states[metric].used += 1
+        states[metric].remaining = Math.max(0, states[metric].remaining - 1)
+      }
+    }
+
+    return { key, tier: limits.tier, allowed: !reached, limited: reached, ...states }
+  }
+
+  /**
+   * Charge a completed request's tokens to its key. Failures to reach the
+   * store are logged, never thrown.
+   */
+  async chargeTokens(req, tokens, now = Date.now()) {
+    if (!tokens || this.getLimits(req).tokens === null) {
+      return
+    }
+
+    try {
+      await this.store.increment(this.counterKey(`${this.keyOf(req)}:tokens`, this.windowStart(now)), tokens, 2 * this.windowMs)
+    } catch (error) {
+      logger.error('Failed to charge tokens to the rate limit', { keyId: req.virtualKey?.id, error: error.message })
+    }
+  }
+
+  /**
+   * Sliding-window counters ({ window, current, previous }) of "key:metric" ids
+   */
+  async getCounters(ids, now) {
+    const window = this.windowStart(now)
+    const values = await this.store.getMany(ids.flatMap(id => [this.counterKey(id, window), this.counterKey(id, window - this.windowMs)]))
+
+    return Object.fromEntries(ids.map((id, i) => [id, {
+      window,
+      current: Number(values[2 * i]) || 0,
+      previous: Number(values[2 * i + 1]) || 0
+    }]))
+  }
+
+  windowStart(now) {
+    return now - (now % this.windowMs)
+  }
+
+  counterKey(id, window) {
+    return `${this.namespace}:${id}:${window}`
+  }
+
+  evaluate(counter, metric, limit, cost, now) {
+    if (limit === null) {
+      return { metric, limit: null, allowed: true }
+    }
+
+    const used = Math.ceil(this.estimate(counter, now))
+    const allowed = cost > 0 ? used + cost <= limit : used < limit
+    return {
+      metric,
+      limit,
+      allowed,
+      used,
+      remaining: Math.max(0, limit - used),
+      resetMs: this.timeUntil(counter, 0, now),
+      retryAfterMs: allowed ? 0 : this.timeUntil(counter, limit - Math.max(cost, 1), now)
+    }
+  }
+
+  // Count of the last 60 seconds: the current minute plus the part of the previous one still inside
+  estimate(counter, now) {
+    const elapsed = now - counter.window
+    return counter.current + counter.previous * (1 - elapsed / this.windowMs)
+  }
+
+  // Milliseconds until the count drops to target or below
+  timeUntil(counter, target, now) {
+    const elapsed = now - counter.window
+
+    if (counter.current <= target) {
+      if (counter.previous === 0) {
+        return 0
+      }
+      const until = this.windowMs * (1 - (target - counter.current) / counter.previous)
+      return Math.max(0, Math.ceil(until - elapsed))
+    }
+
+    // Only once this minute's count is the previous one does it start to slide out
+    const next = this.windowMs * (1 - Math.max(target, 0) / counter.current)
+    return Math.ceil(this.windowMs - elapsed + next)
+  }
+
+  /**
+   * Usage of every key in the last minute
+   */
+  async getStates(now = Date.now()) {
+    const ids = new Set()
+    const prefix = `${this.namespace}:`
+    for (const counterKey of await this.store.keys(prefix)) {
+      ids.add(counterKey.slice(prefix.length, counterKey.lastIndexOf(':')))
+    }
+
+    const counters = await this.getCounters(Array.from(ids), now)
+    const states = new Map()
+    for (const [id, counter] of Object.entries(counters)) {
+      const separator = id.lastIndexOf(':')
+      const key = id.slice(0, separator)
+      if (!states.has(key)) {
+        states.set(key, { key })
+      }
+      states.get(key)[id.slice(separator + 1)] = Math.ceil(this.estimate(counter, now))
+    }
+
+    return Array.from(states.values())
+  }
+
+  /**
+   * Forget all counts (used by tests)
+   */
+  async reset() {
+    for (const key of await this.store.keys(`${this.namespace}:`)) {
+      await this.store.delete(key)
+    }
+  }
+}
+
+// Named tiers from their JSON configuration (RATE_LIMIT_TIERS)
+function parseTiers(tiers) {
+  if (!tiers) {
+    return {}
+  }
+
+  let parsed = tiers
+  try {
+    parsed = typeof tiers === 'string' ? JSON.parse(tiers) : tiers
+  } catch (error) {
+    throw new Error(`Invalid RATE_LIMIT_TIERS: ${error.message}`)
+  }
+
+  const { value, error } = tiersSchema.validate(parsed)
+  if (error) {
+    throw new Error(`Invalid RATE_LIMIT_TIERS: ${error.message}`)
+  }
+  return value
+}
+
+// Global singleton instance
+export const rateLimiter = new RateLimiter(config.rateLimits)
+
+// Requests per minute per client IP on the routes without per-key limits (admin, models, health)
+export const ipRateLimiter = new RateLimiter({
+  windowMs: config.rateLimits.windowMs,
+  default: { requests_per_minute: config.rateLimits.ipRequestsPerMinute },
+  keyOf: (req) => `ip_${req.ip || req.socket?.remoteAddress || 'unknown'}`,
+  namespace: 'ipratelimit',
+  keyLimits: false
+})
+
+export default rateLimiter
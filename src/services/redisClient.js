@@ -0,0 +1,238 @@
+import net from 'net'
+
+// Error reply from the server (a "-ERR ..." line)
+export class RedisReplyError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'RedisReplyError'
+  }
+}
+
+/**
+ * Minimal client for the Redis protocol (RESP2), enough for the commands the
+ * state store sends. Connects on the first command and again after the
+ * connection drops; commands are pipelined on one connection and answered in
+ * order. After a failed connection attempt, commands fail at once until the
+ * next attempt is due, backing off from retryDelay up to maxRetryDelay. A
+ * command left unanswered for commandTimeout ms fails, and so does every
+ * other command on its connection, which is dropped.
+ */
+export class RedisClient {
+  constructor(url = 'redis://localhost:6379', options = {}) {
+    const parsed = new URL(url)
+    this.host = parsed.hostname || 'localhost'
+    this.port = parseInt(parsed.port) || 6379
+    this.username = decodeURIComponent(parsed.username || '')
+    this.password = decodeURIComponent(parsed.password || '')
+    this.db = parseInt(parsed.pathname.slice(1)) || 0
+    this.connectTimeout = options.connectTimeout || 5000
+    this.commandTimeout = options.commandTimeout || 2000
+    this.retryDelay = options.retryDelay || 100
+    this.maxRetryDelay = options.maxRetryDelay || 30000
+
+    this.socket = null
+    this.connecting = null
+    this.buffer = Buffer.alloc(0)
+    // Callbacks of the commands sent, in order
+    this.pending = []
+    // Failed connection attempts in a row, and when the next one may start
+    this.failures = 0
+    this.retryAt = 0
+  }
+
+  /**
+   * Send a command, e.g. command('INCRBY', 'key', 1). Resolves with the reply.
+   */
+  async command(...args) {
+    if (!this.socket) {
+      await this.connect()
+    }
+    return this.send(args)
+  }
+
+  connect() {
+    if (this.connecting) {
+      return this.connecting
+    }
+
+    const waitMs = this.retryAt - Date.now()
+    if (waitMs > 0) {
+      const error = new Error(`Redis at ${this.host}:${this.port} is unavailable, reconnecting in ${waitMs}ms: ${this.lastError?.message}`)
+      return Promise.reject(error)
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port })
+      socket.setTimeout(this.connectTimeout)
+      socket.setKeepAlive(true)
+      socket.unref()
+
+      socket.on('data', (chunk) => this.onData(chunk))
+      socket.on('timeout', () => socket.destroy(new Error(`Redis connection to ${this.host}:${this.port} timed out`)))
+      socket.on('error', (error) => {
+        this.lastError = error
+        reject(error)
+      })
+      socket.on('close', () => {
+        this.socket = null
+        this.connecting = null
+        this.buffer = Buffer.alloc(0)
+        const error = this.lastError || new Error('Redis connection closed')
+        for (const { reject: rejectCommand } of this.pending.splice(0)) {
+          rejectCommand(error)
+        }
+      })
+
+      socket.on('connect', async () => {
+        socket.setTimeout(0)
+        this.socket = socket
+        this.lastError = null
+        try {
+          if (this.password) {
+            await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password])
+          }
+          if (this.db) {
+            await this.send(['SELECT', this.db])
+          }
+          this.failures = 0
+          this.retryAt = 0
+          resolve()
+        } catch (error) {
+          socket.destroy(error)
+          reject(error)
+        }
+      })
+    }).catch((error) => {
+      this.connecting = null
+      this.failures++
+      this.retryAt = Date.now() + Math.min(this.retryDelay * 2 ** (this.failures - 1), this.maxRetryDelay)
+      throw error
+    })
+
+    return this.connecting
+  }
+
+  send(args) {
+    const socket = this.socket
+    return new Promise((resolve, reject) => {
+      // A stalled connection would otherwise leave the command waiting for good
+      const timer = setTimeout(() => {
+        if (!socket.destroyed) {
+          socket.destroy(new Error(`Redis command ${args[0]} timed out after ${this.commandTimeout}ms`))
+        }
+      }, this.commandTimeout)
+      timer.unref?.()
+
+      this.pending.push({
+        resolve: (value) => {
+          clearTimeout(timer)
+          resolve(value)
+        },
+        reject: (error) => {
+          clearTimeout(timer)
+          reject(error)
+        }
+      })
+      socket.write(encodeCommand(args))
+    })
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk])
+
+    try {
+      let reply
+      while ((reply = parseReply(this.buffer, 0)) !== null) {
+        this.buffer = this.buffer.subarray(reply.offset)
+        const callbacks = this.pending.shift()
+        if (!callbacks) {
+          continue
+        }
+        if (reply.value instanceof RedisReplyError) {
+          callbacks.reject(reply.value)
+        } else {
+          callbacks.resolve(reply.value)
+        }
+      }
+    } catch (error) {
+      // Not the Redis protocol; nothing more on this connection can be trusted
+      this.socket?.destroy(error)
+    }
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.socket?.end()
+    this.socket = null
+    this.connecting = null
+  }
+}
+
+/**
+ * A command as a RESP array of bulk strings
+ */
+export function encodeCommand(args) {
+  let command = `*${args.length}\r\n`
+  for (const arg of args) {
+    const value = String(arg)
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`
+  }
+  return command
+}
+
+/**
+ * Parse one RESP reply from buf at offset. Returns { value, offset } with the
+ * offset after the reply, or null when buf does not hold all of it yet.
+ */
+export function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf('\r\n', offset)
+  if (lineEnd === -1) {
+    return null
+  }
+
+  const type = String.fromCharCode(buf[offset])
+  const line = buf.toString('utf8', offset + 1, lineEnd)
+  const next = lineEnd + 2
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next }
+    case '-':
+      return { value: new RedisReplyError(line), offset: next }
+    case ':':
+      return { value: parseInt(line), offset: next }
+    case '$': {
+      const length = parseInt(line)
+      if (length === -1) {
+        return { value: null, offset: next }
+      }
+      if (buf.length < next + length + 2) {
+        return null
+      }
+      return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 }
+    }
+    case '*': {
+      const count = parseInt(line)
+      if (count === -1) {
+        return { value: null, offset: next }
+      }
+      const values = []
+      let position = next
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, position)
+        if (item === null) {
+          return null
+        }
+        values.push(item.value)
+        position = item.offset
+      }
+      return { value: values, offset: position }
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type '${type}'`)
+  }
+}
+
+export default RedisClient
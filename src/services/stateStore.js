@@ -0,0 +1,198 @@
+import { config } from '../config/index.js'
+import { RedisClient } from './redisClient.js'
+
+/**
+ * State kept in this process: counters, values and capped lists with
+ * optional expiry. The default store; every instance has its own. Values go
+ * in and come out as copies, as they would through Redis.
+ */
+export class MemoryStore {
+  constructor() {
+    // Key -> { value, expiresAt }
+    this.entries = new Map()
+  }
+
+  async get(key) {
+    return copyValue(this.read(key)?.value ?? null)
+  }
+
+  async getMany(keys) {
+    return keys.map(key => copyValue(this.read(key)?.value ?? null))
+  }
+
+  /**
+   * Set a value, expiring after ttlMs when given
+   */
+  async set(key, value, ttlMs = null) {
+    this.entries.set(key, { value: copyValue(value), expiresAt: ttlMs ? Date.now() + ttlMs : null })
+  }
+
+  /**
+   * Set a value unless the key exists. Returns whether it was set.
+   */
+  async add(key, value, ttlMs = null) {
+    if (this.read(key)) {
+      return false
+    }
+    await this.set(key, value, ttlMs)
+    return true
+  }
+
+  /**
+   * Add amount to a counter (missing counters start at 0) and return the new
+   * value. ttlMs, when given, restarts the counter's expiry.
+   */
+  async increment(key, amount = 1, ttlMs = null) {
+    const entry = this.read(key) || { value: 0, expiresAt: null }
+    entry.value += amount
+    if (ttlMs) {
+      entry.expiresAt = Date.now() + ttlMs
+    }
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * Append to a list, keeping only its last maxLength items
+   */
+  async push(key, value, maxLength) {
+    const entry = this.read(key) || { value: [], expiresAt: null }
+    entry.value.push(copyValue(value))
+    if (entry.value.length > maxLength) {
+      entry.value.splice(0, entry.value.length - maxLength)
+    }
+    this.entries.set(key, entry)
+  }
+
+  async list(key) {
+    return (this.read(key)?.value || []).map(copyValue)
+  }
+
+  async delete(key) {
+    this.entries.delete(key)
+  }
+
+  /**
+   * Keys starting with prefix
+   */
+  async keys(prefix) {
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix) && this.read(key))
+  }
+
+  async close() {
+    this.entries.clear()
+  }
+
+  // Entry of a key, dropping it once expired
+  read(key) {
+    const entry = this.entries.get(key)
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry || null
+  }
+}
+
+/**
+ * State kept in Redis (or anything speaking its protocol), shared by every
+ * instance pointed at it. Keys are prefixed, and values other than counters
+ * are stored as JSON.
+ */
+export class RedisStore {
+  constructor(options = {}) {
+    this.client = options.client || new RedisClient(options.url, options)
+    this.prefix = options.prefix ?? 'qolaba-proxy:'
+  }
+
+  async get(key) {
+    return parseValue(await this.client.command('GET', this.prefix + key))
+  }
+
+  async getMany(keys) {
+    if (keys.length === 0) {
+      return []
+    }
+    const values = await this.client.command('MGET', ...keys.map(key => this.prefix + key))
+    return values.map(parseValue)
+  }
+
+  async set(key, value, ttlMs = null) {
+    const args = ['SET', this.prefix + key, JSON.stringify(value)]
+    await this.client.command(...(ttlMs ? [...args, 'PX', ttlMs] : args))
+  }
+
+  async add(key, value, ttlMs = null) {
+    const args = ['SET', this.prefix + key, JSON.stringify(value), 'NX']
+    return await this.client.command(...(ttlMs ? [...args, 'PX', ttlMs] : args)) === 'OK'
+  }
+
+  // INCRBYFLOAT, so fractional amounts add up as they do in memory
+  async increment(key, amount = 1, ttlMs = null) {
+    const [value] = await Promise.all([
+      this.client.command('INCRBYFLOAT', this.prefix + key, amount),
+      ttlMs ? this.client.command('PEXPIRE', this.prefix + key, ttlMs) : null
+    ])
+    return parseFloat(value)
+  }
+
+  async push(key, value, maxLength) {
+    await Promise.all([
+      this.client.command('RPUSH', this.prefix + key, JSON.stringify(value)),
+      this.client.command('LTRIM', this.prefix + key, -maxLength, -1)
+    ])
+  }
+
+  async list(key) {
+    const values = await this.client.command('LRANGE', this.prefix + key, 0, -1)
+    return values.map(parseValue)
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this.prefix + key)
+  }
+
+  async keys(prefix) {
+    const keys = []
+    let cursor = '0'
+    do {
+      const [next, batch] = await this.client.command('SCAN', cursor, 'MATCH', `${escapePattern(this.prefix + prefix)}*`, 'COUNT', 100)
+      keys.push(...batch.map(key => key.slice(this.prefix.length)))
+      cursor = next
+    } while (cursor !== '0')
+    return keys
+  }
+
+  async close() {
+    this.client.close()
+  }
+}
+
+/**
+ * Store for the configured backend: 'memory' or 'redis'
+ */
+export function createStore(options = {}) {
+  if (options.type === 'redis') {
+    return new RedisStore(options)
+  }
+  return new MemoryStore()
+}
+
+// Copy of a value as JSON would give it back
+function copyValue(value) {
+  return value === null || typeof value !== 'object' ? value : JSON.parse(JSON.stringify(value))
+}
+
+function parseValue(value) {
+  return value === null ? null : JSON.parse(value)
+}
+
+// Keys may hold glob characters; SCAN should match them literally
+function escapePattern(pattern) {
+  return pattern.replace(/[*?[\]\\]/g, '\\$&')
+}
+
+// Global singleton instance
+export const stateStore = createStore(config.store)
+
+export default stateStore
@@ -0,0 +1,208 @@
+import Joi from 'joi'
+import { config } from '../config/index.js'
+import { logger } from './logger.js'
+import { estimateCost } from './pricing.js'
+import { budgetKey } from './budgets.js'
+import { ValidationError } from '../middleware/errorHandler.js'
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const rangeSchema = Joi.object({
+  start_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('"start_date" must be a date like 2025-01-31'),
+  end_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('"end_date" must be a date like 2025-01-31')
+}).unknown(true)
+
+/**
+ * Tokens and estimated cost of every completion, summed per UTC day, key and
+ * model.
+ *
+ * Keys are the same as for budgets: virtual key ids, or a hash of the client's
+ * API key. Requests to models without a price are counted in
+ * unpriced_requests rather than costed, so cost is null until a request can
+ * be priced. Days older than retentionDays are dropped. The ledger is kept in a
+ * JSON file (unless path is null), written shortly after each completion.
+ */
+export class UsageLedger {
+  constructor(options = {}) {
+    this.filePath = options.path === undefined ? 'data/usage.json' : options.path
+    this.retentionDays = options.retentionDays || 90
+    this.saveDelay = options.saveDelay ?? 1000
+    // "day|key|model" -> { day, key, model, requests, prompt_tokens, completion_tokens, total_tokens, cost, unpriced_requests }
+    this.entries = new Map()
+    this.saveTimer = null
+    this.load()
+  }
+
+  /**
+   * (Re)load the ledger, optionally from another file. A missing file starts empty.
+   */
+  load(filePath = this.filePath) {
+    this.filePath = filePath
+    this.entries.clear()
+
+    const data = readJsonFile(this.filePath)
+    for (const entry of data?.entries || []) {
+      this.entries.set(entryId(entry.day, entry.key, entry.model), entry)
+    }
+  }
+
+  /**
+   * Add a completed request's usage to today's entry for its key and model
+   */
+  record(req, model, usage, now = new Date()) {
+    const day = toDay(now)
+    const key = budgetKey(req)
+    const id = entryId(day, key, model)
+    const entry = this.entries.get(id) || emptyEntry({ day, key, model })
+
+    entry.requests += 1
+    entry.prompt_tokens += usage.promptTokens || 0
+    entry.completion_tokens += usage.completionTokens || 0
+    entry.total_tokens += usage.totalTokens || 0
+    const cost = estimateCost(model, usage)
+    if (cost === null) {
+      entry.unpriced_requests += 1
+    } else {
+      entry.cost = (entry.cost ?? 0) + cost
+    }
+
+    this.entries.set(id, entry)
+    this.prune(now)
+    this.scheduleSave()
+    return entry
+  }
+
+  /**
+   * Usage between two days (YYYY-MM-DD, both included), optionally for one
+   * key only. Returns the totals and their breakdowns per model, key and day.
+   */
+  query({ from, to, key = null } = {}) {
+    const totals = emptyEntry()
+    const byModel = new Map()
+    const byKey = new Map()
+    const byDay = new Map()
+
+    for (const entry of this.entries.values()) {
+      if (entry.day < from || entry.day > to || (key && entry.key !== key)) {
+        continue
+      }
+      addTo(totals, entry)
+      addTo(group(byModel, entry.model, { model: entry.model }), entry)
+      addTo(group(byKey, entry.key, { key: entry.key }), entry)
+      addTo(group(byDay, entry.day, { date: entry.day }), entry)
+    }
+
+    const byTokens = (a, b) => b.total_tokens - a.total_tokens
+    return {
+      start_date: from,
+      end_date: to,
+      totals,
+      by_model: Array.from(byModel.values()).sort(byTokens),
+      by_key: Array.from(byKey.values()).sort(byTokens),
+      by_day: Array.from(byDay.values()).sort((a, b) => a.date.localeCompare(b.date))
+    }
+  }
+
+  // Drop the days that fell out of the retention period
+  prune(now = new Date()) {
+    const oldest = toDay(new Date(now.getTime() - (this.retentionDays - 1) * DAY_MS))
+    for (const [id, entry] of this.entries) {
+      if (entry.day < oldest) {
+        this.entries.delete(id)
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return
+    }
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay)
+    this.saveTimer.unref?.()
+  }
+
+  /**
+   * Write the ledger now, e.g. on shutdown
+   */
+  flush() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    if (!this.filePath) {
+      return
+    }
+
+    try {
+      writeJsonFile(this.filePath, { version: 1, entries: Array.from(this.entries.values()) })
+    } catch (error) {
+      logger.error('Failed to save usage ledger', { path: this.filePath, error: error.message })
+    }
+  }
+
+  /**
+   * Forget all usage (used by tests)
+   */
+  reset() {
+    this.entries.clear()
+  }
+}
+
+/**
+ * Date range of a usage query from its start_date and end_date parameters.
+ * Defaults to the current UTC month up to today; throws a ValidationError for
+ * malformed or reversed dates.
+ */
+export function parseUsageRange(query, now = new Date()) {
+  const { value, error } = rangeSchema.validate(query)
+  if (error) {
+    throw new ValidationError(error.message)
+  }
+
+  const from = value.start_date || `${toDay(now).slice(0, 7)}-01`
+  const to = value.end_date || toDay(now)
+  for (const [param, date] of [['start_date', from], ['end_date', to]]) {
+    if (Number.isNaN(Date.parse(date)) || toDay(new Date(date)) !== date) {
+      throw new ValidationError(`"${param}" is not a valid date`)
+    }
+  }
+  if (from > to) {
+    throw new ValidationError('"start_date" must not be after "end_date"')
+  }
+
+  return { from, to }
+}
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+function entryId(day, key, model) {
+  return `${day}|${key}|${model}`
+}
+
+function emptyEntry(fields = {}) {
+  return { ...fields, requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: null, unpriced_requests: 0 }
+}
+
+function group(groups, id, fields) {
+  if (!groups.has(id)) {
+    groups.set(id, emptyEntry(fields))
+  }
+  return groups.get(id)
+}
+
+function addTo(sum, entry) {
+  sum.requests += entry.requests
+  sum.prompt_tokens += entry.prompt_tokens
+  sum.completion_tokens += entry.completion_tokens
+  sum.total_tokens += entry.total_tokens
+  sum.unpriced_requests += entry.unpriced_requests || 0
+  if (entry.cost !== null) {
+    sum.cost = (sum.cost ?? 0) + entry.cost
+  }
+}
+
+// Global singleton instance
+export const usageLedger = new UsageLedger(config.usage)
+
+export default usageLedger
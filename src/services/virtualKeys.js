@@ -0,0 +1,275 @@
+import path from 'path'
+import crypto from 'crypto'
+import Joi from 'joi'
+import { config } from '../config/index.js'
+import { logger } from './logger.js'
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js'
+import { budgetSchema } from './budgets.js'
+import { rateLimitSchema } from './rateLimiter.js'
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js'
+
+// Proxy-issued keys start with this, so they can be told apart from Qolaba keys
+export const VIRTUAL_KEY_PREFIX = 'sk-qvk-'
+
+const createSchema = Joi.object({
+  label: Joi.string().max(200).required(),
+  upstream_key: Joi.string().min(10),
+  models: Joi.array().items(Joi.string()).unique().default([]),
+  expires_at: Joi.date().iso().allow(null).default(null),
+  enabled: Joi.boolean().default(true),
+  budget: budgetSchema.default(null),
+  rate_limit: rateLimitSchema.default(null)
+})
+
+const updateSchema = Joi.object({
+  label: Joi.string().max(200),
+  upstream_key: Joi.string().min(10),
+  models: Joi.array().items(Joi.string()).unique(),
+  expires_at: Joi.date().iso().allow(null),
+  enabled: Joi.boolean(),
+  budget: budgetSchema,
+  rate_limit: rateLimitSchema
+}).min(1)
+
+/**
+ * Virtual API keys issued by the proxy, kept in a JSON file.
+ *
+ * Each key maps to an upstream Qolaba key (or OVERRIDE_API_KEY when it has
+ * none), so teammates get their own revocable keys without seeing the real
+ * one. Only a SHA-256 hash of a virtual key is stored; the key itself is
+ * returned once, when it is created or rotated. The file holds the upstream
+ * keys in plain text and is written with owner-only permissions.
+ */
+export class VirtualKeyStore {
+  constructor(options = {}) {
+    this.filePath = options.path || 'data/virtual-keys.json'
+    // Key id -> record
+    this.keys = new Map()
+    // Key hash -> key id
+    this.hashes = new Map()
+    this.load()
+  }
+
+  /**
+   * (Re)load the store, optionally from another file. A missing file is an empty store.
+   */
+  load(filePath = this.filePath) {
+    this.filePath = filePath
+    this.keys.clear()
+    this.hashes.clear()
+
+    const data = readJsonFile(this.filePath)
+    if (!data) {
+      return
+    }
+
+    for (const record of data.keys || []) {
+      this.keys.set(record.id, record)
+      if (record.keyHash) {
+        this.hashes.set(record.keyHash, record.id)
+      }
+    }
+
+    logger.info('Loaded virtual API keys', { path: path.resolve(this.filePath), keys: this.keys.size })
+  }
+
+  /**
+   * Issue a new key. Returns the public view of the record plus the key itself.
+   */
+  create(params) {
+    const { value, error } = createSchema.validate(params)
+    if (error) {
+      throw new ValidationError(error.message)
+    }
+    if (!value.upstream_key && !config.auth.overrideKey) {
+      throw new ValidationError('"upstream_key" is required unless OVERRIDE_API_KEY is set')
+    }
+
+    const key = generateKey()
+    const record = {
+      id: `vk_${crypto.randomBytes(8).toString('hex')}`,
+      label: value.label,
+      keyHash: hashKey(key),
+      hint: keyHint(key),
+      upstreamKey: value.upstream_key || null,
+      models: value.models,
+      enabled: value.enabled,
+      expiresAt: value.expires_at ? value.expires_at.toISOString() : null,
+      budget: value.budget,
+      rateLimit: value.rate_limit,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null,
+      lastUsedAt: null
+    }
+
+    this.keys.set(record.id, record)
+    this.hashes.set(record.keyHash, record.id)
+    this.save()
+
+    logger.info('Created virtual API key', { keyId: record.id, label: record.label })
+    return { ...toPublic(record), key }
+  }
+
+  /**
+   * Change the label, upstream key, allowed models, expiry, enabled flag, budget or rate limit
+   */
+  update(id, params) {
+    const record = this.getRecord(id, { revoked: false })
+    const { value, error } = updateSchema.validate(params)
+    if (error) {
+      throw new ValidationError(error.message)
+    }
+
+    if (value.label !== undefined) record.label = value.label
+    if (value.upstream_key !== undefined) record.upstreamKey = value.upstream_key
+    if (value.models !== undefined) record.models = value.models
+    if (value.enabled !== undefined) record.enabled = value.enabled
+    if (value.expires_at !== undefined) record.expiresAt = value.expires_at ? value.expires_at.toISOString() : null
+    if (value.budget !== undefined) record.budget = value.budget
+    if (value.rate_limit !== undefined) record.rateLimit = value.rate_limit
+    this.save()
+
+    logger.info('Updated virtual API key', { keyId: id, fields: Object.keys(value) })
+    return toPublic(record)
+  }
+
+  /**
+   * Replace the key of a record; the old key stops working at once
+   */
+  rotate(id) {
+    const record = this.getRecord(id, { revoked: false })
+    const key = generateKey()
+
+    this.hashes.delete(record.keyHash)
+    record.keyHash = hashKey(key)
+    record.hint = keyHint(key)
+    record.rotatedAt = new Date().toISOString()
+    this.hashes.set(record.keyHash, id)
+    this.save()
+
+    logger.info('Rotated virtual API key', { keyId: id })
+    return { ...toPublic(record), key }
+  }
+
+  /**
+   * Permanently disable a key. The record is kept, so usage stays attributable to it.
+   */
+  revoke(id) {
+    const record = this.getRecord(id)
+
+    this.hashes.delete(record.keyHash)
+    record.keyHash = null
+    record.enabled = false
+    record.revokedAt = new Date().toISOString()
+    this.save()
+
+    logger.info('Revoked virtual API key', { keyId: id })
+    return toPublic(record)
+  }
+
+  /**
+   * Public views of every key, newest first
+   */
+  list() {
+    return Array.from(this.keys.values())
+      .map(toPublic)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+  }
+
+  get(id) {
+    return toPublic(this.getRecord(id))
+  }
+
+  /**
+   * Look a presented key up. Returns { status, record }: status is 'active',
+   * 'disabled', 'expired', 'unmapped' (no upstream key, and OVERRIDE_API_KEY
+   * is not set any more) or 'unknown' (record is null for unknown keys).
+   */
+  resolve(key) {
+    const id = this.hashes.get(hashKey(key))
+    const record = id ? this.keys.get(id) : null
+
+    if (!record) {
+      return { status: 'unknown', record: null }
+    }
+    if (!record.enabled) {
+      return { status: 'disabled', record }
+    }
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return { status: 'expired', record }
+    }
+    if (!record.upstreamKey && !config.auth.overrideKey) {
+      return { status: 'unmapped', record }
+    }
+
+    // Kept in memory only; written with the next change to the store
+    record.lastUsedAt = new Date().toISOString()
+    return { status: 'active', record }
+  }
+
+  // options.revoked: false rejects revoked keys, which cannot be changed any more
+  getRecord(id, options = {}) {
+    const record = this.keys.get(id)
+    if (!record) {
+      throw new NotFoundError(`Virtual key '${id}' not found`)
+    }
+    if (options.revoked === false && record.revokedAt) {
+      throw new ValidationError(`Virtual key '${id}' has been revoked`)
+    }
+    return record
+  }
+
+  save() {
+    writeJsonFile(this.filePath, { version: 1, keys: Array.from(this.keys.values()) })
+  }
+}
+
+/**
+ * Whether a presented API key is a proxy-issued virtual key
+ */
+export function isVirtualKey(key) {
+  return typeof key === 'string' && key.startsWith(VIRTUAL_KEY_PREFIX)
+}
+
+function generateKey() {
+  return VIRTUAL_KEY_PREFIX + crypto.randomBytes(24).toString('base64url')
+}
+
+// Virtual keys are long random strings, so a plain SHA-256 is enough
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex')
+}
+
+// Enough of the key to tell keys apart in listings
+function keyHint(key) {
+  return `${VIRTUAL_KEY_PREFIX}...${key.slice(-4)}`
+}
+
+// Admin API view of a record: no hash, and only whether an upstream key is set
+function toPublic(record) {
+  const expired = record.expiresAt !== null && Date.parse(record.expiresAt) <= Date.now()
+
+  return {
+    id: record.id,
+    object: 'virtual_key',
+    label: record.label,
+    hint: record.hint,
+    status: record.revokedAt ? 'revoked' : !record.enabled ? 'disabled' : expired ? 'expired' : 'active',
+    enabled: record.enabled,
+    models: record.models,
+    upstream_key: record.upstreamKey ? `...${record.upstreamKey.slice(-4)}` : 'override',
+    expires_at: record.expiresAt,
+    budget: record.budget ?? null,
+    rate_limit: record.rateLimit ?? null,
+    created_at: record.createdAt,
+    rotated_at: record.rotatedAt,
+    revoked_at: record.revokedAt,
+    last_used_at: record.lastUsedAt
+  }
+}
+
+// Global singleton instance
+export const virtualKeyStore = new VirtualKeyStore(config.virtualKeys)
+
+export default virtualKeyStore
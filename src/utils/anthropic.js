@@ -0,0 +1,497 @@
+import { logger } from '../services/logger.js'
+import { concurrencyMonitor } from './concurrencyMonitor.js'
+import { isCancellation, createChildController } from './cancellation.js'
+import { toAnthropicError } from '../middleware/anthropicErrors.js'
+import { TimeoutError } from '../middleware/errorHandler.js'
+import { SafeSSEWriter, openEventStream, recordUsage, recordPartialUsage } from './streaming.js'
+import { parseToolCalls, createToolCallStreamParser } from './toolCalling.js'
+import { getUsageSource, combineUsage, countPromptTokens, resolveUsage } from './tokenizer.js'
+import { applyOutputLimits, limitUsage, createOutputLimiter } from './parameters.js'
+
+/**
+ * Anthropic Messages API support.
+ *
+ * Requests are translated into the equivalent OpenAI chat request so they go
+ * through the same Qolaba translation and tool prompting as /v1/chat/completions;
+ * responses are built back into Anthropic messages and SSE events.
+ */
+
+const DEFAULT_PARAMETERS = { n: 1, stop: [], maxTokens: null, warnings: [] }
+
+// Validate an Anthropic Messages request
+export function validateMessagesRequest(body) {
+  if (!body) {
+    return { valid: false, error: 'Request body is required' }
+  }
+
+  if (!body.model || typeof body.model !== 'string') {
+    return { valid: false, error: 'model field is required and must be a string' }
+  }
+
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+    return { valid: false, error: 'max_tokens field is required and must be a positive integer' }
+  }
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return { valid: false, error: 'messages field is required and must be a non-empty array' }
+  }
+
+  for (let i = 0; i < body.messages.length; i++) {
+    const message = body.messages[i]
+
+    if (!['user', 'assistant'].includes(message?.role)) {
+      return { valid: false, error: `messages.${i}.role must be "user" or "assistant"` }
+    }
+
+    if (typeof message.content !== 'string' && !Array.isArray(message.content)) {
+      return { valid: false, error: `messages.${i}.content must be a string or an array of content blocks` }
+    }
+  }
+
+  if (body.system !== undefined && typeof body.system !== 'string' && !Array.isArray(body.system)) {
+    return { valid: false, error: 'system must be a string or an array of text blocks' }
+  }
+
+  if (body.temperature !== undefined) {
+    if (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 1) {
+      return { valid: false, error: 'temperature must be a number between 0 and 1' }
+    }
+  }
+
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools)) {
+      return { valid: false, error: 'tools must be an array' }
+    }
+    for (let i = 0; i < body.tools.length; i++) {
+      if (!body.tools[i]?.name || typeof body.tools[i].name !== 'string') {
+        return { valid: false, error: `tools.${i}.name is required` }
+      }
+    }
+  }
+
+  if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+    return { valid: false, error: 'stream must be a boolean' }
+  }
+
+  return { valid: true }
+}
+
+// Translate an Anthropic Messages request into an OpenAI chat completion request
+export function translateAnthropicToOpenAI(body) {
+  const messages = []
+
+  const system = blocksToText(body.system)
+  if (system) {
+    messages.push({ role: 'system', content: system })
+  }
+
+  for (const message of body.messages) {
+    messages.push(...translateAnthropicMessage(message))
+  }
+
+  const openaiRequest = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens,
+    stream: body.stream === true
+  }
+
+  if (body.temperature !== undefined) {
+    openaiRequest.temperature = body.temperature
+  }
+  if (body.top_p !== undefined) {
+    openaiRequest.top_p = body.top_p
+  }
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    openaiRequest.stop = body.stop_sequences
+  }
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    openaiRequest.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }))
+
+    const toolChoice = translateToolChoice(body.tool_choice)
+    if (toolChoice !== undefined) {
+      openaiRequest.tool_choice = toolChoice
+    }
+    if (body.tool_choice?.disable_parallel_tool_use) {
+      openaiRequest.parallel_tool_calls = false
+    }
+  }
+
+  return openaiRequest
+}
+
+// Split one Anthropic message into OpenAI messages (tool results become role "tool" messages)
+function translateAnthropicMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }]
+  }
+
+  const result = []
+  const texts = []
+  const images = []
+  const toolCalls = []
+
+  for (const block of message.content) {
+    if (block.type === 'text') {
+      texts.push(block.text)
+    } else if (block.type === 'image' && block.source) {
+      const url = block.source.type === 'base64'
+        ? `data:${block.source.media_type};base64,${block.source.data}`
+        : block.source.url
+      images.push({ type: 'image_url', image_url: { url } })
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      })
+    } else if (block.type === 'tool_result') {
+      const content = blocksToText(block.content)
+      result.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `Error: ${content}` : content
+      })
+    }
+  }
+
+  const text = texts.join('\n')
+
+  if (message.role === 'assistant') {
+    if (text || toolCalls.length > 0) {
+      const assistantMessage = { role: 'assistant', content: text || null }
+      if (toolCalls.length > 0) {
+        assistantMessage.tool_calls = toolCalls
+      }
+      result.push(assistantMessage)
+    }
+  } else if (images.length > 0) {
+    result.push({ role: 'user', content: [{ type: 'text', text }, ...images] })
+  } else if (text) {
+    result.push({ role: 'user', content: text })
+  }
+
+  return result
+}
+
+// Anthropic tool_choice: { type: 'auto' | 'any' | 'tool' | 'none', name? }
+function translateToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'auto':
+      return 'auto'
+    case 'any':
+      return 'required'
+    case 'none':
+      return 'none'
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } }
+    default:
+      return undefined
+  }
+}
+
+// Flatten a string or an array of text blocks into plain text
+function blocksToText(content) {
+  if (typeof content === 'string') {
+    return content
+  }
+  if (!Array.isArray(content)) {
+    return ''
+  }
+  return content
+    .filter(block => block?.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+}
+
+// Build an Anthropic message from a Qolaba chat response, cut at max_tokens and stop_sequences
+export function createAnthropicMessage(response, model, toolContext = null, parameters = DEFAULT_PARAMETERS) {
+  const limited = applyOutputLimits(response.output, parameters)
+  const { content, toolCalls } = toolContext
+    ? parseToolCalls(limited.text, toolContext)
+    : { content: limited.text, toolCalls: [] }
+
+  const blocks = []
+  if (content) {
+    blocks.push({ type: 'text', text: content })
+  }
+  for (const toolCall of toolCalls) {
+    blocks.push({
+      type: 'tool_use',
+      id: toToolUseId(toolCall.id),
+      name: toolCall.function.name,
+      input: JSON.parse(toolCall.function.arguments)
+    })
+  }
+
+  const stopReason = toStopReason(limited, toolCalls.length > 0)
+  const usage = limitUsage(response.usage, parameters)
+  return {
+    id: generateMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: blocks,
+    stop_reason: stopReason,
+    stop_sequence: stopReason === 'stop_sequence' ? limited.stopSequence : null,
+    usage: {
+      input_tokens: usage?.promptTokens || 0,
+      output_tokens: usage?.completionTokens || 0,
+      source: getUsageSource([usage])
+    }
+  }
+}
+
+// Handle a non-streaming Messages request
+export async function handleAnthropicResponse(res, qolabaClient, qolabaPayload, model, requestId, options = {}) {
+  const { toolContext = null, parameters = DEFAULT_PARAMETERS } = options
+
+  const response = await qolabaClient.chat(qolabaPayload)
+  // A fallback model may have answered instead of the requested one
+  model = response.model || model
+  const message = createAnthropicMessage(response, model, toolContext, parameters)
+
+  logger.info('Messages request completed', {
+    requestId,
+    model,
+    stopReason: message.stop_reason,
+    usage: response.usage
+  })
+
+  recordUsage(res, model, combineUsage([limitUsage(response.usage, parameters)]), requestId)
+  res.json(message)
+}
+
+/**
+ * Writes the Anthropic SSE event sequence, opening and closing content blocks
+ * as text and tool calls arrive
+ */
+class AnthropicEventWriter {
+  constructor(responseManager) {
+    this.sseWriter = new SafeSSEWriter(responseManager)
+    this.blockIndex = -1
+    this.openBlock = null
+    this.toolUseCount = 0
+    this.started = false
+  }
+
+  write(type, data) {
+    return this.sseWriter.writeEvent({ type, ...data }, type)
+  }
+
+  start(message) {
+    if (!this.started) {
+      this.started = true
+      this.write('message_start', { message })
+    }
+  }
+
+  /**
+   * Write content / tool_call events from the tool call stream parser
+   */
+  writeEvents(events) {
+    for (const event of events) {
+      if (event.type === 'content') {
+        if (this.openBlock !== 'text') {
+          this.startBlock('text', { type: 'text', text: '' })
+        }
+        this.write('content_block_delta', {
+          index: this.blockIndex,
+          delta: { type: 'text_delta', text: event.text }
+        })
+      } else if (event.delta.id) {
+        this.toolUseCount++
+        this.startBlock('tool_use', {
+          type: 'tool_use',
+          id: toToolUseId(event.delta.id),
+          name: event.delta.function.name,
+          input: {}
+        })
+      } else if (event.delta.function.arguments) {
+        this.write('content_block_delta', {
+          index: this.blockIndex,
+          delta: { type: 'input_json_delta', partial_json: event.delta.function.arguments }
+        })
+      }
+    }
+  }
+
+  startBlock(kind, contentBlock) {
+    this.stopBlock()
+    this.blockIndex++
+    this.openBlock = kind
+    this.write('content_block_start', { index: this.blockIndex, content_block: contentBlock })
+  }
+
+  stopBlock() {
+    if (this.openBlock) {
+      this.write('content_block_stop', { index: this.blockIndex })
+      this.openBlock = null
+    }
+  }
+
+  finish(stopReason, outputTokens, stopSequence = null) {
+    this.stopBlock()
+    this.write('message_delta', {
+      delta: { stop_reason: stopReason, stop_sequence: stopSequence },
+      usage: { output_tokens: outputTokens }
+    })
+    this.write('message_stop', {})
+  }
+
+  error(error) {
+    this.write('error', { error: toAnthropicError(error).error })
+  }
+}
+
+// Handle a streaming Messages request
+export async function handleAnthropicStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, model, requestId, options = {}) {
+  const { toolContext = null, parameters = DEFAULT_PARAMETERS } = options
+
+  concurrencyMonitor.registerRequest(requestId, {
+    type: 'streaming',
+    model,
+    stream: true,
+    api: 'anthropic'
+  })
+
+  const eventWriter = new AnthropicEventWriter(responseManager)
+  const unifiedTimeoutManager = req.unifiedTimeoutManager || res.unifiedTimeoutManager
+  if (unifiedTimeoutManager) {
+    unifiedTimeoutManager.registerStreamingErrorHandler(async (reason) => {
+      if (responseManager.areHeadersSent() && !responseManager.hasEnded()) {
+        eventWriter.error(new TimeoutError(`Request timeout (${reason})`))
+        await responseManager.coordinatedTermination(`anthropic_${reason}`)
+      }
+    })
+    unifiedTimeoutManager.updateActivity()
+  }
+
+  if (!openEventStream(responseManager, res)) {
+    concurrencyMonitor.completeRequest(requestId, 'failed', { error: 'headers_not_sent' })
+    throw new Error('Failed to set streaming headers')
+  }
+
+  // stop_sequences and max_tokens are applied first, then tool blocks are parsed out;
+  // without tools, every chunk is plain text
+  const outputLimiter = createOutputLimiter(parameters)
+  const toolCallParser = toolContext ? createToolCallStreamParser(toolContext) : null
+  const writeText = (text) => {
+    if (text) {
+      eventWriter.writeEvents(toolCallParser ? toolCallParser.push(text) : [{ type: 'content', text }])
+    }
+  }
+
+  // message_start waits for the first chunk, which tells whether a fallback model answered
+  const messageId = generateMessageId()
+  const startMessage = () => eventWriter.start({
+    id: messageId,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [],
+    stop_reason: null,
+    stop_sequence: null,
+    // Counted locally, as Qolaba only reports usage at the end
+    usage: { input_tokens: countPromptTokens(qolabaPayload), output_tokens: 0 }
+  })
+
+  // Everything the upstream produced, charged if the stream does not finish
+  let upstreamOutput = ''
+
+  // Cuts the upstream call short once stop_sequences or max_tokens end the
+  // reply; it still follows the client's disconnect signal
+  const upstreamController = createChildController(qolabaClient.signal)
+
+  try {
+    let result = null
+    try {
+      result = await qolabaClient.streamChat(qolabaPayload, (chunk) => {
+        if (unifiedTimeoutManager) {
+          unifiedTimeoutManager.updateActivity()
+        }
+        if (chunk.model) {
+          model = chunk.model
+        }
+        upstreamOutput += chunk.output || ''
+        startMessage()
+        if (chunk.output && !outputLimiter.isFinished()) {
+          const text = outputLimiter.push(chunk.output)
+          if (outputLimiter.isFinished()) {
+            upstreamController.abort()
+          }
+          writeText(text)
+        }
+      }, { signal: upstreamController.signal })
+    } catch (error) {
+      if (!outputLimiter.isFinished() || !isCancellation(error) || qolabaClient.signal?.aborted) {
+        throw error
+      }
+      logger.debug('Cut short a reply that reached its output limit', { requestId, stopReason: outputLimiter.finishReason })
+    }
+
+    startMessage()
+    writeText(outputLimiter.flush())
+    if (toolCallParser) {
+      eventWriter.writeEvents(toolCallParser.flush())
+    }
+
+    const stopReason = toStopReason(outputLimiter, eventWriter.toolUseCount > 0)
+    // A call cut short reports no usage, so what it produced is counted locally
+    const usage = limitUsage(result ? result.usage || null : resolveUsage(null, qolabaPayload, upstreamOutput), parameters)
+    eventWriter.finish(stopReason, usage?.completionTokens || 0, stopReason === 'stop_sequence' ? outputLimiter.stopSequence : null)
+
+    recordUsage(res, model, combineUsage([usage]), requestId)
+    logger.info('Messages streaming completed', { requestId, model, stopReason })
+    concurrencyMonitor.completeRequest(requestId, 'completed', { model })
+  } catch (error) {
+    logger.error('Messages streaming failed', { requestId, error: error.message })
+    recordPartialUsage(res, model, [{ payload: qolabaPayload, output: upstreamOutput }], requestId, error)
+    eventWriter.error(error)
+    concurrencyMonitor.completeRequest(requestId, isCancellation(error) ? 'cancelled' : 'failed', { error: error.message })
+  }
+
+  if (!responseManager.hasEnded()) {
+    await responseManager.coordinatedTermination('anthropic_streaming_complete')
+  }
+}
+
+/**
+ * Anthropic stop_reason from the output limits applied to a reply (see
+ * applyOutputLimits) and whether it made tool calls
+ */
+function toStopReason(limits, hasToolUse) {
+  if (limits.finishReason === 'length') {
+    return 'max_tokens'
+  }
+  if (hasToolUse) {
+    return 'tool_use'
+  }
+  return limits.stopSequence ? 'stop_sequence' : 'end_turn'
+}
+
+// Anthropic tool_use ids use the toolu_ prefix
+function toToolUseId(toolCallId) {
+  return toolCallId.replace(/^call_/, 'toolu_')
+}
+
+function generateMessageId() {
+  return 'msg_' + Math.random().toString(36).substring(2, 15) +
+         Math.random().toString(36).substring(2, 15)
+}
+
+export default {
+  validateMessagesRequest,
+  translateAnthropicToOpenAI,
+  createAnthropicMessage,
+  handleAnthropicResponse,
+  handleAnthropicStreamingResponse
+}
@@ -0,0 +1,44 @@
+/**
+ * AbortSignal that fires when the client goes away before the response has
+ * been sent in full (a closed tab, a Stop button), so the upstream calls made
+ * for the request can be cut short
+ */
+export function createDisconnectSignal(res) {
+  const abortController = new AbortController()
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort()
+    }
+  })
+
+  return abortController.signal
+}
+
+/**
+ * AbortController that is also aborted along with signal (e.g. the client's
+ * disconnect signal), so one upstream call can be cut short on its own
+ */
+export function createChildController(signal) {
+  const abortController = new AbortController()
+
+  if (signal?.aborted) {
+    abortController.abort()
+  }
+  signal?.addEventListener('abort', () => abortController.abort(), { once: true })
+
+  return abortController
+}
+
+/**
+ * Whether an error comes from a call cancelled by the client
+ */
+export function isCancellation(error) {
+  return error?.name === 'RequestCancelledError'
+}
+
+export default {
+  createDisconnectSignal,
+  createChildController,
+  isCancellation
+}
@@ -0,0 +1,261 @@
+import { logger } from '../services/logger.js'
+import { concurrencyMonitor } from './concurrencyMonitor.js'
+import { isCancellation } from './cancellation.js'
+import { SafeSSEWriter, openEventStream, toOpenAIUsage, recordUsage, recordPartialUsage } from './streaming.js'
+import { normalizeStop, validateStop, truncateAtStop, createStopSequenceFilter } from './stopSequences.js'
+import { validateStreamOptions } from './parameters.js'
+import { combineUsage } from './tokenizer.js'
+
+/**
+ * Legacy text completions (/v1/completions).
+ *
+ * Each prompt becomes a single user message, with a system instruction asking
+ * the chat model to continue the text rather than reply to it.
+ */
+
+const CONTINUATION_INSTRUCTION = 'You are a text completion engine. Continue the text in the user message. ' +
+  'Reply with the continuation only: do not repeat the text, add commentary or wrap it in quotes or code fences.'
+
+const MAX_N = 10
+const MAX_PROMPTS = 20
+
+// Validate a text completion request
+export function validateCompletionRequest(body) {
+  if (!body) {
+    return { valid: false, error: 'Request body is required' }
+  }
+
+  if (!body.model || typeof body.model !== 'string') {
+    return { valid: false, error: 'model field is required and must be a string' }
+  }
+
+  const prompts = Array.isArray(body.prompt) ? body.prompt : [body.prompt]
+  if (body.prompt === undefined || prompts.length === 0 || prompts.some(prompt => typeof prompt !== 'string')) {
+    return { valid: false, error: 'prompt field is required and must be a string or an array of strings' }
+  }
+  if (prompts.length > MAX_PROMPTS) {
+    return { valid: false, error: `prompt array cannot contain more than ${MAX_PROMPTS} prompts` }
+  }
+
+  if (body.suffix !== undefined && body.suffix !== null && typeof body.suffix !== 'string') {
+    return { valid: false, error: 'suffix must be a string' }
+  }
+
+  if (body.echo !== undefined && typeof body.echo !== 'boolean') {
+    return { valid: false, error: 'echo must be a boolean' }
+  }
+
+  if (body.n !== undefined && (!Number.isInteger(body.n) || body.n < 1 || body.n > MAX_N)) {
+    return { valid: false, error: `n must be an integer between 1 and ${MAX_N}` }
+  }
+
+  const stopValidation = validateStop(body.stop)
+  if (!stopValidation.valid) {
+    return stopValidation
+  }
+
+  if (body.temperature !== undefined) {
+    if (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2) {
+      return { valid: false, error: 'temperature must be a number between 0 and 2' }
+    }
+  }
+
+  if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+    return { valid: false, error: 'stream must be a boolean' }
+  }
+
+  return validateStreamOptions(body)
+}
+
+// Get the list of prompts from a completion request
+export function getPrompts(body) {
+  return Array.isArray(body.prompt) ? body.prompt : [body.prompt]
+}
+
+// Build the chat request that completes one prompt
+export function buildCompletionChatRequest(body, prompt) {
+  const instruction = body.suffix
+    ? `${CONTINUATION_INSTRUCTION}\nThe continuation must lead directly into this text, which follows it:\n${body.suffix}`
+    : CONTINUATION_INSTRUCTION
+
+  const chatRequest = {
+    model: body.model,
+    messages: [
+      { role: 'system', content: instruction },
+      { role: 'user', content: prompt }
+    ],
+    stream: body.stream === true
+  }
+
+  if (body.temperature !== undefined) {
+    chatRequest.temperature = body.temperature
+  }
+  // Only used to reserve room for the reply in the context window
+  if (Number.isInteger(body.max_tokens) && body.max_tokens > 0) {
+    chatRequest.max_tokens = body.max_tokens
+  }
+
+  return chatRequest
+}
+
+// Handle a non-streaming completion request: one upstream call per prompt and per n
+export async function handleCompletionResponse(res, qolabaClient, qolabaPayloads, body, requestId) {
+  const prompts = getPrompts(body)
+  const n = body.n || 1
+  const stops = normalizeStop(body.stop)
+
+  const jobs = []
+  for (let promptIndex = 0; promptIndex < prompts.length; promptIndex++) {
+    for (let i = 0; i < n; i++) {
+      jobs.push({ promptIndex, index: promptIndex * n + i })
+    }
+  }
+
+  const responses = await Promise.all(jobs.map(job => qolabaClient.chat(qolabaPayloads[job.promptIndex])))
+  // A fallback model may have answered instead of the requested one
+  const model = responses[0]?.model || qolabaPayloads[0].llm_model
+
+  const choices = responses.map((response, i) => {
+    const { text } = truncateAtStop(response.output || '', stops)
+    const prompt = prompts[jobs[i].promptIndex]
+
+    return {
+      text: body.echo ? prompt + text : text,
+      index: jobs[i].index,
+      logprobs: null,
+      finish_reason: 'stop'
+    }
+  })
+
+  const usage = combineUsage(responses.map(response => response.usage))
+
+  logger.info('Completion request completed', {
+    requestId,
+    model,
+    choices: choices.length,
+    usage
+  })
+
+  recordUsage(res, model, usage, requestId)
+  res.json({
+    id: generateCompletionId(),
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices,
+    usage: toOpenAIUsage(usage)
+  })
+}
+
+// Handle a streaming completion request; choices are streamed one after another
+export async function handleCompletionStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayloads, body, requestId) {
+  const prompts = getPrompts(body)
+  const n = body.n || 1
+  const stops = normalizeStop(body.stop)
+  let model = qolabaPayloads[0].llm_model
+  const id = generateCompletionId()
+  const created = Math.floor(Date.now() / 1000)
+
+  concurrencyMonitor.registerRequest(requestId, {
+    type: 'streaming',
+    model,
+    stream: true,
+    api: 'completions'
+  })
+
+  const unifiedTimeoutManager = req.unifiedTimeoutManager || res.unifiedTimeoutManager
+  if (unifiedTimeoutManager) {
+    unifiedTimeoutManager.updateActivity()
+  }
+
+  if (!openEventStream(responseManager, res)) {
+    concurrencyMonitor.completeRequest(requestId, 'failed', { error: 'headers_not_sent' })
+    throw new Error('Failed to set streaming headers')
+  }
+
+  const sseWriter = new SafeSSEWriter(responseManager)
+  const includeUsage = body.stream_options?.include_usage === true
+  const writeChunk = (index, text, finishReason = null) => sseWriter.writeEvent({
+    id,
+    object: 'text_completion',
+    created,
+    model,
+    choices: [{ text, index, logprobs: null, finish_reason: finishReason }],
+    ...(includeUsage && { usage: null })
+  })
+  const usages = []
+  // The call in flight, charged for its prompt and partial output if the stream does not finish
+  let current = null
+
+  try {
+    for (let promptIndex = 0; promptIndex < prompts.length; promptIndex++) {
+      for (let i = 0; i < n; i++) {
+        const index = promptIndex * n + i
+        const stopFilter = createStopSequenceFilter(stops)
+
+        if (body.echo) {
+          writeChunk(index, prompts[promptIndex])
+        }
+
+        current = { payload: qolabaPayloads[promptIndex], output: '' }
+        const result = await qolabaClient.streamChat(qolabaPayloads[promptIndex], (chunk) => {
+          if (unifiedTimeoutManager) {
+            unifiedTimeoutManager.updateActivity()
+          }
+          if (chunk.model) {
+            model = chunk.model
+          }
+          current.output += chunk.output || ''
+          const text = chunk.output ? stopFilter.push(chunk.output) : ''
+          if (text) {
+            writeChunk(index, text)
+          }
+        })
+
+        const rest = stopFilter.flush()
+        if (rest) {
+          writeChunk(index, rest)
+        }
+        writeChunk(index, '', 'stop')
+        usages.push(result?.usage)
+        current = null
+      }
+    }
+
+    const usage = combineUsage(usages)
+    if (includeUsage) {
+      sseWriter.writeEvent({ id, object: 'text_completion', created, model, choices: [], usage: toOpenAIUsage(usage) })
+    }
+
+    sseWriter.writeDone()
+    recordUsage(res, model, usage, requestId)
+    logger.info('Completion streaming completed', { requestId, model, usage })
+    concurrencyMonitor.completeRequest(requestId, 'completed', { model })
+  } catch (error) {
+    logger.error('Completion streaming failed', { requestId, error: error.message })
+    recordPartialUsage(res, model, [
+      ...usages.filter(Boolean).map(usage => ({ usage })),
+      ...(current ? [current] : [])
+    ], requestId, error)
+    sseWriter.writeEvent({ error: { message: error.message, type: 'api_error' } })
+    sseWriter.writeDone()
+    concurrencyMonitor.completeRequest(requestId, isCancellation(error) ? 'cancelled' : 'failed', { error: error.message })
+  }
+
+  if (!responseManager.hasEnded()) {
+    await responseManager.coordinatedTermination('completion_streaming_complete')
+  }
+}
+
+function generateCompletionId() {
+  return 'cmpl-' + Math.random().toString(36).substring(2, 15) +
+         Math.random().toString(36).substring(2, 15)
+}
+
+export default {
+  validateCompletionRequest,
+  getPrompts,
+  buildCompletionChatRequest,
+  handleCompletionResponse,
+  handleCompletionStreamingResponse
+}
@@ -1,26 +1,34 @@
 import { logger } from '../services/logger.js'
+import { stateStore } from '../services/stateStore.js'
+
+// Counters kept in the state store, summed over every instance sharing it
+const METRICS = [
+  'totalRequests',
+  'hangingRequests',
+  'timeoutConflicts',
+  'resourceLeaks',
+  'raceConditions',
+  'upstreamAttempts',
+  'upstreamRetries',
+  'upstreamCancellations'
+]
 
 /**
  * Comprehensive concurrency monitoring to detect hanging requests
- * and track resource usage patterns
+ * and track resource usage patterns.
+ *
+ * Requests are tracked in this process, where they run; the metrics counters
+ * go through the state store.
  */
 export class ConcurrencyMonitor {
-  constructor() {
+  constructor(options = {}) {
+    this.store = options.store || stateStore
     this.activeRequests = new Map()
     this.resourceUsage = new Map()
     this.timeoutEvents = new Map()
     this.cleanupEvents = new Map()
     this.raceConditions = new Map()
     
-    // Metrics tracking
-    this.metrics = {
-      totalRequests: 0,
-      hangingRequests: 0,
-      timeoutConflicts: 0,
-      resourceLeaks: 0,
-      raceConditions: 0
-    }
-    
     // Start periodic monitoring
     this.startPeriodicMonitoring()
   }
@@ -37,11 +45,12 @@ export class ConcurrencyMonitor {
       resourceAllocations: new Set(),
       eventListeners: new Set(),
       lastActivity: Date.now(),
+      attempts: [],
       metadata
     }
 
     this.activeRequests.set(requestId, requestInfo)
-    this.metrics.totalRequests++
+    this.increment('totalRequests')
 
     logger.debug('Request registered for concurrency monitoring', {
       requestId,
@@ -73,7 +82,7 @@ export class ConcurrencyMonitor {
     const requestInfo = this.activeRequests.get(requestId)
     
     if (requestInfo && timeoutCount > 1) {
-      this.metrics.timeoutConflicts++
+      this.increment('timeoutConflicts')
       this.trackRaceCondition(requestId, 'timeout_conflict', {
         timeoutCount,
         timeoutTypes: this.timeoutEvents.get(requestId).map(t => t.type)
@@ -152,6 +161,31 @@ export class ConcurrencyMonitor {
     })
   }
 
+  /**
+   * Track one attempt of an upstream Qolaba call; attempts after the first are
+   * retries. details.outcome is 'success', 'failed' or 'cancelled'.
+   */
+  trackAttempt(requestId, details = {}) {
+    this.increment('upstreamAttempts')
+    if (details.attempt > 1) {
+      this.increment('upstreamRetries')
+    }
+    if (details.outcome === 'cancelled') {
+      this.increment('upstreamCancellations')
+    }
+
+    const requestInfo = this.activeRequests.get(requestId)
+    if (requestInfo) {
+      requestInfo.attempts.push({ ...details, timestamp: Date.now() })
+      requestInfo.lastActivity = Date.now()
+    }
+
+    logger.debug('Upstream attempt tracked', {
+      requestId,
+      ...details
+    })
+  }
+
   /**
    * Track race conditions
    */
@@ -168,13 +202,13 @@ export class ConcurrencyMonitor {
     }
 
     this.raceConditions.get(requestId).push(raceInfo)
-    this.metrics.raceConditions++
+    this.increment('raceConditions')
 
     logger.warn('Race condition detected', {
       requestId,
       raceType,
       details,
-      totalRaceConditions: this.metrics.raceConditions
+      raceConditions: this.raceConditions.get(requestId).length
     })
   }
 
@@ -192,7 +226,7 @@ export class ConcurrencyMonitor {
 
     // Check for potential hanging patterns
     if (requestInfo.duration > 60000) { // Over 1 minute
-      this.metrics.hangingRequests++
+      this.increment('hangingRequests')
       logger.warn('Potential hanging request detected', {
         requestId,
         duration: requestInfo.duration,
@@ -317,25 +351,39 @@ export class ConcurrencyMonitor {
         count: leaks.length,
         leaks
       })
-      this.metrics.resourceLeaks += leaks.length
+      this.increment('resourceLeaks', leaks.length)
     }
 
     return leaks
   }
 
   /**
-   * Get comprehensive metrics
+   * Add to a metrics counter; failures are logged, never thrown
+   */
+  increment(metric, amount = 1) {
+    return this.store.increment(`concurrency:${metric}`, amount).catch(error => {
+      logger.error('Failed to update concurrency metrics', { metric, error: error.message })
+    })
+  }
+
+  /**
+   * Get comprehensive metrics. The counters cover every instance sharing the
+   * state store; active requests and resources are this instance's.
    */
-  getMetrics() {
+  async getMetrics() {
+    const values = await this.store.getMany(METRICS.map(metric => `concurrency:${metric}`))
+    const metrics = Object.fromEntries(METRICS.map((metric, i) => [metric, Number(values[i]) || 0]))
+    const totalRequests = Math.max(metrics.totalRequests, 1)
+
     return {
-      ...this.metrics,
+      ...metrics,
       activeRequests: this.activeRequests.size,
       resourceUsage: this.resourceUsage.size,
       averageRequestDuration: this.calculateAverageDuration(),
-      hangingRequestRate: this.metrics.hangingRequests / Math.max(this.metrics.totalRequests, 1) * 100,
-      timeoutConflictRate: this.metrics.timeoutConflicts / Math.max(this.metrics.totalRequests, 1) * 100,
-      resourceLeakRate: this.metrics.resourceLeaks / Math.max(this.metrics.totalRequests, 1) * 100,
-      raceConditionRate: this.metrics.raceConditions / Math.max(this.metrics.totalRequests, 1) * 100
+      hangingRequestRate: metrics.hangingRequests / totalRequests * 100,
+      timeoutConflictRate: metrics.timeoutConflicts / totalRequests * 100,
+      resourceLeakRate: metrics.resourceLeaks / totalRequests * 100,
+      raceConditionRate: metrics.raceConditions / totalRequests * 100
     }
   }
 
@@ -356,12 +404,12 @@ export class ConcurrencyMonitor {
    * Start periodic monitoring
    */
   startPeriodicMonitoring() {
-    setInterval(() => {
+    setInterval(async () => {
       try {
         this.detectHangingRequests()
         this.detectResourceLeaks()
         
-        const metrics = this.getMetrics()
+        const metrics = await this.getMetrics()
         logger.debug('Concurrency monitoring metrics', metrics)
         
         // Alert on critical issues
@@ -0,0 +1,170 @@
+import { config } from '../config/index.js'
+import { ValidationError } from '../middleware/errorHandler.js'
+
+/**
+ * Translation of OpenAI multi-part message content into the Qolaba
+ * { text, image_data } shape.
+ *
+ * Text parts are concatenated in order, base64 images are checked against the
+ * size limit and their MIME type is taken from the image bytes, and text-like
+ * files are inlined. Parts Qolaba cannot carry are rejected with a
+ * ValidationError instead of being dropped.
+ */
+
+const DATA_URL_REGEX = /^data:([^;,]*)((?:;[^;,]*)*?);base64,(.*)$/s
+
+// Magic numbers of the image formats the upstream accepts
+const IMAGE_SIGNATURES = [
+  { mime: 'image/png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/jpeg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { mime: 'image/gif', matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { mime: 'image/webp', matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' }
+]
+
+const TEXT_FILE_MIME_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/yaml', 'application/javascript']
+const TEXT_FILE_EXTENSIONS = /\.(txt|md|markdown|csv|tsv|json|jsonl|xml|ya?ml|html?|css|js|mjs|ts|py|java|c|cpp|h|go|rs|rb|php|sh|sql|log|ini|toml)$/i
+
+/**
+ * Translate a message's content (string or array of parts) into { text, image_data }.
+ * Throws ValidationError for parts that cannot be translated.
+ */
+export function translateContent(content, location = 'message') {
+  if (typeof content === 'string') {
+    return { text: content, image_data: [] }
+  }
+
+  if (content === null || content === undefined) {
+    return { text: '', image_data: [] }
+  }
+
+  if (!Array.isArray(content)) {
+    throw new ValidationError(`${location} content must be a string or an array of content parts`)
+  }
+
+  const texts = []
+  const images = []
+
+  content.forEach((part, index) => {
+    const partLocation = `${location} content part ${index}`
+
+    switch (part?.type) {
+      case 'text':
+        if (typeof part.text !== 'string') {
+          throw new ValidationError(`${partLocation} is missing text`)
+        }
+        texts.push(part.text)
+        break
+      case 'image_url':
+        images.push(translateImagePart(part, partLocation))
+        break
+      case 'file':
+        texts.push(translateFilePart(part, partLocation))
+        break
+      case 'input_audio':
+        throw new ValidationError(`${partLocation}: input_audio parts are not supported by this proxy`)
+      default:
+        throw new ValidationError(`${partLocation} has unsupported type "${part?.type}"`)
+    }
+  })
+
+  return { text: texts.join('\n'), image_data: images }
+}
+
+/**
+ * Plain text of a message's content; system and developer messages must be text only
+ */
+export function contentToText(content, location = 'message') {
+  const { text, image_data: images } = translateContent(content, location)
+  if (images.length > 0) {
+    throw new ValidationError(`${location} cannot contain images`)
+  }
+  return text
+}
+
+function translateImagePart(part, location) {
+  const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url
+  const detail = part.image_url?.detail || 'low'
+
+  if (typeof url !== 'string' || url.length === 0) {
+    throw new ValidationError(`${location} is missing image_url.url`)
+  }
+
+  if (/^https?:\/\//i.test(url)) {
+    return { url, details: detail }
+  }
+
+  if (!url.startsWith('data:')) {
+    throw new ValidationError(`${location}: image_url must be an http(s) URL or a base64 data URL`)
+  }
+
+  const bytes = decodeDataUrl(url, location)
+  if (bytes.length > config.content.maxImageBytes) {
+    throw new ValidationError(
+      `${location}: image is ${bytes.length} bytes, larger than the ${config.content.maxImageBytes} byte limit`
+    )
+  }
+
+  // Trust the bytes rather than the declared type, which clients often get wrong
+  const mime = detectImageMime(bytes)
+  if (!mime) {
+    throw new ValidationError(`${location}: image data is not a PNG, JPEG, GIF or WebP image`)
+  }
+
+  return { url: `data:${mime};base64,${bytes.toString('base64')}`, details: detail }
+}
+
+function translateFilePart(part, location) {
+  const file = part.file || {}
+
+  if (file.file_id) {
+    throw new ValidationError(`${location}: uploaded file references (file_id) are not supported; send file_data instead`)
+  }
+  if (typeof file.file_data !== 'string') {
+    throw new ValidationError(`${location} is missing file.file_data`)
+  }
+
+  const match = file.file_data.match(DATA_URL_REGEX)
+  const mime = match ? match[1].toLowerCase() : ''
+  const filename = file.filename || 'file'
+
+  const isText = mime.startsWith('text/') || TEXT_FILE_MIME_TYPES.includes(mime) || TEXT_FILE_EXTENSIONS.test(filename)
+  if (!isText) {
+    throw new ValidationError(`${location}: only text files can be sent; "${filename}" (${mime || 'unknown type'}) is not supported`)
+  }
+
+  const bytes = match ? decodeDataUrl(file.file_data, location) : decodeBase64(file.file_data, location)
+  if (bytes.length > config.content.maxFileBytes) {
+    throw new ValidationError(
+      `${location}: file is ${bytes.length} bytes, larger than the ${config.content.maxFileBytes} byte limit`
+    )
+  }
+
+  return `<file name="${filename}">\n${bytes.toString('utf8')}\n</file>`
+}
+
+function decodeDataUrl(url, location) {
+  const match = url.match(DATA_URL_REGEX)
+  if (!match) {
+    throw new ValidationError(`${location}: data URL must be base64 encoded`)
+  }
+  return decodeBase64(match[3], location)
+}
+
+function decodeBase64(data, location) {
+  const cleaned = data.replace(/\s/g, '')
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(cleaned)) {
+    throw new ValidationError(`${location}: data is not valid base64`)
+  }
+  return Buffer.from(cleaned, 'base64')
+}
+
+// Detect the image MIME type from its leading bytes
+export function detectImageMime(bytes) {
+  return IMAGE_SIGNATURES.find(signature => signature.matches(bytes))?.mime || null
+}
+
+export default {
+  translateContent,
+  contentToText,
+  detectImageMime
+}
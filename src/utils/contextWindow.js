@@ -0,0 +1,332 @@
+import { logger } from '../services/logger.js'
+import { config } from '../config/index.js'
+import { ContextLengthError } from '../middleware/errorHandler.js'
+import { modelRegistry } from '../services/modelRegistry.js'
+import { translateOpenAIToQolaba } from './translator.js'
+
+/**
+ * Context window budgeting for chat requests.
+ *
+ * Before translation, the prompt size is estimated against the upstream
+ * model's context window minus room for the reply. Oversized histories are cut
+ * with the configured strategy:
+ *   - drop_oldest: drop the oldest turns, whatever their role
+ *   - keep_pinned: keep system/developer messages and the first user turn,
+ *     drop the oldest of the rest
+ *   - summarize: like keep_pinned, but the dropped turns are replaced by a
+ *     summary written by a cheap model
+ * The latest turn is always kept, and an assistant tool call is dropped
+ * together with its tool results.
+ */
+
+export const CONTEXT_TRIM_HEADER = 'X-Qolaba-Context-Trim'
+
+// Rough estimate, a little pessimistic for English text
+const CHARS_PER_TOKEN = 4
+
+// Role and formatting tokens added per message
+const MESSAGE_OVERHEAD_TOKENS = 4
+
+const IMAGE_TOKENS = { low: 85, high: 765 }
+
+const SUMMARY_INSTRUCTIONS = [
+  'You summarize the beginning of a conversation so it can continue without the full transcript.',
+  'Keep names, facts, decisions, open questions and instructions the participants gave.',
+  'Write a compact summary in the language of the conversation, without any preamble.'
+].join(' ')
+
+/**
+ * Estimate the tokens of a text
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Estimate the tokens an OpenAI chat message takes in the prompt
+ */
+export function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateContentTokens(message.content)
+
+  if (message.tool_calls) {
+    tokens += estimateTextTokens(JSON.stringify(message.tool_calls))
+  }
+  if (message.function_call) {
+    tokens += estimateTextTokens(JSON.stringify(message.function_call))
+  }
+
+  return tokens
+}
+
+/**
+ * Estimate the prompt tokens of a whole chat request, including tool
+ * definitions and response_format schemas that end up in system_msg
+ */
+export function estimateRequestTokens(request) {
+  return estimateFixedTokens(request) + (request.messages || []).reduce(
+    (sum, message) => sum + estimateMessageTokens(message),
+    0
+  )
+}
+
+/**
+ * Prompt budget for a model: its context window (capped by MAX_CONTEXT_TOKENS)
+ * minus the tokens reserved for the reply
+ */
+export function getContextBudget(modelConfig, request = {}) {
+  let contextWindow = modelRegistry.getContextWindow(modelConfig.llm_model)
+
+  if (config.context.maxTokens) {
+    contextWindow = Math.min(contextWindow, config.context.maxTokens)
+  }
+
+  const reserve = request.max_completion_tokens ?? request.max_tokens ?? config.context.reserveTokens
+
+  return {
+    contextWindow,
+    reserve,
+    budget: contextWindow - reserve
+  }
+}
+
+/**
+ * Make a chat request fit the model's context window.
+ * Returns { request, trim }, where trim is null when the history was left
+ * untouched, or { strategy, droppedMessages, originalTokens, estimatedTokens, budget }.
+ * Throws ContextLengthError when the pinned turns alone do not fit.
+ */
+export async function fitToContextWindow(request, modelConfig, options = {}) {
+  const { client = null, requestId, strategy = config.context.strategy } = options
+  const { contextWindow, reserve, budget } = getContextBudget(modelConfig, request)
+  const originalTokens = estimateRequestTokens(request)
+
+  if (originalTokens <= budget) {
+    return { request, trim: null }
+  }
+
+  if (strategy === 'none') {
+    logger.warn('Request exceeds the estimated context budget; trimming is disabled', {
+      requestId,
+      model: modelConfig.llm_model,
+      estimatedTokens: originalTokens,
+      budget
+    })
+    return { request, trim: null }
+  }
+
+  // Leave room for the summary, at most a quarter of the budget
+  const summarize = strategy === 'summarize' && client !== null
+  const summaryTokens = summarize ? Math.min(config.context.summaryMaxTokens, Math.floor(budget / 4)) : 0
+  const target = budget - summaryTokens
+  const turns = groupTurns(request.messages)
+  const pinned = getPinnedTurns(turns, strategy)
+
+  let total = originalTokens
+  const dropped = new Set()
+  for (let i = 0; i < turns.length && total > target; i++) {
+    if (!pinned.has(i)) {
+      dropped.add(i)
+      total -= turns[i].tokens
+    }
+  }
+
+  if (total > target) {
+    throw new ContextLengthError(
+      `This model's maximum context length is ${contextWindow} tokens, but even after trimming the history the request ` +
+      `needs about ${total} prompt tokens plus ${reserve} reserved for the reply. Shorten the latest messages or lower max_tokens.`
+    )
+  }
+
+  const droppedMessages = turns.filter((turn, i) => dropped.has(i)).flatMap(turn => turn.messages)
+  let messages = turns.filter((turn, i) => !dropped.has(i)).flatMap(turn => turn.messages)
+  let appliedStrategy = strategy === 'summarize' ? 'keep_pinned' : strategy
+
+  if (summarize) {
+    const summary = await summarizeMessages(droppedMessages, summaryTokens, client, requestId)
+    if (summary) {
+      // Every turn before the first dropped one was kept
+      const insertAt = turns.slice(0, Math.min(...dropped))
+        .reduce((count, turn) => count + turn.messages.length, 0)
+      messages = [
+        ...messages.slice(0, insertAt),
+        { role: 'system', content: `Summary of the earlier conversation, shortened to fit the context window:\n${summary}` },
+        ...messages.slice(insertAt)
+      ]
+      appliedStrategy = 'summarize'
+    }
+  }
+
+  const trimmedRequest = { ...request, messages }
+  const trim = {
+    strategy: appliedStrategy,
+    droppedMessages: droppedMessages.length,
+    originalTokens,
+    estimatedTokens: estimateRequestTokens(trimmedRequest),
+    budget
+  }
+
+  logger.info('Trimmed conversation history to fit the context window', {
+    requestId,
+    model: modelConfig.llm_model,
+    ...trim
+  })
+
+  return { request: trimmedRequest, trim }
+}
+
+/**
+ * Format a trim result as the value of the X-Qolaba-Context-Trim header
+ */
+export function formatContextTrimHeader(trim) {
+  return [
+    `strategy=${trim.strategy}`,
+    `dropped_messages=${trim.droppedMessages}`,
+    `estimated_tokens=${trim.estimatedTokens}`,
+    `budget=${trim.budget}`
+  ].join('; ')
+}
+
+function estimateContentTokens(content) {
+  if (typeof content === 'string') {
+    return estimateTextTokens(content)
+  }
+  if (!Array.isArray(content)) {
+    return 0
+  }
+
+  return content.reduce((sum, part) => {
+    switch (part?.type) {
+      case 'text':
+        return sum + estimateTextTokens(part.text)
+      case 'image_url':
+        // Images default to low detail upstream, see contentParts.js
+        return sum + ((part.image_url?.detail || 'low') === 'low' ? IMAGE_TOKENS.low : IMAGE_TOKENS.high)
+      case 'file':
+        // Inlined as decoded text, about 3/4 of the base64 length
+        return sum + Math.ceil(estimateTextTokens(part.file?.file_data) * 0.75)
+      default:
+        return sum
+    }
+  }, 0)
+}
+
+function estimateFixedTokens(request) {
+  let tokens = 0
+  if (request.tools?.length > 0) {
+    tokens += estimateTextTokens(JSON.stringify(request.tools))
+  }
+  if (request.functions?.length > 0) {
+    tokens += estimateTextTokens(JSON.stringify(request.functions))
+  }
+  if (request.response_format?.json_schema) {
+    tokens += estimateTextTokens(JSON.stringify(request.response_format.json_schema))
+  }
+  return tokens
+}
+
+// Group messages into turns that are kept or dropped together: an assistant
+// message with tool calls owns the tool results that follow it
+function groupTurns(messages) {
+  const turns = []
+
+  for (const message of messages) {
+    const previous = turns[turns.length - 1]
+    const isToolResult = message.role === 'tool' || message.role === 'function'
+
+    if (isToolResult && previous?.hasToolCalls) {
+      previous.messages.push(message)
+      previous.tokens += estimateMessageTokens(message)
+      continue
+    }
+
+    turns.push({
+      messages: [message],
+      tokens: estimateMessageTokens(message),
+      hasToolCalls: message.role === 'assistant' && (message.tool_calls?.length > 0 || !!message.function_call)
+    })
+  }
+
+  return turns
+}
+
+// Indexes of the turns a strategy never drops
+function getPinnedTurns(turns, strategy) {
+  const pinned = new Set([turns.length - 1])
+
+  if (strategy !== 'drop_oldest') {
+    turns.forEach((turn, i) => {
+      const role = turn.messages[0].role
+      if (role === 'system' || role === 'developer') {
+        pinned.add(i)
+      }
+    })
+
+    const firstUserTurn = turns.findIndex(turn => turn.messages[0].role === 'user')
+    if (firstUserTurn !== -1) {
+      pinned.add(firstUserTurn)
+    }
+  }
+
+  return pinned
+}
+
+// Summarize dropped turns with the configured summary model; null on failure
+async function summarizeMessages(messages, maxTokens, client, requestId) {
+  const summaryModelConfig = modelRegistry.resolve(config.context.summaryModel) || modelRegistry.getDefault()
+  const { budget } = getContextBudget(summaryModelConfig, { max_tokens: maxTokens })
+
+  // Keep the most recent part of the transcript if even the summary model cannot take it all
+  let transcript = messages.map(renderTranscriptLine).join('\n\n')
+  const maxChars = Math.max(0, budget - estimateTextTokens(SUMMARY_INSTRUCTIONS) - 2 * MESSAGE_OVERHEAD_TOKENS) * CHARS_PER_TOKEN
+  if (transcript.length > maxChars) {
+    transcript = `[...]\n${transcript.slice(-maxChars)}`
+  }
+
+  try {
+    const payload = translateOpenAIToQolaba({
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        { role: 'user', content: transcript }
+      ],
+      temperature: 0.2,
+      requestId
+    }, summaryModelConfig)
+
+    const response = await client.chat(payload)
+    const summary = (response.output || '').trim()
+    if (!summary) {
+      return null
+    }
+
+    return summary.slice(0, maxTokens * CHARS_PER_TOKEN)
+  } catch (error) {
+    logger.warn('Failed to summarize trimmed history; dropping it instead', {
+      requestId,
+      summaryModel: config.context.summaryModel,
+      error: error.message
+    })
+    return null
+  }
+}
+
+function renderTranscriptLine(message) {
+  const text = typeof message.content === 'string'
+    ? message.content
+    : (Array.isArray(message.content) ? message.content : [])
+        .map(part => (part?.type === 'text' ? part.text : `[${part?.type}]`))
+        .join('\n')
+
+  const calls = (message.tool_calls || [])
+    .map(call => `[called ${call.function?.name}(${call.function?.arguments || ''})]`)
+
+  return `${message.role}: ${[text, ...calls].filter(Boolean).join('\n')}`
+}
+
+export default {
+  estimateTextTokens,
+  estimateMessageTokens,
+  estimateRequestTokens,
+  getContextBudget,
+  fitToContextWindow,
+  formatContextTrimHeader
+}
@@ -0,0 +1,29 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Parsed contents of a JSON file, or null when it does not exist
+ */
+export function readJsonFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Write data as JSON with owner-only permissions, creating the directory.
+ * The data goes to a temporary file first so a crash cannot leave a truncated file.
+ */
+export function writeJsonFile(filePath, data) {
+  const tmpPath = `${filePath}.tmp`
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true })
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 })
+  fs.renameSync(tmpPath, filePath)
+}
+
+export default {
+  readJsonFile,
+  writeJsonFile
+}
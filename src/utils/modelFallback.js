@@ -0,0 +1,119 @@
+import { logger } from '../services/logger.js'
+import { modelRegistry } from '../services/modelRegistry.js'
+import { RetryHelper, providerCircuitBreakers } from './retryHelper.js'
+import { MODEL_HEADER } from './translator.js'
+import { ProviderUnavailableError } from '../middleware/errorHandler.js'
+
+/**
+ * Wrap a request's Qolaba client so chat and streamChat calls for the model
+ * walk its fallback chain when the upstream provider fails.
+ *
+ * A failure moves on to the next model when RetryHelper.shouldRetry would
+ * retry it (network errors, timeouts, 502/503/504) or when the provider's
+ * circuit breaker is open; client errors and cancelled calls do not.
+ * Streams only fall back until the first content of the request has been
+ * passed on, since what was sent to the client cannot be taken back.
+ *
+ * Results carry the model that answered in `model`, and streamed chunks in
+ * `chunk.model`. When `res` is given, X-Qolaba-Model is updated too as long
+ * as the headers have not been sent.
+ */
+export function withFallbacks(qolabaClient, modelConfig, options = {}) {
+  const { requestId, res } = options
+  const chain = modelRegistry.getFallbackChain(modelConfig)
+
+  if (chain.length === 1) {
+    return qolabaClient
+  }
+
+  const retryHelper = new RetryHelper({ maxRetries: chain.length - 1 })
+  const client = Object.create(qolabaClient)
+  let streamed = false
+
+  // Other calls made with the client (e.g. context summaries) go straight through
+  const isForChain = (payload) => payload.llm === chain[0].llm && payload.llm_model === chain[0].llm_model
+
+  const walkChain = async (call, canFallBack) => {
+    for (let attempt = 0; ; attempt++) {
+      const model = chain[attempt]
+
+      try {
+        const result = await call(model)
+        if (attempt > 0) {
+          logger.info('Fallback model answered', {
+            requestId,
+            requestedModel: chain[0].llm_model,
+            model: model.llm_model,
+            attempt: attempt + 1
+          })
+        }
+        return { ...result, model: model.llm_model }
+      } catch (error) {
+        const retryable = error.name === 'ProviderUnavailableError'
+          ? attempt < chain.length - 1
+          : retryHelper.shouldRetry(error, attempt)
+        if (!canFallBack() || !retryable) {
+          throw error
+        }
+
+        const next = chain[attempt + 1]
+        logger.warn('Model failed, falling back', {
+          requestId,
+          model: model.llm_model,
+          fallback: next.llm_model,
+          error: error.message,
+          errorCode: error.code,
+          statusCode: error.response?.status
+        })
+
+        if (res && !res.headersSent) {
+          res.set(MODEL_HEADER, next.llm_model)
+        }
+      }
+    }
+  }
+
+  client.chat = (payload, callOptions) => {
+    if (!isForChain(payload)) {
+      return qolabaClient.chat(payload, callOptions)
+    }
+    return walkChain(model => qolabaClient.chat(toPayload(payload, model), callOptions), () => true)
+  }
+
+  client.streamChat = (payload, onChunk, callOptions) => {
+    if (!isForChain(payload)) {
+      return qolabaClient.streamChat(payload, onChunk, callOptions)
+    }
+    return walkChain(model => qolabaClient.streamChat(toPayload(payload, model), (chunk) => {
+      if (chunk.output) {
+        streamed = true
+      }
+      onChunk({ ...chunk, model: model.llm_model })
+    }, callOptions), () => !streamed)
+  }
+
+  return client
+}
+
+/**
+ * Throw ProviderUnavailableError when the circuit breaker of every model in
+ * the chain is open, so the request fails with 503 before a stream is opened
+ */
+export function assertProviderAvailable(modelConfig) {
+  const chain = modelRegistry.getFallbackChain(modelConfig)
+  const breakers = chain.map(model => providerCircuitBreakers.get(model.llm))
+
+  if (breakers.every(breaker => breaker.isOpen())) {
+    throw new ProviderUnavailableError(chain[0].llm, Math.min(...breakers.map(breaker => breaker.getRetryAfter())))
+  }
+}
+
+// The request as translated for the first model, sent to another one
+function toPayload(payload, model) {
+  return { ...payload, llm: model.llm, llm_model: model.llm_model }
+}
+
+export default {
+  withFallbacks,
+  assertProviderAvailable
+}
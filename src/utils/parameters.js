@@ -0,0 +1,238 @@
+import { logger } from '../services/logger.js'
+import { normalizeStop, validateStop, truncateAtStop, createStopSequenceFilter } from './stopSequences.js'
+import { truncateToTokens } from './tokenizer.js'
+
+/**
+ * Chat completion parameter mapping.
+ *
+ * The Qolaba payload only carries temperature, so the other OpenAI sampling
+ * and output parameters are either emulated by the proxy (stop, max_tokens,
+ * n), reported back in a Warning header when they cannot be honored (top_p,
+ * penalties, seed), or rejected when ignoring them would change the shape of
+ * the response (logit_bias, logprobs).
+ */
+
+export const MAX_N = 10
+
+// Validate the sampling and output parameters of a chat request
+export function validateParameters(body) {
+  const stopValidation = validateStop(body.stop)
+  if (!stopValidation.valid) {
+    return stopValidation
+  }
+
+  if (body.n !== undefined && body.n !== null) {
+    if (!Number.isInteger(body.n) || body.n < 1 || body.n > MAX_N) {
+      return { valid: false, error: `n must be an integer between 1 and ${MAX_N}` }
+    }
+  }
+
+  if (body.max_completion_tokens !== undefined && body.max_completion_tokens !== null) {
+    if (!Number.isInteger(body.max_completion_tokens) || body.max_completion_tokens < 1) {
+      return { valid: false, error: 'max_completion_tokens must be a positive integer' }
+    }
+  }
+
+  if (body.top_p !== undefined && body.top_p !== null) {
+    if (typeof body.top_p !== 'number' || body.top_p < 0 || body.top_p > 1) {
+      return { valid: false, error: 'top_p must be a number between 0 and 1' }
+    }
+  }
+
+  for (const field of ['presence_penalty', 'frequency_penalty']) {
+    const value = body[field]
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value < -2 || value > 2)) {
+      return { valid: false, error: `${field} must be a number between -2 and 2` }
+    }
+  }
+
+  if (body.seed !== undefined && body.seed !== null && !Number.isInteger(body.seed)) {
+    return { valid: false, error: 'seed must be an integer' }
+  }
+
+  if (body.logit_bias !== undefined && body.logit_bias !== null) {
+    if (typeof body.logit_bias !== 'object' || Array.isArray(body.logit_bias)) {
+      return { valid: false, error: 'logit_bias must be an object mapping token ids to bias values' }
+    }
+    if (Object.keys(body.logit_bias).length > 0) {
+      return { valid: false, error: 'logit_bias is not supported by this proxy' }
+    }
+  }
+
+  if (body.logprobs === true || (body.top_logprobs !== undefined && body.top_logprobs !== null)) {
+    return { valid: false, error: 'logprobs and top_logprobs are not supported by this proxy' }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Resolve the parameters the proxy emulates, plus warnings for the ones it ignores
+ */
+export function resolveParameters(body) {
+  const warnings = []
+
+  if (body.top_p !== undefined && body.top_p !== null && body.top_p !== 1) {
+    warnings.push('top_p is not supported upstream and was ignored')
+  }
+  for (const field of ['presence_penalty', 'frequency_penalty']) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== 0) {
+      warnings.push(`${field} is not supported upstream and was ignored`)
+    }
+  }
+  if (body.seed !== undefined && body.seed !== null) {
+    warnings.push('seed is not supported upstream; results are not deterministic')
+  }
+
+  const parameters = {
+    n: body.n || 1,
+    stop: normalizeStop(body.stop),
+    maxTokens: body.max_completion_tokens ?? body.max_tokens ?? null,
+    warnings
+  }
+
+  if (warnings.length > 0) {
+    logger.debug('Ignoring unsupported chat parameters', { warnings })
+  }
+
+  return parameters
+}
+
+// Validate stream_options, which OpenAI only accepts on streaming requests
+export function validateStreamOptions(body) {
+  const options = body.stream_options
+  if (options === undefined || options === null) {
+    return { valid: true }
+  }
+
+  if (body.stream !== true) {
+    return { valid: false, error: 'stream_options is only allowed when stream is true' }
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { valid: false, error: 'stream_options must be an object' }
+  }
+  if (options.include_usage !== undefined && typeof options.include_usage !== 'boolean') {
+    return { valid: false, error: 'stream_options.include_usage must be a boolean' }
+  }
+
+  return { valid: true }
+}
+
+// Format warnings as an HTTP Warning header value (299: miscellaneous persistent warning)
+export function formatWarningHeader(warnings) {
+  return warnings
+    .map(warning => `299 qolaba-proxy "${warning.replace(/"/g, "'")}"`)
+    .join(', ')
+}
+
+/**
+ * Apply stop sequences and max_tokens to a complete output.
+ * finishReason is 'length' when cut at max_tokens, otherwise 'stop';
+ * stopSequence is the stop sequence the output was cut at, if any.
+ */
+export function applyOutputLimits(text, parameters) {
+  const stopped = truncateAtStop(text || '', parameters.stop)
+  let output = stopped.text
+  let finishReason = 'stop'
+
+  if (parameters.maxTokens) {
+    const limited = truncateToTokens(output, parameters.maxTokens)
+    if (limited.truncated) {
+      output = limited.text
+      finishReason = 'length'
+    }
+  }
+
+  // A cut at max_tokens comes before the stop sequence was reached
+  return { text: output, finishReason, stopSequence: finishReason === 'stop' ? stopped.sequence : null }
+}
+
+/**
+ * Usage of a reply as reported and charged: the client never gets, nor pays
+ * for, more completion tokens than max_tokens allows
+ */
+export function limitUsage(usage, parameters) {
+  if (!usage || !parameters.maxTokens || !(usage.completionTokens > parameters.maxTokens)) {
+    return usage
+  }
+  return {
+    ...usage,
+    completionTokens: parameters.maxTokens,
+    totalTokens: (usage.promptTokens || 0) + parameters.maxTokens
+  }
+}
+
+/**
+ * Streaming counterpart of applyOutputLimits for one choice. Chunks are
+ * counted one by one, which can only overcount the tokens of the whole text.
+ */
+export class OutputLimiter {
+  constructor(parameters) {
+    this.stopFilter = createStopSequenceFilter(parameters.stop)
+    this.maxTokens = parameters.maxTokens || null
+    this.emittedTokens = 0
+    this.finishReason = null
+    this.stopSequence = null
+  }
+
+  /**
+   * Whether the output has hit a stop sequence or max_tokens; later chunks are discarded
+   */
+  isFinished() {
+    return this.finishReason !== null
+  }
+
+  /**
+   * Feed a chunk, returning the text that may be emitted
+   */
+  push(text) {
+    if (this.isFinished()) {
+      return ''
+    }
+
+    const ready = this.stopFilter.push(text)
+    if (this.stopFilter.stopped) {
+      this.finishReason = 'stop'
+      this.stopSequence = this.stopFilter.sequence
+    }
+    return this.limit(ready)
+  }
+
+  /**
+   * Release held-back text at the end of the stream
+   */
+  flush() {
+    return this.isFinished() ? '' : this.limit(this.stopFilter.flush())
+  }
+
+  limit(text) {
+    if (!this.maxTokens || !text) {
+      return text
+    }
+
+    const limited = truncateToTokens(text, this.maxTokens - this.emittedTokens)
+    if (limited.truncated) {
+      this.finishReason = 'length'
+      this.stopSequence = null
+    }
+    this.emittedTokens += limited.tokens
+    return limited.text
+  }
+}
+
+/**
+ * Create a streaming output limiter for one choice
+ */
+export function createOutputLimiter(parameters) {
+  return new OutputLimiter(parameters)
+}
+
+export default {
+  validateParameters,
+  validateStreamOptions,
+  resolveParameters,
+  formatWarningHeader,
+  applyOutputLimits,
+  limitUsage,
+  createOutputLimiter
+}
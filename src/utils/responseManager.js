@@ -60,7 +60,9 @@ export class ResponseManager {
       }
       
       // CRITICAL FIX: Check multiple end conditions to prevent corrupt responses
-      if (self.isEnded || self.isDestroyed || self.res.writableEnded || self.res.finished) {
+      // isEnded is not checked here: the end overrides set it just before the native end(),
+      // which writes implicit headers through this method
+      if (self.isDestroyed || self.res.writableEnded || self.res.finished) {
         logger.debug('Response already ended, skipping writeHead', {
           requestId: self.requestId,
           isEnded: self.isEnded,
@@ -441,10 +443,8 @@ export class ResponseManager {
     // CRITICAL FIX: Override res.json to work properly with response manager
     const originalJson = this.res.json
     this.res.json = function(obj) {
-      // Mark headers as sent since res.json will write them
-      self.headersSent = true
-      
-      // Call the original json method
+      // Call the original json method. Headers are marked as sent by the writeHead
+      // override; marking them earlier makes the end override drop the JSON body.
       const result = originalJson.call(this, obj)
       
       // Mark response as ended after calling original json
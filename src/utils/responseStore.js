@@ -0,0 +1,88 @@
+import crypto from 'crypto'
+import { logger } from '../services/logger.js'
+import { config } from '../config/index.js'
+
+/**
+ * In-memory store of /v1/responses results so previous_response_id can be
+ * chained without the client resending history. Entries expire after a TTL,
+ * the oldest are evicted past a size limit, and each entry is only visible to
+ * the client that created it. Owners are client identities (see budgetKey),
+ * not upstream keys, since many clients can share one upstream key.
+ */
+export class ResponseStore {
+  constructor(options = {}) {
+    this.ttl = options.storeTtl || 3600000
+    this.maxEntries = options.storeMaxEntries || 1000
+    this.entries = new Map()
+  }
+
+  /**
+   * Store a response together with the conversation (OpenAI chat messages) it completes
+   */
+  save(owner, response, messages) {
+    this.pruneExpired()
+
+    this.entries.set(response.id, {
+      owner: hashOwner(owner),
+      response,
+      messages,
+      expiresAt: Date.now() + this.ttl
+    })
+
+    // Map keeps insertion order, so the first entries are the oldest
+    while (this.entries.size > this.maxEntries) {
+      const oldestId = this.entries.keys().next().value
+      this.entries.delete(oldestId)
+      logger.debug('Evicted stored response', { responseId: oldestId })
+    }
+  }
+
+  /**
+   * Get a stored entry, or null when it is unknown, expired or owned by another client
+   */
+  get(owner, responseId) {
+    const entry = this.entries.get(responseId)
+    if (!entry) {
+      return null
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(responseId)
+      return null
+    }
+
+    return entry.owner === hashOwner(owner) ? entry : null
+  }
+
+  /**
+   * Delete a stored response, returning whether it existed for this client
+   */
+  delete(owner, responseId) {
+    if (!this.get(owner, responseId)) {
+      return false
+    }
+    return this.entries.delete(responseId)
+  }
+
+  pruneExpired() {
+    const now = Date.now()
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(id)
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+}
+
+function hashOwner(owner) {
+  return crypto.createHash('sha256').update(owner || '').digest('hex')
+}
+
+// Global singleton instance
+export const responseStore = new ResponseStore(config.responses)
+
+export default responseStore
@@ -0,0 +1,513 @@
+import { logger } from '../services/logger.js'
+import { concurrencyMonitor } from './concurrencyMonitor.js'
+import { isCancellation } from './cancellation.js'
+import { SafeSSEWriter, openEventStream, recordUsage, recordPartialUsage } from './streaming.js'
+import { parseToolCalls, createToolCallStreamParser } from './toolCalling.js'
+import { responseStore } from './responseStore.js'
+import { getUsageSource, combineUsage } from './tokenizer.js'
+
+/**
+ * OpenAI Responses API support.
+ *
+ * Input items are converted into OpenAI chat messages so they share the Qolaba
+ * translation and tool prompting with /v1/chat/completions. The conversation
+ * (without instructions) is kept in the response store so a later request can
+ * continue it through previous_response_id.
+ */
+
+const INPUT_TEXT_TYPES = ['input_text', 'output_text', 'text']
+
+// Validate a Responses API request
+export function validateResponsesRequest(body) {
+  if (!body) {
+    return { valid: false, error: 'Request body is required' }
+  }
+
+  if (!body.model || typeof body.model !== 'string') {
+    return { valid: false, error: 'model field is required and must be a string' }
+  }
+
+  if (typeof body.input !== 'string' && !Array.isArray(body.input)) {
+    return { valid: false, error: 'input field is required and must be a string or an array of input items' }
+  }
+
+  if (Array.isArray(body.input)) {
+    for (let i = 0; i < body.input.length; i++) {
+      const item = body.input[i]
+      const type = item?.type || (item?.role ? 'message' : undefined)
+
+      if (type === 'message') {
+        if (!['user', 'assistant', 'system', 'developer'].includes(item.role)) {
+          return { valid: false, error: `input.${i}.role must be "user", "assistant", "system" or "developer"` }
+        }
+        if (typeof item.content !== 'string' && !Array.isArray(item.content)) {
+          return { valid: false, error: `input.${i}.content must be a string or an array of content parts` }
+        }
+      } else if (type === 'function_call') {
+        if (!item.call_id || !item.name) {
+          return { valid: false, error: `input.${i} function_call requires call_id and name` }
+        }
+      } else if (type === 'function_call_output') {
+        if (!item.call_id) {
+          return { valid: false, error: `input.${i} function_call_output requires call_id` }
+        }
+      } else if (type !== 'reasoning') {
+        return { valid: false, error: `input.${i} has unsupported type "${type}"` }
+      }
+    }
+  }
+
+  if (body.instructions !== undefined && body.instructions !== null && typeof body.instructions !== 'string') {
+    return { valid: false, error: 'instructions must be a string' }
+  }
+
+  if (body.previous_response_id !== undefined && body.previous_response_id !== null &&
+      typeof body.previous_response_id !== 'string') {
+    return { valid: false, error: 'previous_response_id must be a string' }
+  }
+
+  if (body.temperature !== undefined) {
+    if (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2) {
+      return { valid: false, error: 'temperature must be a number between 0 and 2' }
+    }
+  }
+
+  if (body.tools !== undefined && !Array.isArray(body.tools)) {
+    return { valid: false, error: 'tools must be an array' }
+  }
+
+  if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+    return { valid: false, error: 'stream must be a boolean' }
+  }
+
+  return { valid: true }
+}
+
+// Convert Responses input items into OpenAI chat messages
+export function translateInputItems(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }]
+  }
+
+  const messages = []
+
+  for (const item of input) {
+    const type = item.type || 'message'
+
+    if (type === 'message') {
+      messages.push({
+        role: item.role === 'developer' ? 'system' : item.role,
+        content: translateContentParts(item.content)
+      })
+    } else if (type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      }
+
+      // Consecutive calls belong to the same assistant turn
+      const last = messages[messages.length - 1]
+      if (last?.role === 'assistant') {
+        last.tool_calls = [...(last.tool_calls || []), toolCall]
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] })
+      }
+    } else if (type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      })
+    }
+  }
+
+  return messages
+}
+
+function translateContentParts(content) {
+  if (typeof content === 'string') {
+    return content
+  }
+
+  const text = content
+    .filter(part => INPUT_TEXT_TYPES.includes(part.type))
+    .map(part => part.text)
+    .join('\n')
+  const images = content
+    .filter(part => part.type === 'input_image' && part.image_url)
+    .map(part => ({ type: 'image_url', image_url: { url: part.image_url, detail: part.detail } }))
+
+  return images.length > 0 ? [{ type: 'text', text }, ...images] : text
+}
+
+/**
+ * Build the chat request for a Responses request, given the stored conversation
+ * it continues. Returns { chatRequest, conversation } where conversation excludes
+ * the instructions, which are not carried over to later responses.
+ */
+export function buildResponsesChatRequest(body, previousMessages = []) {
+  const inputMessages = translateInputItems(body.input)
+  const conversation = [...previousMessages, ...inputMessages]
+
+  const messages = body.instructions
+    ? [{ role: 'system', content: body.instructions }, ...conversation]
+    : conversation
+
+  const chatRequest = {
+    model: body.model,
+    messages,
+    stream: body.stream === true
+  }
+
+  if (body.temperature !== undefined) {
+    chatRequest.temperature = body.temperature
+  }
+
+  const tools = (body.tools || []).filter(tool => tool.type === 'function')
+  if (tools.length > 0) {
+    chatRequest.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }))
+
+    if (typeof body.tool_choice === 'string') {
+      chatRequest.tool_choice = body.tool_choice
+    } else if (body.tool_choice?.type === 'function') {
+      chatRequest.tool_choice = { type: 'function', function: { name: body.tool_choice.name } }
+    }
+    if (body.parallel_tool_calls === false) {
+      chatRequest.parallel_tool_calls = false
+    }
+  }
+
+  return { chatRequest, conversation }
+}
+
+// Build the output items for a completed model reply
+export function createOutputItems(output, toolContext = null) {
+  const { content, toolCalls } = toolContext
+    ? parseToolCalls(output, toolContext)
+    : { content: output || '', toolCalls: [] }
+
+  const items = []
+  if (content) {
+    items.push(createMessageItem(content))
+  }
+  for (const toolCall of toolCalls) {
+    items.push(createFunctionCallItem(toolCall.id, toolCall.function.name, toolCall.function.arguments))
+  }
+  return items
+}
+
+function createMessageItem(text, status = 'completed') {
+  return {
+    type: 'message',
+    id: generateId('msg'),
+    status,
+    role: 'assistant',
+    content: [{ type: 'output_text', text, annotations: [] }]
+  }
+}
+
+function createFunctionCallItem(callId, name, args, status = 'completed') {
+  return {
+    type: 'function_call',
+    id: generateId('fc'),
+    call_id: callId,
+    name,
+    arguments: args,
+    status
+  }
+}
+
+// Build a response object
+export function createResponseObject(context, { status, output = [], usage = null, error = null }) {
+  const { id, body, createdAt, model } = context
+
+  return {
+    id,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    error,
+    incomplete_details: null,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model,
+    output,
+    parallel_tool_calls: body.parallel_tool_calls !== false,
+    previous_response_id: body.previous_response_id ?? null,
+    store: body.store !== false,
+    temperature: body.temperature ?? null,
+    tool_choice: body.tool_choice ?? 'auto',
+    tools: body.tools || [],
+    top_p: body.top_p ?? null,
+    usage: usage && {
+      input_tokens: usage.promptTokens || 0,
+      output_tokens: usage.completionTokens || 0,
+      total_tokens: usage.totalTokens || 0,
+      source: getUsageSource([usage])
+    },
+    metadata: body.metadata || {}
+  }
+}
+
+/**
+ * Create the context shared by a Responses request's handlers; model is the
+ * upstream model reported back to the client and owner the client identity
+ * the stored response belongs to
+ */
+export function createResponsesContext(body, owner, conversation, toolContext, requestId, model = body.model) {
+  return {
+    id: generateId('resp'),
+    createdAt: Math.floor(Date.now() / 1000),
+    body,
+    model,
+    owner,
+    conversation,
+    toolContext,
+    requestId
+  }
+}
+
+// Store a completed response with its conversation, unless the client opted out
+function storeResponse(context, response) {
+  if (context.body.store === false) {
+    return
+  }
+
+  const text = response.output
+    .filter(item => item.type === 'message')
+    .map(item => item.content.map(part => part.text).join(''))
+    .join('\n')
+  const toolCalls = response.output
+    .filter(item => item.type === 'function_call')
+    .map(item => ({
+      id: item.call_id,
+      type: 'function',
+      function: { name: item.name, arguments: item.arguments }
+    }))
+
+  const assistantMessage = { role: 'assistant', content: text || null }
+  if (toolCalls.length > 0) {
+    assistantMessage.tool_calls = toolCalls
+  }
+
+  responseStore.save(context.owner, response, [...context.conversation, assistantMessage])
+}
+
+// Handle a non-streaming Responses request
+export async function handleResponsesResponse(res, qolabaClient, qolabaPayload, context) {
+  const result = await qolabaClient.chat(qolabaPayload)
+  // A fallback model may have answered instead of the requested one
+  context.model = result.model || context.model
+
+  const response = createResponseObject(context, {
+    status: 'completed',
+    output: createOutputItems(result.output, context.toolContext),
+    usage: result.usage
+  })
+  storeResponse(context, response)
+
+  logger.info('Responses request completed', {
+    requestId: context.requestId,
+    responseId: response.id,
+    model: context.model,
+    outputItems: response.output.length
+  })
+
+  recordUsage(res, context.model, combineUsage([result.usage]), context.requestId)
+  res.json(response)
+}
+
+/**
+ * Writes the Responses API event stream, opening and closing output items as
+ * text and tool calls arrive
+ */
+class ResponsesEventWriter {
+  constructor(responseManager) {
+    this.sseWriter = new SafeSSEWriter(responseManager)
+    this.sequenceNumber = 0
+    this.output = []
+    this.openItem = null
+  }
+
+  write(type, data = {}) {
+    return this.sseWriter.writeEvent({ type, sequence_number: this.sequenceNumber++, ...data }, type)
+  }
+
+  /**
+   * Write content / tool_call events from the tool call stream parser
+   */
+  writeEvents(events) {
+    for (const event of events) {
+      if (event.type === 'content') {
+        this.writeText(event.text)
+      } else if (event.delta.id) {
+        this.closeItem()
+        this.openItemOfType(createFunctionCallItem(event.delta.id, event.delta.function.name, '', 'in_progress'))
+      } else if (event.delta.function.arguments) {
+        this.openItem.arguments += event.delta.function.arguments
+        this.write('response.function_call_arguments.delta', {
+          item_id: this.openItem.id,
+          output_index: this.output.length,
+          delta: event.delta.function.arguments
+        })
+      }
+    }
+  }
+
+  writeText(text) {
+    if (this.openItem?.type !== 'message') {
+      this.closeItem()
+      this.openItemOfType({ ...createMessageItem('', 'in_progress'), content: [] })
+      this.write('response.content_part.added', {
+        item_id: this.openItem.id,
+        output_index: this.output.length,
+        content_index: 0,
+        part: { type: 'output_text', text: '', annotations: [] }
+      })
+      this.openItem.text = ''
+    }
+
+    this.openItem.text += text
+    this.write('response.output_text.delta', {
+      item_id: this.openItem.id,
+      output_index: this.output.length,
+      content_index: 0,
+      delta: text
+    })
+  }
+
+  openItemOfType(item) {
+    this.openItem = item
+    this.write('response.output_item.added', { output_index: this.output.length, item })
+  }
+
+  closeItem() {
+    const item = this.openItem
+    if (!item) {
+      return
+    }
+
+    const outputIndex = this.output.length
+    let done
+
+    if (item.type === 'message') {
+      const part = { type: 'output_text', text: item.text, annotations: [] }
+      this.write('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: item.text })
+      this.write('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part })
+      done = { type: 'message', id: item.id, status: 'completed', role: 'assistant', content: [part] }
+    } else {
+      this.write('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments })
+      done = { ...item, status: 'completed' }
+    }
+
+    this.write('response.output_item.done', { output_index: outputIndex, item: done })
+    this.output.push(done)
+    this.openItem = null
+  }
+}
+
+// Handle a streaming Responses request
+export async function handleResponsesStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, context) {
+  const { requestId, toolContext } = context
+
+  concurrencyMonitor.registerRequest(requestId, {
+    type: 'streaming',
+    model: context.model,
+    stream: true,
+    api: 'responses'
+  })
+
+  const unifiedTimeoutManager = req.unifiedTimeoutManager || res.unifiedTimeoutManager
+  if (unifiedTimeoutManager) {
+    unifiedTimeoutManager.updateActivity()
+  }
+
+  if (!openEventStream(responseManager, res)) {
+    concurrencyMonitor.completeRequest(requestId, 'failed', { error: 'headers_not_sent' })
+    throw new Error('Failed to set streaming headers')
+  }
+
+  const eventWriter = new ResponsesEventWriter(responseManager)
+  const toolCallParser = toolContext ? createToolCallStreamParser(toolContext) : null
+
+  const inProgress = createResponseObject(context, { status: 'in_progress' })
+  eventWriter.write('response.created', { response: inProgress })
+  eventWriter.write('response.in_progress', { response: inProgress })
+
+  // Everything the upstream produced, charged if the stream does not finish
+  let upstreamOutput = ''
+
+  try {
+    const result = await qolabaClient.streamChat(qolabaPayload, (chunk) => {
+      if (unifiedTimeoutManager) {
+        unifiedTimeoutManager.updateActivity()
+      }
+      // response.created already named the requested model; the completed response names the one that answered
+      if (chunk.model) {
+        context.model = chunk.model
+      }
+      if (chunk.output) {
+        upstreamOutput += chunk.output
+        eventWriter.writeEvents(toolCallParser
+          ? toolCallParser.push(chunk.output)
+          : [{ type: 'content', text: chunk.output }])
+      }
+    })
+
+    if (toolCallParser) {
+      eventWriter.writeEvents(toolCallParser.flush())
+    }
+    eventWriter.closeItem()
+
+    const response = createResponseObject(context, {
+      status: 'completed',
+      output: eventWriter.output,
+      usage: result?.usage
+    })
+    storeResponse(context, response)
+    eventWriter.write('response.completed', { response })
+
+    recordUsage(res, context.model, combineUsage([result?.usage]), requestId)
+    logger.info('Responses streaming completed', { requestId, responseId: response.id })
+    concurrencyMonitor.completeRequest(requestId, 'completed', { model: context.model })
+  } catch (error) {
+    logger.error('Responses streaming failed', { requestId, error: error.message })
+    recordPartialUsage(res, context.model, [{ payload: qolabaPayload, output: upstreamOutput }], requestId, error)
+    eventWriter.write('response.failed', {
+      response: createResponseObject(context, {
+        status: 'failed',
+        output: eventWriter.output,
+        error: { code: 'server_error', message: error.message }
+      })
+    })
+    concurrencyMonitor.completeRequest(requestId, isCancellation(error) ? 'cancelled' : 'failed', { error: error.message })
+  }
+
+  if (!responseManager.hasEnded()) {
+    await responseManager.coordinatedTermination('responses_streaming_complete')
+  }
+}
+
+function generateId(prefix) {
+  return `${prefix}_` + Math.random().toString(36).substring(2, 15) +
+         Math.random().toString(36).substring(2, 15)
+}
+
+export default {
+  validateResponsesRequest,
+  translateInputItems,
+  buildResponsesChatRequest,
+  createOutputItems,
+  createResponseObject,
+  createResponsesContext,
+  handleResponsesResponse,
+  handleResponsesStreamingResponse
+}
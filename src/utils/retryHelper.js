@@ -1,14 +1,16 @@
 import { logger } from '../services/logger.js'
+import { config } from '../config/index.js'
 
 /**
  * Retry helper for handling transient failures with exponential backoff
  */
 export class RetryHelper {
   constructor(options = {}) {
-    this.maxRetries = options.maxRetries || 3
+    this.maxRetries = options.maxRetries ?? 3
     this.initialDelay = options.initialDelay || 1000
     this.maxDelay = options.maxDelay || 10000
     this.backoffFactor = options.backoffFactor || 2
+    this.maxRetryAfter = options.maxRetryAfter || 30000 // Longer upstream Retry-After waits are not retried
     this.retryableErrors = options.retryableErrors || [
       'ECONNRESET',
       'ECONNREFUSED',
@@ -16,20 +18,22 @@ export class RetryHelper {
       'ENOTFOUND',
       'EAI_AGAIN'
     ]
-    this.retryableStatusCodes = options.retryableStatusCodes || [502, 503, 504]
+    this.retryableStatusCodes = options.retryableStatusCodes || [429, 502, 503, 504]
   }
 
   /**
-   * Execute a function with retry logic
+   * Execute a function with retry logic. fn gets the attempt number (0 for the
+   * first call); options.canRetry can veto a retry the policy would allow.
    */
-  async execute(fn, context = {}) {
+  async execute(fn, context = {}, options = {}) {
+    const { canRetry = () => true } = options
     let lastError
     let attempt = 0
 
     while (attempt <= this.maxRetries) {
       try {
         if (attempt > 0) {
-          const delay = this.calculateDelay(attempt)
+          const delay = this.calculateDelay(attempt, lastError)
           logger.info('Retrying request', {
             ...context,
             attempt: attempt + 1,
@@ -41,7 +45,7 @@ export class RetryHelper {
           await this.sleep(delay)
         }
 
-        const result = await fn()
+        const result = await fn(attempt)
         
         if (attempt > 0) {
           logger.info('Request succeeded after retry', {
@@ -55,7 +59,7 @@ export class RetryHelper {
       } catch (error) {
         lastError = error
         
-        if (!this.shouldRetry(error, attempt)) {
+        if (!this.shouldRetry(error, attempt) || !canRetry(error)) {
           logger.error('Request failed and will not be retried', {
             ...context,
             attempt: attempt + 1,
@@ -89,9 +93,10 @@ export class RetryHelper {
   }
 
   /**
-   * Calculate delay with exponential backoff
+   * Calculate delay with exponential backoff, waiting at least as long as the
+   * last error's Retry-After asks
    */
-  calculateDelay(attempt) {
+  calculateDelay(attempt, lastError = null) {
     const delay = Math.min(
       this.initialDelay * Math.pow(this.backoffFactor, attempt),
       this.maxDelay
@@ -99,7 +104,25 @@ export class RetryHelper {
     
     // Add jitter to prevent thundering herd
     const jitter = delay * 0.1 * Math.random()
-    return Math.floor(delay + jitter)
+    return Math.max(Math.floor(delay + jitter), this.getRetryAfter(lastError))
+  }
+
+  /**
+   * Delay in ms an upstream Retry-After header asks for (seconds or an HTTP date), or 0
+   */
+  getRetryAfter(error) {
+    const value = error?.response?.headers?.['retry-after']
+    if (value === undefined || value === null || value === '') {
+      return 0
+    }
+
+    const seconds = Number(value)
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000)
+    }
+
+    const date = Date.parse(value)
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now())
   }
 
   /**
@@ -111,6 +134,16 @@ export class RetryHelper {
       return false
     }
 
+    // Nobody is waiting for the answer any more
+    if (error.name === 'RequestCancelledError') {
+      return false
+    }
+
+    // Don't hold the request for longer than the upstream is worth waiting for
+    if (this.getRetryAfter(error) > this.maxRetryAfter) {
+      return false
+    }
+
     // Retry on specific error codes
     if (this.retryableErrors.includes(error.code)) {
       return true
@@ -153,8 +186,10 @@ export class RetryHelper {
  */
 export class CircuitBreaker {
   constructor(options = {}) {
+    this.name = options.name || 'default'
     this.failureThreshold = options.failureThreshold || 5
     this.resetTimeout = options.resetTimeout || 60000 // 1 minute
+    this.successThreshold = options.successThreshold || 3 // HALF_OPEN successes before closing
     this.monitoringPeriod = options.monitoringPeriod || 10000 // 10 seconds
     
     this.state = 'CLOSED' // CLOSED, OPEN, HALF_OPEN
@@ -167,13 +202,8 @@ export class CircuitBreaker {
    * Execute function through circuit breaker
    */
   async execute(fn, context = {}) {
-    if (this.state === 'OPEN') {
-      if (this.shouldAttemptReset()) {
-        this.state = 'HALF_OPEN'
-        logger.info('Circuit breaker transitioning to HALF_OPEN', { context })
-      } else {
-        throw new Error('Circuit breaker is OPEN')
-      }
+    if (!this.allowRequest(context)) {
+      throw new Error('Circuit breaker is OPEN')
     }
 
     try {
@@ -186,12 +216,45 @@ export class CircuitBreaker {
     }
   }
 
+  /**
+   * Whether a request may go through now. An OPEN breaker whose reset timeout
+   * has passed moves to HALF_OPEN and lets trial requests through.
+   */
+  allowRequest(context = {}) {
+    if (this.state === 'OPEN') {
+      if (!this.shouldAttemptReset()) {
+        return false
+      }
+      this.state = 'HALF_OPEN'
+      this.successCount = 0
+      logger.info('Circuit breaker transitioning to HALF_OPEN', { name: this.name, context })
+    }
+    return true
+  }
+
+  /**
+   * OPEN and still within the reset timeout (does not change the state)
+   */
+  isOpen() {
+    return this.state === 'OPEN' && !this.shouldAttemptReset()
+  }
+
+  /**
+   * Seconds until an OPEN breaker lets a trial request through
+   */
+  getRetryAfter() {
+    if (!this.isOpen()) {
+      return 0
+    }
+    return Math.max(1, Math.ceil((this.lastFailureTime + this.resetTimeout - Date.now()) / 1000))
+  }
+
   onSuccess() {
     if (this.state === 'HALF_OPEN') {
       this.successCount++
-      if (this.successCount >= 3) {
+      if (this.successCount >= this.successThreshold) {
         this.reset()
-        logger.info('Circuit breaker reset to CLOSED')
+        logger.info('Circuit breaker reset to CLOSED', { name: this.name })
       }
     } else {
       this.failureCount = Math.max(0, this.failureCount - 1)
@@ -202,9 +265,12 @@ export class CircuitBreaker {
     this.failureCount++
     this.lastFailureTime = Date.now()
     
-    if (this.failureCount >= this.failureThreshold) {
+    // A failed trial request opens the breaker again straight away
+    if (this.state === 'HALF_OPEN' || (this.state === 'CLOSED' && this.failureCount >= this.failureThreshold)) {
       this.state = 'OPEN'
+      this.successCount = 0
       logger.warn('Circuit breaker opened', {
+        name: this.name,
         failureCount: this.failureCount,
         threshold: this.failureThreshold
       })
@@ -228,18 +294,59 @@ export class CircuitBreaker {
       state: this.state,
       failureCount: this.failureCount,
       successCount: this.successCount,
-      lastFailureTime: this.lastFailureTime
+      lastFailureTime: this.lastFailureTime,
+      retryAfter: this.getRetryAfter()
+    }
+  }
+}
+
+/**
+ * Circuit breakers keyed by name, created with shared options on first use.
+ * providerCircuitBreakers holds one per Qolaba llm provider.
+ */
+export class CircuitBreakerRegistry {
+  constructor(options = {}) {
+    this.options = options
+    this.breakers = new Map()
+  }
+
+  get(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker({ ...this.options, name }))
     }
+    return this.breakers.get(name)
+  }
+
+  /**
+   * State of every breaker created so far, by name
+   */
+  getStates() {
+    const states = {}
+    for (const [name, breaker] of this.breakers) {
+      states[name] = breaker.getState()
+    }
+    return states
+  }
+
+  hasOpen() {
+    return [...this.breakers.values()].some(breaker => breaker.isOpen())
+  }
+
+  reset() {
+    this.breakers.clear()
   }
 }
 
 // Default instances
 export const defaultRetryHelper = new RetryHelper()
 export const defaultCircuitBreaker = new CircuitBreaker()
+export const providerCircuitBreakers = new CircuitBreakerRegistry(config.circuitBreaker)
 
 export default {
   RetryHelper,
   CircuitBreaker,
+  CircuitBreakerRegistry,
   defaultRetryHelper,
-  defaultCircuitBreaker
+  defaultCircuitBreaker,
+  providerCircuitBreakers
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Stop sequence emulation.
+ *
+ * Qolaba has no stop parameter, so output is cut at the first stop sequence
+ * on the proxy side. For streams, text that could be the start of a stop
+ * sequence is held back until it can be decided.
+ */
+
+// Normalize the OpenAI `stop` field (string or array) into an array of non-empty strings
+export function normalizeStop(stop) {
+  if (stop === undefined || stop === null) {
+    return []
+  }
+  const list = Array.isArray(stop) ? stop : [stop]
+  return list.filter(sequence => typeof sequence === 'string' && sequence.length > 0)
+}
+
+// Validate the OpenAI `stop` field
+export function validateStop(stop) {
+  if (stop === undefined || stop === null) {
+    return { valid: true }
+  }
+
+  const list = Array.isArray(stop) ? stop : [stop]
+  if (list.length > 4 || list.some(sequence => typeof sequence !== 'string')) {
+    return { valid: false, error: 'stop must be a string or an array of up to 4 strings' }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Cut text at the earliest stop sequence, returning { text, stopped, sequence }
+ * where sequence is the stop sequence that matched
+ */
+export function truncateAtStop(text, stops) {
+  let cutAt = -1
+  let matched = null
+
+  for (const sequence of stops) {
+    const index = text.indexOf(sequence)
+    if (index !== -1 && (cutAt === -1 || index < cutAt)) {
+      cutAt = index
+      matched = sequence
+    }
+  }
+
+  if (cutAt === -1) {
+    return { text, stopped: false, sequence: null }
+  }
+  return { text: text.slice(0, cutAt), stopped: true, sequence: matched }
+}
+
+/**
+ * Streaming stop sequence filter
+ */
+export class StopSequenceFilter {
+  constructor(stops) {
+    this.stops = stops
+    this.buffer = ''
+    this.stopped = false
+    this.sequence = null
+  }
+
+  /**
+   * Feed a chunk, returning the text that is safe to emit
+   */
+  push(text) {
+    if (this.stopped) {
+      return ''
+    }
+
+    this.buffer += text
+    const result = truncateAtStop(this.buffer, this.stops)
+
+    if (result.stopped) {
+      this.stopped = true
+      this.sequence = result.sequence
+      this.buffer = ''
+      return result.text
+    }
+
+    const holdBack = this.partialStopLength()
+    const ready = this.buffer.slice(0, this.buffer.length - holdBack)
+    this.buffer = this.buffer.slice(this.buffer.length - holdBack)
+    return ready
+  }
+
+  /**
+   * Release any held-back text at the end of the stream
+   */
+  flush() {
+    const rest = this.buffer
+    this.buffer = ''
+    return this.stopped ? '' : rest
+  }
+
+  // Length of the longest buffer suffix that is a proper prefix of a stop sequence
+  partialStopLength() {
+    let longest = 0
+    for (const sequence of this.stops) {
+      const max = Math.min(sequence.length - 1, this.buffer.length)
+      for (let length = max; length > longest; length--) {
+        if (this.buffer.endsWith(sequence.slice(0, length))) {
+          longest = length
+          break
+        }
+      }
+    }
+    return longest
+  }
+}
+
+/**
+ * Create a streaming stop sequence filter
+ */
+export function createStopSequenceFilter(stops) {
+  return new StopSequenceFilter(stops)
+}
+
+export default {
+  normalizeStop,
+  validateStop,
+  truncateAtStop,
+  createStopSequenceFilter
+}
@@ -1,8 +1,19 @@
-import { logger, logDetailedError, logResponseState, logHeaderOperation } from '../services/logger.js'
+import { logger, logDetailedError, logResponseState, logHeaderOperation, logUsage } from '../services/logger.js'
 import { translateQolabaToOpenAI, extractToolCalls } from './translator.js'
+import { parseToolCalls, createToolCallStreamParser } from './toolCalling.js'
+import { applyOutputLimits, limitUsage, createOutputLimiter } from './parameters.js'
+import { chatWithStructuredOutput, validateStructuredOutput } from './structuredOutput.js'
+import { combineUsage, resolveUsage } from './tokenizer.js'
 import { config } from '../config/index.js'
 import { concurrencyMonitor } from './concurrencyMonitor.js'
 import { createResponseManager } from './responseManager.js'
+import { isCancellation, createChildController } from './cancellation.js'
+import { budgetTracker } from '../services/budgets.js'
+import { usageLedger } from '../services/usageLedger.js'
+import { rateLimiter } from '../services/rateLimiter.js'
+
+// Used when a caller does not pass resolved chat parameters
+const DEFAULT_PARAMETERS = { n: 1, stop: [], maxTokens: null, warnings: [] }
 
 /**
  * Unified timeout manager for streaming requests to prevent race conditions
@@ -115,7 +126,7 @@ class StreamingTimeoutManager {
 /**
  * Safe SSE (Server-Sent Events) writer for ResponseManager
  */
-class SafeSSEWriter {
+export class SafeSSEWriter {
   constructor(responseManager) {
     this.responseManager = responseManager
   }
@@ -176,6 +187,35 @@ class SafeSSEWriter {
   }
 }
 
+/**
+ * Write SSE response headers and flush them, returning false if headers could not be set
+ */
+export function openEventStream(responseManager, res) {
+  // Set SSE headers safely with enhanced SillyTavern compatibility
+  const headersSet = responseManager.safeWriteHeaders(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control, Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'X-Accel-Buffering': 'no', // Prevent nginx buffering
+    'X-Content-Type-Options': 'nosniff'
+  })
+
+  if (!headersSet) {
+    return false
+  }
+
+  // CRITICAL FIX: Flush headers immediately to ensure streaming starts
+  // Some clients (Jan, Kilo Code, etc.) won't receive data until headers are flushed
+  if (res.flushHeaders) {
+    res.flushHeaders()
+  }
+
+  return true
+}
+
 /**
  * Enhanced error boundary with coordinated termination for ResponseManager
  */
@@ -263,11 +303,13 @@ async function withStreamingErrorBoundary(fn, responseManager, errorHandler) {
 }
 
 // CRITICAL FIX: Improved streaming response handler with unified timeout management
-export async function handleStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, requestId) {
+export async function handleStreamingResponse(responseManager, res, req, qolabaClient, qolabaPayload, requestId, options = {}) {
+  const { toolContext = null, parameters = DEFAULT_PARAMETERS, responseFormat = null, includeUsage = false } = options
+
   // Register with concurrency monitor
   concurrencyMonitor.registerRequest(requestId, {
     type: 'streaming',
-    model: qolabaPayload.model,
+    model: qolabaPayload.llm_model,
     stream: true
   })
 
@@ -281,7 +323,7 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
     
     // ENHANCEMENT: Register streaming error handler for timeout scenarios
     const streamingErrorHandler = async (reason) => {
-      await handleTimeoutError(responseState, qolabaPayload.model, reason)
+      await handleTimeoutError(responseState, qolabaPayload.llm_model, reason)
     }
     
     unifiedTimeoutManager.registerStreamingErrorHandler(streamingErrorHandler)
@@ -296,6 +338,12 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
   const abortController = new AbortController()
   concurrencyMonitor.trackResourceAllocation(requestId, 'abort_controller', requestId)
 
+  // One child controller per choice, so a failed choice can cut its siblings short
+  const choiceControllers = Array.from({ length: parameters.n }, () => new AbortController())
+  abortController.signal.addEventListener('abort', () => {
+    choiceControllers.forEach(controller => controller.abort())
+  }, { once: true })
+
   // CRITICAL FIX: Safe termination handler with proper Promise handling
   const safeHandleTermination = async (reason) => {
     try {
@@ -541,103 +589,209 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
     concurrencyMonitor.trackCleanupEvent(requestId, 'streaming_finish', {})
   })
   
-  return withStreamingErrorBoundary(async (responseState) => {
-    // Set SSE headers safely with enhanced SillyTavern compatibility
-    const headersSet = responseState.safeWriteHeaders(200, {
-      'Content-Type': 'text/event-stream; charset=utf-8',
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control, Content-Type, Authorization',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'X-Accel-Buffering': 'no', // Prevent nginx buffering
-      'X-Content-Type-Options': 'nosniff'
-    })
+  // Becomes the fallback model's when the first one failed before streaming anything
+  let model = qolabaPayload.llm_model
+  // Upstream output and usage per choice, so a stream that fails or is
+  // cancelled part way is still charged for what the upstream produced
+  const choiceOutputs = Array(parameters.n).fill('')
+  const choiceUsages = Array(parameters.n).fill(null)
+  // Choices cut short because a sibling failed
+  const choiceCancelled = Array(parameters.n).fill(false)
+  let usageRecorded = false
 
-    if (!headersSet) {
+  return withStreamingErrorBoundary(async (responseState) => {
+    if (!openEventStream(responseState, res)) {
       throw new Error('Failed to set streaming headers')
     }
 
-    // CRITICAL FIX: Flush headers immediately to ensure streaming starts
-    // Some clients (Jan, Kilo Code, etc.) won't receive data until headers are flushed
-    if (res.flushHeaders) {
-      res.flushHeaders()
-    }
-
     let fullResponse = ''
     let isFirstChunk = true
     const sseWriter = new SafeSSEWriter(responseState)
 
-    // Start streaming with proper error handling
-    await qolabaClient.streamChat(qolabaPayload, (chunk) => {
-      // Update activity to show streaming progress
-      if (unifiedTimeoutManager) {
-        unifiedTimeoutManager.updateActivity()
+    // With stream_options.include_usage, every chunk carries usage: null until the final usage chunk
+    const withUsageField = (chunk) => (includeUsage ? { ...chunk, usage: null } : chunk)
+
+    // Write content / tool_call events as OpenAI-compatible streaming chunks
+    const writeStreamEvents = (events, index) => {
+      for (const event of events) {
+        const openaiChunk = event.type === 'tool_call'
+          ? createToolCallChunk(event.delta, requestId, model, index)
+          : createContentChunk(event.text, model, index)
+
+        if (!sseWriter.writeEvent(withUsageField(openaiChunk))) {
+          logger.warn('Failed to write streaming chunk', {
+            requestId,
+            model: qolabaPayload.llm_model
+          })
+          return false
+        }
       }
+      return true
+    }
 
-      if (chunk.output) {
-        fullResponse += chunk.output
+    // Stream one choice: stop/max_tokens are applied first, then tool blocks are
+    // held back from the content and re-emitted as tool_call deltas
+    const streamChoice = async (index) => {
+      const outputLimiter = createOutputLimiter(parameters)
+      const toolCallParser = toolContext ? createToolCallStreamParser(toolContext) : null
+      let choiceOutput = ''
+      const toEvents = (text) => {
+        choiceOutput += text
+        return toolCallParser
+          ? toolCallParser.push(text)
+          : text ? [{ type: 'content', text }] : []
+      }
 
-        // Create OpenAI-compatible streaming chunk
-        const openaiChunk = {
-          id: generateChunkId(),
-          object: 'chat.completion.chunk',
-          created: Math.floor(Date.now() / 1000),
-          model: qolabaPayload.model || config.models.default,
-          choices: [
-            {
-              index: 0,
-              delta: {
-                content: chunk.output
-              },
-              finish_reason: null
+      // Start streaming with proper error handling. Once the choice hits stop or
+      // max_tokens the rest of its output is discarded, so its call is cut short.
+      let result = null
+      try {
+        result = await qolabaClient.streamChat(qolabaPayload, (chunk) => {
+          // Update activity to show streaming progress
+          if (unifiedTimeoutManager) {
+            unifiedTimeoutManager.updateActivity()
+          }
+
+          if (chunk.model) {
+            model = chunk.model
+          }
+          if (chunk.output) {
+            choiceOutputs[index] += chunk.output
+          }
+
+          if (chunk.output && !outputLimiter.isFinished()) {
+            fullResponse += chunk.output
+
+            const events = toEvents(outputLimiter.push(chunk.output))
+            if (outputLimiter.isFinished()) {
+              choiceControllers[index].abort()
             }
-          ]
+
+            // Send SSE formatted data safely
+            if (!writeStreamEvents(events, index)) {
+              return
+            }
+
+            // Log first chunk and progress
+            if (isFirstChunk) {
+              logger.info('Streaming started', {
+                requestId,
+                model: qolabaPayload.llm_model
+              })
+              isFirstChunk = false
+            }
+          }
+        }, { signal: choiceControllers[index].signal })
+      } catch (error) {
+        if (!outputLimiter.isFinished() || !isCancellation(error) || abortController.signal.aborted) {
+          throw error
         }
+        logger.debug('Cut short a choice that reached its output limit', {
+          requestId,
+          choice: index,
+          finishReason: outputLimiter.finishReason
+        })
+      }
 
-        // Send SSE formatted data safely
-        const success = sseWriter.writeEvent(openaiChunk)
-        if (!success) {
-          logger.warn('Failed to write streaming chunk', {
+      writeStreamEvents(toEvents(outputLimiter.flush()), index)
+
+      let finishReason = outputLimiter.finishReason === 'length' ? 'length' : 'stop'
+      if (toolCallParser) {
+        writeStreamEvents(toolCallParser.flush(), index)
+        if (toolCallParser.hasToolCalls() && finishReason !== 'length') {
+          finishReason = 'tool_calls'
+          logger.debug('Streamed tool calls', {
             requestId,
-            model: qolabaPayload.model
+            choice: index,
+            toolCallCount: toolCallParser.toolCallCount
           })
-          return
         }
+      }
 
-        // Log first chunk and progress
-        if (isFirstChunk) {
-          logger.info('Streaming started', {
+      // Streamed content cannot be retried, so a reply that breaks response_format
+      // is reported instead, ending the choice with the error rather than a stop
+      if (responseFormat && finishReason === 'stop') {
+        const validation = validateStructuredOutput(choiceOutput, responseFormat)
+        if (!validation.valid) {
+          logger.warn('Streamed output did not match response_format', {
             requestId,
-            model: qolabaPayload.model
+            choice: index,
+            error: validation.error
+          })
+          sseWriter.writeEvent({
+            error: {
+              message: validation.error,
+              type: 'api_error',
+              code: 'invalid_structured_output'
+            }
           })
-          isFirstChunk = false
+          finishReason = null
         }
       }
-    })
 
-    // Send final chunk safely
-    const finalChunk = {
-      id: generateChunkId(),
-      object: 'chat.completion.chunk',
-      created: Math.floor(Date.now() / 1000),
-      model: qolabaPayload.model || config.models.default,
-      choices: [
-        {
-          index: 0,
-          delta: {},
-          finish_reason: 'stop'
+      // Send final chunk safely
+      if (finishReason) {
+        sseWriter.writeEvent(withUsageField({
+          id: generateChunkId(),
+          object: 'chat.completion.chunk',
+          created: Math.floor(Date.now() / 1000),
+          model,
+          choices: [
+            {
+              index,
+              delta: {},
+              finish_reason: finishReason
+            }
+          ]
+        }))
+      }
+
+      // A call cut short reports no usage, so what it produced is counted locally
+      choiceUsages[index] = limitUsage(result ? result.usage || null : resolveUsage(null, qolabaPayload, choiceOutputs[index]), parameters)
+      return choiceUsages[index]
+    }
+
+    // n > 1 is emulated with parallel upstream streams, one per choice index.
+    // The first choice to fail cuts the others short, and the request fails
+    // with its error once every stream has stopped.
+    let choiceFailure = null
+    const choices = await Promise.allSettled(Array.from({ length: parameters.n }, (_, index) =>
+      streamChoice(index).catch((error) => {
+        if (choiceFailure) {
+          choiceCancelled[index] = true
+        } else {
+          choiceFailure = error
+          choiceControllers.forEach(controller => controller.abort())
         }
-      ]
+        throw error
+      })
+    ))
+    if (choiceFailure) {
+      throw choiceFailure
+    }
+    const usage = combineUsage(choices.map(choice => choice.value))
+
+    // The usage chunk comes last, with no choices
+    if (includeUsage) {
+      sseWriter.writeEvent({
+        id: generateChunkId(),
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [],
+        usage: toOpenAIUsage(usage)
+      })
     }
 
-    sseWriter.writeEvent(finalChunk)
     sseWriter.writeDone()
+    recordUsage(res, model, usage, requestId)
+    usageRecorded = true
 
     logger.info('Streaming completed successfully', {
       requestId,
       responseLength: fullResponse.length,
-      model: qolabaPayload.model
+      model: qolabaPayload.llm_model,
+      usage
     })
 
     // CRITICAL FIX: Use coordinated termination to prevent race conditions
@@ -655,7 +809,7 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
       // Complete request in concurrency monitor
       concurrencyMonitor.completeRequest(requestId, 'completed', {
         responseLength: fullResponse.length,
-        model: qolabaPayload.model
+        model: qolabaPayload.llm_model
       })
 
     } catch (error) {
@@ -670,7 +824,7 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
         },
         additionalInfo: {
           responseLength: fullResponse.length,
-          model: qolabaPayload.model,
+          model: qolabaPayload.llm_model,
           completionType: 'streaming_complete'
         }
       })
@@ -731,6 +885,15 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
       error: error.message
     })
 
+    if (!usageRecorded) {
+      recordPartialUsage(res, model, choiceOutputs.map((output, index) => ({
+        payload: qolabaPayload,
+        output,
+        usage: choiceUsages[index],
+        cancelled: choiceCancelled[index]
+      })), requestId, error)
+    }
+
     // CRITICAL FIX: Use coordinated termination for error handling
     try {
       // CRITICAL FIX: Only terminate once to prevent race conditions
@@ -738,8 +901,8 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
         await responseManager.coordinatedTermination('streaming_error')
       }
 
-      // Mark as failed in concurrency monitor
-      concurrencyMonitor.completeRequest(requestId, 'error', {
+      // Mark as failed (or cancelled by the client) in concurrency monitor
+      concurrencyMonitor.completeRequest(requestId, isCancellation(error) ? 'cancelled' : 'error', {
         error: error.message
       })
 
@@ -814,7 +977,7 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
         id: generateChunkId(),
         object: 'chat.completion.chunk',
         created: Math.floor(Date.now() / 1000),
-        model: qolabaPayload.model || config.models.default,
+        model: qolabaPayload.llm_model,
         choices: [
           {
             index: 0,
@@ -840,43 +1003,101 @@ export async function handleStreamingResponse(responseManager, res, req, qolabaC
 }
 
 // Handle non-streaming response
-export async function handleNonStreamingResponse(responseManager, res, qolabaClient, qolabaPayload, requestId) {
+export async function handleNonStreamingResponse(responseManager, res, qolabaClient, qolabaPayload, requestId, options = {}) {
+  const { toolContext = null, parameters = DEFAULT_PARAMETERS, responseFormat = null } = options
+
   try {
     logger.info('Non-streaming request started', {
       requestId,
-      model: qolabaPayload.model
+      model: qolabaPayload.llm_model,
+      n: parameters.n
+    })
+
+    // n > 1 is emulated with parallel upstream calls, one per choice
+    // With response_format, replies are validated and retried until they match.
+    // The first call to fail cancels the others, and the request fails with its
+    // error once every call has stopped, charged for what the calls used.
+    const choiceControllers = Array.from({ length: parameters.n }, () => createChildController(qolabaClient.signal))
+    const choiceCancelled = Array(parameters.n).fill(false)
+    let choiceFailure = null
+    const settled = await Promise.allSettled(Array.from({ length: parameters.n }, (_, index) => {
+      const signal = choiceControllers[index].signal
+      const call = responseFormat
+        ? chatWithStructuredOutput(qolabaClient, qolabaPayload, responseFormat, { toolContext, requestId, signal })
+        : qolabaClient.chat(qolabaPayload, { signal })
+      return call.catch((error) => {
+        if (choiceFailure) {
+          choiceCancelled[index] = true
+        } else {
+          choiceFailure = error
+          choiceControllers.forEach(controller => controller.abort())
+        }
+        throw error
+      })
+    }))
+    if (choiceFailure) {
+      const answered = settled.find(result => result.value?.model)
+      recordPartialUsage(res, answered?.value.model || qolabaPayload.llm_model, settled.map((result, index) => ({
+        payload: qolabaPayload,
+        output: result.value?.output,
+        usage: result.value ? limitUsage(result.value.usage, parameters) : null,
+        cancelled: choiceCancelled[index]
+      })), requestId, choiceFailure)
+      throw choiceFailure
+    }
+    const responses = settled.map(result => result.value)
+
+    const choices = responses.map((response, index) => {
+      const limited = applyOutputLimits(response.output, parameters)
+
+      // Turn <tool> blocks in the output into OpenAI tool_calls when the request declared tools
+      const { content, toolCalls } = toolContext
+        ? parseToolCalls(limited.text, toolContext)
+        : { content: limited.text, toolCalls: [] }
+
+      const message = {
+        role: 'assistant',
+        content
+      }
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls
+        logger.debug('Tool calls detected in response', {
+          requestId,
+          choice: index,
+          toolCallCount: toolCalls.length,
+          toolNames: toolCalls.map(call => call.function.name)
+        })
+      }
+
+      return {
+        index,
+        message,
+        finish_reason: limited.finishReason === 'length'
+          ? 'length'
+          : toolCalls.length > 0 ? 'tool_calls' : 'stop'
+      }
     })
 
-    const response = await qolabaClient.chat(qolabaPayload)
+    const usage = combineUsage(responses.map(response => limitUsage(response.usage, parameters)))
 
     // Translate to OpenAI format
     const openaiResponse = {
       id: generateChunkId(),
       object: 'chat.completion',
       created: Math.floor(Date.now() / 1000),
-      model: qolabaPayload.model || config.models.default,
-      choices: [
-        {
-          index: 0,
-          message: {
-            role: 'assistant',
-            content: response.output || ''
-          },
-          finish_reason: 'stop'
-        }
-      ],
-      usage: {
-        prompt_tokens: response.usage?.promptTokens || 0,
-        completion_tokens: response.usage?.completionTokens || 0,
-        total_tokens: response.usage?.totalTokens || 0
-      }
+      // A fallback model may have answered instead of the requested one
+      model: responses[0].model || qolabaPayload.llm_model,
+      choices,
+      usage: toOpenAIUsage(usage)
     }
 
+    recordUsage(res, openaiResponse.model, usage, requestId)
+
     logger.info('Non-streaming request completed', {
       requestId,
-      responseLength: response.output?.length || 0,
-      model: qolabaPayload.model,
-      usage: response.usage
+      responseLength: responses.reduce((total, response) => total + (response.output?.length || 0), 0),
+      model: qolabaPayload.llm_model,
+      usage: openaiResponse.usage
     })
 
     if (!responseManager.hasEnded()) {
@@ -890,11 +1111,16 @@ export async function handleNonStreamingResponse(responseManager, res, qolabaCli
     })
 
     if (!responseManager.hasEnded()) {
-      res.status(500).json({
+      // ProviderUnavailableError says when the provider's circuit breaker lets requests through again
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter))
+      }
+      // AppErrors (e.g. StructuredOutputError) carry their own status and code
+      res.status(error.statusCode || 500).json({
         error: {
           message: error.message,
           type: 'api_error',
-          code: 'chat_completion_error'
+          code: error.errorCode || 'chat_completion_error'
         }
       })
     }
@@ -1155,15 +1381,87 @@ export function extractToolCallsFromStream(content) {
   return toolCalls
 }
 
+/**
+ * Convert usage to the OpenAI usage object, keeping the upstream/estimated marker
+ */
+export function toOpenAIUsage(usage) {
+  return {
+    prompt_tokens: usage.promptTokens,
+    completion_tokens: usage.completionTokens,
+    total_tokens: usage.totalTokens,
+    source: usage.source
+  }
+}
+
+/**
+ * Record a request's token usage for the request completion log, the usage
+ * log and the usage ledger, and charge it to the budget and tokens-per-minute
+ * limit of the request's key
+ */
+export function recordUsage(res, model, usage, requestId) {
+  res.locals.usage = usage
+  logUsage(model, usage.promptTokens, usage.completionTokens, null, null, {
+    requestId,
+    totalTokens: usage.totalTokens,
+    source: usage.source
+  })
+  if (res.req) {
+    budgetTracker.charge(res.req, model, usage)
+    usageLedger.record(res.req, model, usage)
+    rateLimiter.chargeTokens(res.req, usage.totalTokens)
+  }
+}
+
+/**
+ * Charge a stream that failed or was cancelled part way. calls are the
+ * upstream calls it made ({ payload, output, usage }): finished ones are
+ * charged their usage, the others their prompt plus the completion produced
+ * so far. A call that failed before producing anything is only charged when
+ * the call or the client was cancelled (call.cancelled marks calls the proxy
+ * cut short), since the upstream may already have read the prompt.
+ */
+export function recordPartialUsage(res, model, calls, requestId, error) {
+  const cancelled = isCancellation(error)
+  const charged = calls.filter(call => call.usage || call.output || call.cancelled || cancelled)
+  if (charged.length === 0) {
+    return null
+  }
+
+  const usage = combineUsage(charged.map(call => call.usage || resolveUsage(null, call.payload, call.output)))
+  logger.info('Charging usage of an unfinished stream', { requestId, model, cancelled, usage })
+  recordUsage(res, model, usage, requestId)
+  return usage
+}
+
+// Create a content delta chunk for streaming
+function createContentChunk(content, model, index = 0) {
+  return {
+    id: generateChunkId(),
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [
+      {
+        index,
+        delta: {
+          content
+        },
+        finish_reason: null
+      }
+    ]
+  }
+}
+
 // Create tool call chunk for streaming
-export function createToolCallChunk(toolCall, requestId) {
+export function createToolCallChunk(toolCall, requestId, model = config.models.default, index = 0) {
   return {
     id: generateChunkId(),
     object: 'chat.completion.chunk',
     created: Math.floor(Date.now() / 1000),
+    model,
     choices: [
       {
-        index: 0,
+        index,
         delta: {
           tool_calls: [toolCall]
         },
@@ -1176,8 +1474,12 @@ export function createToolCallChunk(toolCall, requestId) {
 export default {
   handleStreamingResponse,
   handleNonStreamingResponse,
+  openEventStream,
   extractToolCallsFromStream,
   createToolCallChunk,
+  toOpenAIUsage,
+  recordUsage,
+  recordPartialUsage,
   createTimeoutErrorChunk,
   createTimeoutErrorResponse,
   sendTimeoutErrorStreaming,
@@ -0,0 +1,281 @@
+import Joi from 'joi'
+import { logger } from '../services/logger.js'
+import { config } from '../config/index.js'
+import { StructuredOutputError } from '../middleware/errorHandler.js'
+import { RetryHelper } from './retryHelper.js'
+import { parseToolCalls } from './toolCalling.js'
+import { getUsageSource } from './tokenizer.js'
+
+/**
+ * Structured outputs (response_format json_object / json_schema).
+ *
+ * The format is described to the model in system_msg. The reply is checked
+ * against the schema, converted to a Joi schema, and non-streaming requests
+ * are retried with a corrective message when the reply does not match.
+ */
+
+const MAX_SCHEMA_DEPTH = 32
+
+// Retries only structured output failures; transport errors are not retried here
+const structuredOutputRetryHelper = new RetryHelper({
+  maxRetries: config.structuredOutputs.maxRetries,
+  initialDelay: 100,
+  maxDelay: 1000,
+  retryableErrors: ['INVALID_STRUCTURED_OUTPUT'],
+  retryableStatusCodes: []
+})
+
+// Validate the response_format field of a chat request
+export function validateResponseFormat(body) {
+  const format = body.response_format
+  if (format === undefined || format === null) {
+    return { valid: true }
+  }
+
+  if (typeof format !== 'object' || !['text', 'json_object', 'json_schema'].includes(format.type)) {
+    return { valid: false, error: 'response_format.type must be "text", "json_object" or "json_schema"' }
+  }
+
+  if (format.type === 'json_schema') {
+    const jsonSchema = format.json_schema
+    if (!jsonSchema?.name || typeof jsonSchema.name !== 'string') {
+      return { valid: false, error: 'response_format.json_schema.name is required' }
+    }
+    if (!jsonSchema.schema || typeof jsonSchema.schema !== 'object' || Array.isArray(jsonSchema.schema)) {
+      return { valid: false, error: 'response_format.json_schema.schema must be a JSON Schema object' }
+    }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Normalize response_format into { type, name?, description?, schema? }, or null for plain text
+ */
+export function getResponseFormat(body) {
+  const format = body.response_format
+  if (!format || format.type === 'text') {
+    return null
+  }
+
+  if (format.type === 'json_object') {
+    return { type: 'json_object' }
+  }
+
+  return {
+    type: 'json_schema',
+    name: format.json_schema.name,
+    description: format.json_schema.description || '',
+    schema: format.json_schema.schema
+  }
+}
+
+/**
+ * Render the output format instructions for the system prompt
+ */
+export function buildResponseFormatPrompt(responseFormat) {
+  const lines = [
+    '# Response format',
+    '',
+    'Reply with a single valid JSON value and nothing else: no prose before or after it, and no code fences.'
+  ]
+
+  if (responseFormat.type === 'json_object') {
+    lines.push('The JSON value must be an object.')
+  } else {
+    lines.push(`The JSON must conform to the JSON Schema "${responseFormat.name}" below.`)
+    if (responseFormat.description) {
+      lines.push(responseFormat.description)
+    }
+    lines.push('', JSON.stringify(responseFormat.schema))
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Check a model reply against the response format.
+ * Returns { valid, text, error } where text is the bare JSON on success.
+ */
+export function validateStructuredOutput(output, responseFormat) {
+  const text = stripCodeFence(output || '')
+
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch (error) {
+    return { valid: false, error: `Reply is not valid JSON: ${error.message}` }
+  }
+
+  if (responseFormat.type === 'json_object') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, error: 'Reply must be a JSON object' }
+    }
+    return { valid: true, text }
+  }
+
+  const schema = jsonSchemaToJoi(responseFormat.schema, responseFormat.schema)
+  const { error } = schema.validate(value, { convert: false })
+  if (error) {
+    return { valid: false, error: `Reply does not match the schema: ${error.message}` }
+  }
+
+  return { valid: true, text }
+}
+
+/**
+ * Run a non-streaming chat call, retrying with a corrective message until the
+ * reply matches the response format. Replies that call tools are not checked.
+ * options.signal cancels the calls.
+ */
+export async function chatWithStructuredOutput(qolabaClient, qolabaPayload, responseFormat, options = {}) {
+  const { toolContext = null, requestId, signal } = options
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, source: 'upstream' }
+  let payload = qolabaPayload
+
+  return structuredOutputRetryHelper.execute(async () => {
+    const response = await qolabaClient.chat(payload, { signal })
+    usage.promptTokens += response.usage?.promptTokens || 0
+    usage.completionTokens += response.usage?.completionTokens || 0
+    usage.totalTokens += response.usage?.totalTokens || 0
+    usage.source = getUsageSource([usage, response.usage])
+
+    if (toolContext && parseToolCalls(response.output, toolContext).toolCalls.length > 0) {
+      return { ...response, usage }
+    }
+
+    const result = validateStructuredOutput(response.output, responseFormat)
+    if (!result.valid) {
+      logger.warn('Structured output did not match response_format', {
+        requestId,
+        error: result.error
+      })
+      payload = createCorrectionPayload(qolabaPayload, response.output, result.error)
+      throw new StructuredOutputError(result.error)
+    }
+
+    return { ...response, output: result.text, usage }
+  }, { requestId, operation: 'structured_output' })
+}
+
+// Append the rejected reply and a corrective user turn to the original payload
+function createCorrectionPayload(qolabaPayload, output, error) {
+  const correction = `${error}\nReply again with only the corrected JSON, following the response format exactly.`
+
+  return {
+    ...qolabaPayload,
+    history: [
+      ...qolabaPayload.history,
+      { role: 'assistant', content: { text: output || '', image_data: [] } },
+      { role: 'user', content: { text: correction, image_data: [] } }
+    ],
+    last_user_query: correction
+  }
+}
+
+// Models often fence JSON in ``` blocks despite instructions
+function stripCodeFence(text) {
+  const match = text.trim().match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i)
+  return match ? match[1].trim() : text.trim()
+}
+
+// Convert the supported subset of JSON Schema into a Joi schema
+function jsonSchemaToJoi(schema, root, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) {
+    return Joi.any()
+  }
+
+  if (schema.$ref) {
+    return jsonSchemaToJoi(resolveRef(schema.$ref, root), root, depth + 1)
+  }
+
+  if (schema.const !== undefined) {
+    return Joi.any().valid(schema.const)
+  }
+
+  if (Array.isArray(schema.enum)) {
+    return Joi.any().valid(...schema.enum)
+  }
+
+  const alternatives = schema.anyOf || schema.oneOf
+  if (Array.isArray(alternatives)) {
+    return Joi.alternatives().try(...alternatives.map(sub => jsonSchemaToJoi(sub, root, depth + 1)))
+  }
+
+  if (Array.isArray(schema.type)) {
+    return Joi.alternatives().try(...schema.type.map(type => jsonSchemaToJoi({ ...schema, type }, root, depth + 1)))
+  }
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : null)
+
+  switch (type) {
+    case 'string': {
+      let joi = Joi.string().allow('')
+      if (schema.minLength !== undefined) joi = joi.min(schema.minLength)
+      if (schema.maxLength !== undefined) joi = joi.max(schema.maxLength)
+      if (schema.pattern) joi = joi.pattern(new RegExp(schema.pattern))
+      return joi
+    }
+    case 'number':
+    case 'integer': {
+      let joi = type === 'integer' ? Joi.number().integer() : Joi.number()
+      if (schema.minimum !== undefined) joi = joi.min(schema.minimum)
+      if (schema.maximum !== undefined) joi = joi.max(schema.maximum)
+      if (typeof schema.exclusiveMinimum === 'number') joi = joi.greater(schema.exclusiveMinimum)
+      if (typeof schema.exclusiveMaximum === 'number') joi = joi.less(schema.exclusiveMaximum)
+      return joi
+    }
+    case 'boolean':
+      return Joi.boolean()
+    case 'null':
+      return Joi.valid(null)
+    case 'array': {
+      let joi = Joi.array()
+      if (schema.items) joi = joi.items(jsonSchemaToJoi(schema.items, root, depth + 1))
+      if (schema.minItems !== undefined) joi = joi.min(schema.minItems)
+      if (schema.maxItems !== undefined) joi = joi.max(schema.maxItems)
+      return joi
+    }
+    case 'object': {
+      const required = new Set(schema.required || [])
+      const keys = {}
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        const joi = jsonSchemaToJoi(propertySchema, root, depth + 1)
+        keys[key] = required.has(key) ? joi.required() : joi
+      }
+
+      let joi = Joi.object().keys(keys)
+      if (schema.additionalProperties === false) {
+        joi = joi.unknown(false)
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        joi = joi.pattern(/.*/, jsonSchemaToJoi(schema.additionalProperties, root, depth + 1))
+      } else {
+        joi = joi.unknown(true)
+      }
+      return joi
+    }
+    default:
+      return Joi.any()
+  }
+}
+
+// Resolve a local reference such as #/$defs/Item or #/definitions/Item
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    return null
+  }
+
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+}
+
+export default {
+  validateResponseFormat,
+  getResponseFormat,
+  buildResponseFormatPrompt,
+  validateStructuredOutput,
+  chatWithStructuredOutput
+}
@@ -0,0 +1,144 @@
+import { Tiktoken } from 'js-tiktoken/lite'
+import o200kBase from 'js-tiktoken/ranks/o200k_base'
+import { config } from '../config/index.js'
+
+/**
+ * Local token counting for usage reporting.
+ *
+ * Qolaba does not always report token counts (never for streams that end with
+ * [DONE] or a bare end), so prompt and completion tokens are counted here when
+ * missing. OpenAI models use their own BPE (o200k_base); other provider
+ * families do not publish their tokenizers, so the o200k_base count is scaled
+ * by a per-provider ratio from config.tokenizerRatios.
+ *
+ * Every usage object carries source: 'upstream' when Qolaba reported both
+ * counts, 'estimated' when any of them was counted locally.
+ */
+
+// Tokens added per message for role and separators, and to prime the reply
+const MESSAGE_OVERHEAD_TOKENS = 3
+const REPLY_PRIMING_TOKENS = 3
+
+const IMAGE_TOKENS = { low: 85, high: 765 }
+
+let encoder = null
+
+// Building the rank table is expensive, so it happens on first use
+function getEncoder() {
+  if (!encoder) {
+    encoder = new Tiktoken(o200kBase)
+  }
+  return encoder
+}
+
+/**
+ * Count the tokens of a text for a provider family (the Qolaba llm field)
+ */
+export function countTokens(text, provider) {
+  if (!text) {
+    return 0
+  }
+
+  // Special token markers in user text are counted as plain text
+  const count = getEncoder().encode(text, [], []).length
+  const ratio = config.tokenizerRatios[provider] ?? config.tokenizerRatios.default
+  return Math.ceil(count * ratio)
+}
+
+/**
+ * Cut a text to its first maxTokens o200k_base tokens, for max_tokens.
+ * Returns { text, tokens, truncated } with the tokens kept.
+ */
+export function truncateToTokens(text, maxTokens) {
+  const tokens = getEncoder().encode(text || '', [], [])
+  if (tokens.length <= maxTokens) {
+    return { text: text || '', tokens: tokens.length, truncated: false }
+  }
+
+  // A cut inside a multi-byte character decodes to replacement characters
+  const kept = getEncoder().decode(tokens.slice(0, maxTokens)).replace(/\uFFFD+$/, '')
+  return { text: kept, tokens: maxTokens, truncated: true }
+}
+
+/**
+ * Count the prompt tokens of a Qolaba payload: system_msg and history, with images
+ */
+export function countPromptTokens(payload) {
+  const provider = payload.llm
+  let tokens = REPLY_PRIMING_TOKENS
+
+  if (payload.system_msg) {
+    tokens += MESSAGE_OVERHEAD_TOKENS + countTokens(payload.system_msg, provider)
+  }
+
+  for (const entry of payload.history || []) {
+    tokens += MESSAGE_OVERHEAD_TOKENS + countTokens(entry.content?.text, provider)
+    for (const image of entry.content?.image_data || []) {
+      tokens += image.details === 'low' ? IMAGE_TOKENS.low : IMAGE_TOKENS.high
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Count the completion tokens of a model reply
+ */
+export function countCompletionTokens(output, payload) {
+  return countTokens(output, payload.llm)
+}
+
+/**
+ * Build the usage of an upstream call, counting locally whatever Qolaba did not report.
+ * Returns { promptTokens, completionTokens, totalTokens, source }.
+ */
+export function resolveUsage(upstream, payload, output) {
+  const reportedPrompt = toTokenCount(upstream?.promptTokens)
+  const reportedCompletion = toTokenCount(upstream?.completionTokens)
+
+  const promptTokens = reportedPrompt ?? countPromptTokens(payload)
+  const completionTokens = reportedCompletion ?? countCompletionTokens(output, payload)
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    source: reportedPrompt !== null && reportedCompletion !== null ? 'upstream' : 'estimated'
+  }
+}
+
+/**
+ * Source of usage combined from several upstream calls
+ */
+export function getUsageSource(usages) {
+  return usages.some(usage => usage?.source === 'estimated') ? 'estimated' : 'upstream'
+}
+
+/**
+ * Sum the usage of several upstream calls (e.g. n choices) into one usage object
+ */
+export function combineUsage(usages) {
+  const sum = field => usages.reduce((total, usage) => total + (usage?.[field] || 0), 0)
+
+  return {
+    promptTokens: sum('promptTokens'),
+    completionTokens: sum('completionTokens'),
+    totalTokens: sum('totalTokens'),
+    source: getUsageSource(usages)
+  }
+}
+
+// Upstream counts are only trusted when they are positive numbers
+function toTokenCount(value) {
+  return typeof value === 'number' && value > 0 ? Math.round(value) : null
+}
+
+export default {
+  countTokens,
+  truncateToTokens,
+  countPromptTokens,
+  countCompletionTokens,
+  resolveUsage,
+  getUsageSource,
+  combineUsage
+}
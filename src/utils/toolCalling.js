@@ -0,0 +1,567 @@
+import { logger } from '../services/logger.js'
+
+/**
+ * OpenAI function calling on top of Qolaba.
+ *
+ * Qolaba has no native function calling, so the caller's function schemas are
+ * rendered into the system prompt and the model is asked to answer with
+ * <tool name="..."> XML blocks, which are parsed back into OpenAI tool_calls.
+ */
+
+const TOOL_BLOCK_REGEX = /<tool\s+name=["'][^"']+["']\s*>[\s\S]*?<\/tool>/g
+
+/**
+ * Normalize `tools` and the legacy `functions` field into a single list of
+ * function definitions ({ name, description, parameters })
+ */
+export function normalizeTools(request) {
+  const definitions = []
+
+  if (Array.isArray(request.tools)) {
+    for (const tool of request.tools) {
+      if (tool?.type === 'function' && tool.function?.name) {
+        definitions.push({
+          name: tool.function.name,
+          description: tool.function.description || '',
+          parameters: tool.function.parameters || { type: 'object', properties: {} }
+        })
+      }
+    }
+  }
+
+  if (Array.isArray(request.functions)) {
+    for (const fn of request.functions) {
+      if (fn?.name) {
+        definitions.push({
+          name: fn.name,
+          description: fn.description || '',
+          parameters: fn.parameters || { type: 'object', properties: {} }
+        })
+      }
+    }
+  }
+
+  return definitions
+}
+
+/**
+ * Normalize `tool_choice` (or legacy `function_call`) into
+ * { mode: 'auto' | 'none' | 'required' | 'function', name? }
+ */
+export function normalizeToolChoice(request) {
+  const choice = request.tool_choice ?? request.function_call
+
+  if (choice === undefined || choice === null || choice === 'auto') {
+    return { mode: 'auto' }
+  }
+
+  if (choice === 'none' || choice === 'required') {
+    return { mode: choice }
+  }
+
+  // { type: 'function', function: { name } } or legacy { name }
+  const name = choice.function?.name || choice.name
+  if (name) {
+    return { mode: 'function', name }
+  }
+
+  return { mode: 'auto' }
+}
+
+/**
+ * Build the tool context for a chat request, or null when tools are not in play
+ */
+export function getToolContext(request) {
+  const tools = normalizeTools(request)
+  if (tools.length === 0) {
+    return null
+  }
+
+  const toolChoice = normalizeToolChoice(request)
+  if (toolChoice.mode === 'none') {
+    return null
+  }
+
+  return {
+    tools,
+    toolChoice,
+    parallelToolCalls: request.parallel_tool_calls !== false
+  }
+}
+
+/**
+ * Validate tools / tool_choice fields of a chat request
+ */
+export function validateTools(request) {
+  if (request.tools !== undefined) {
+    if (!Array.isArray(request.tools)) {
+      return { valid: false, error: 'tools must be an array' }
+    }
+
+    for (let i = 0; i < request.tools.length; i++) {
+      const tool = request.tools[i]
+      if (tool?.type !== 'function') {
+        return { valid: false, error: `Tool at index ${i} must have type "function"` }
+      }
+      if (!tool.function?.name || typeof tool.function.name !== 'string') {
+        return { valid: false, error: `Tool at index ${i} is missing function.name` }
+      }
+      if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.function.name)) {
+        return { valid: false, error: `Tool name "${tool.function.name}" must match ^[a-zA-Z0-9_-]{1,64}$` }
+      }
+    }
+  }
+
+  const choice = request.tool_choice
+  if (choice !== undefined && choice !== null) {
+    if (typeof choice === 'string') {
+      if (!['none', 'auto', 'required'].includes(choice)) {
+        return { valid: false, error: 'tool_choice must be "none", "auto", "required" or a function selector' }
+      }
+    } else {
+      const name = choice.function?.name
+      if (choice.type !== 'function' || !name) {
+        return { valid: false, error: 'tool_choice object must be { type: "function", function: { name } }' }
+      }
+      const declared = normalizeTools(request).some(tool => tool.name === name)
+      if (!declared) {
+        return { valid: false, error: `tool_choice references unknown function "${name}"` }
+      }
+    }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Render the tool definitions and calling convention for the system prompt
+ */
+export function buildToolPrompt(toolContext) {
+  const { tools, toolChoice, parallelToolCalls } = toolContext
+
+  const lines = [
+    '# Tools',
+    '',
+    'You can call the tools listed below. To call a tool, reply with a block in exactly this format:',
+    '',
+    '<tool name="TOOL_NAME">',
+    '  <PARAMETER_NAME>value</PARAMETER_NAME>',
+    '</tool>',
+    '',
+    'Write object and array parameter values as JSON. Do not wrap tool blocks in code fences.',
+    'After your tool blocks, stop and wait: the results will be sent back to you in <tool_result> blocks.',
+    parallelToolCalls
+      ? 'You may call several tools in one reply by writing several blocks.'
+      : 'Call at most one tool per reply.'
+  ]
+
+  if (toolChoice.mode === 'required') {
+    lines.push('You must call at least one tool in this reply.')
+  } else if (toolChoice.mode === 'function') {
+    lines.push(`You must call the tool "${toolChoice.name}" in this reply.`)
+  } else {
+    lines.push('Only call a tool when it is needed; otherwise answer normally.')
+  }
+
+  lines.push('', '## Available tools')
+
+  for (const tool of tools) {
+    lines.push('', `### ${tool.name}`)
+    if (tool.description) {
+      lines.push(tool.description)
+    }
+    lines.push(`Parameters (JSON Schema): ${JSON.stringify(tool.parameters)}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Parse model output into { content, toolCalls } according to the tool context
+ */
+export function parseToolCalls(output, toolContext) {
+  const text = output || ''
+  let toolCalls = extractToolCalls(text, toolContext.tools)
+
+  if (toolCalls.length === 0) {
+    return { content: text, toolCalls }
+  }
+
+  if (!toolContext.parallelToolCalls && toolCalls.length > 1) {
+    logger.debug('Dropping extra tool calls, parallel_tool_calls is disabled', {
+      received: toolCalls.length
+    })
+    toolCalls = toolCalls.slice(0, 1)
+  }
+
+  const content = stripToolBlocks(text)
+
+  return {
+    content: content.length > 0 ? content : null,
+    toolCalls
+  }
+}
+
+// Extract tool calls from response
+// When tool definitions are given, parameters declared as strings are kept verbatim
+export function extractToolCalls(content, tools = []) {
+  const toolCalls = []
+
+  const toolRegex = /<tool\s+name=["']([^"']+)["']\s*>([\s\S]*?)<\/tool>/g
+  let match
+
+  while ((match = toolRegex.exec(content)) !== null) {
+    const toolName = match[1]
+    const toolContent = match[2]
+    const schema = tools.find(tool => tool.name === toolName)?.parameters
+
+    try {
+      const parameters = parseXmlToParameters(toolContent, schema)
+
+      toolCalls.push({
+        id: generateToolCallId(),
+        type: 'function',
+        function: {
+          name: toolName,
+          arguments: JSON.stringify(parameters)
+        }
+      })
+    } catch (error) {
+      logger.warn('Failed to parse tool call', { toolName, error: error.message })
+    }
+  }
+
+  return toolCalls
+}
+
+// Parse XML content to parameters object
+function parseXmlToParameters(xmlContent, schema) {
+  const parameters = {}
+
+  const tagRegex = /<(\w+)[^>]*>([\s\S]*?)<\/\1>/g
+  let match
+
+  while ((match = tagRegex.exec(xmlContent)) !== null) {
+    const tagName = match[1]
+    const rawContent = match[2].trim()
+    const propertySchema = schema?.properties?.[tagName]
+
+    parameters[tagName] = parseParameterValue(rawContent, propertySchema)
+  }
+
+  return parameters
+}
+
+function parseParameterValue(rawContent, propertySchema) {
+  // Nested elements (e.g. <options><limit>5</limit></options>) become objects
+  if (/^<(\w+)[^>]*>[\s\S]*<\/\1>$/.test(rawContent)) {
+    return parseXmlToParameters(rawContent, propertySchema)
+  }
+
+  const text = unescapeXml(rawContent)
+
+  if (propertySchema?.type === 'string') {
+    return text
+  }
+
+  // Try to parse as JSON, otherwise use as string
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+const OPEN_TAG_REGEX = /<tool\s+name=["']([^"']+)["']\s*>/
+const CLOSE_TAG = '</tool>'
+const PARAMETER_REGEX = /^\s*<(\w+)[^>]*>([\s\S]*?)<\/\1>/
+
+// True when text could still grow into a complete <tool name="..."> open tag
+function isPartialOpenTag(text) {
+  if (text.length <= 5) {
+    return '<tool'.startsWith(text)
+  }
+  return /^<tool(?:\s+(?:n(?:a(?:m(?:e(?:=(?:["'][^"'>]{0,64}(?:["']\s*)?)?)?)?)?)?)?)?$/.test(text)
+}
+
+/**
+ * Incremental tool call parser for streamed model output.
+ *
+ * Text is passed through as it arrives, except that a possible <tool> open tag
+ * is held back until it can be decided. Once a tool block starts, its
+ * parameters are emitted as OpenAI tool_call argument fragments as each
+ * parameter element closes, so the concatenated fragments form the same JSON
+ * arguments the non-streaming parser would produce.
+ */
+export class ToolCallStreamParser {
+  constructor(toolContext) {
+    this.toolContext = toolContext
+    this.buffer = ''
+    this.current = null
+    this.toolCallCount = 0
+    this.pendingWhitespace = ''
+  }
+
+  /**
+   * Feed a text chunk, returning the events it completes:
+   * { type: 'content', text } or { type: 'tool_call', delta }
+   */
+  push(text) {
+    this.buffer += text
+    const events = []
+
+    while (this.buffer.length > 0) {
+      if (this.current) {
+        if (!this.consumeToolBody(events)) {
+          break
+        }
+        continue
+      }
+
+      const match = OPEN_TAG_REGEX.exec(this.buffer)
+      if (match) {
+        this.emitContent(this.buffer.slice(0, match.index), events)
+        this.buffer = this.buffer.slice(match.index + match[0].length)
+        this.startToolCall(match[1], events)
+        continue
+      }
+
+      const holdFrom = this.findPartialOpenTag()
+      this.emitContent(this.buffer.slice(0, holdFrom), events)
+      this.buffer = this.buffer.slice(holdFrom)
+      break
+    }
+
+    return events
+  }
+
+  /**
+   * Flush whatever is still buffered at the end of the stream. An unterminated
+   * tool block is closed with the parameters received so far.
+   */
+  flush() {
+    const events = []
+
+    if (this.current) {
+      this.consumeParameters(this.buffer, events)
+      this.finishToolCall(events)
+    } else {
+      this.emitContent(this.buffer, events)
+    }
+
+    this.buffer = ''
+    return events
+  }
+
+  /**
+   * Whether any tool call was emitted, i.e. the stream should finish with "tool_calls"
+   */
+  hasToolCalls() {
+    return this.toolCallCount > 0
+  }
+
+  findPartialOpenTag() {
+    let index = this.buffer.indexOf('<')
+    while (index !== -1) {
+      if (isPartialOpenTag(this.buffer.slice(index))) {
+        return index
+      }
+      index = this.buffer.indexOf('<', index + 1)
+    }
+    return this.buffer.length
+  }
+
+  emitContent(text, events) {
+    if (!text) {
+      return
+    }
+
+    // Whitespace between or after tool blocks is dropped, as stripToolBlocks does
+    if (this.toolCallCount > 0 && !text.trim()) {
+      this.pendingWhitespace += text
+      return
+    }
+
+    events.push({ type: 'content', text: this.pendingWhitespace + text })
+    this.pendingWhitespace = ''
+  }
+
+  startToolCall(name, events) {
+    // With parallel_tool_calls disabled, later blocks are parsed but not emitted
+    const suppressed = !this.toolContext.parallelToolCalls && this.toolCallCount > 0
+    const schema = this.toolContext.tools.find(tool => tool.name === name)?.parameters
+
+    this.current = { name, schema, suppressed, argumentCount: 0 }
+    this.pendingWhitespace = ''
+
+    if (suppressed) {
+      logger.debug('Dropping extra streamed tool call, parallel_tool_calls is disabled', { toolName: name })
+      return
+    }
+
+    this.current.index = this.toolCallCount++
+    events.push({
+      type: 'tool_call',
+      delta: {
+        index: this.current.index,
+        id: generateToolCallId(),
+        type: 'function',
+        function: { name, arguments: '' }
+      }
+    })
+  }
+
+  // Returns false when more input is needed to make progress
+  consumeToolBody(events) {
+    const closeIndex = this.buffer.indexOf(CLOSE_TAG)
+
+    if (closeIndex === -1) {
+      this.buffer = this.consumeParameters(this.buffer, events)
+      return false
+    }
+
+    this.consumeParameters(this.buffer.slice(0, closeIndex), events)
+    this.buffer = this.buffer.slice(closeIndex + CLOSE_TAG.length)
+    this.finishToolCall(events)
+    return true
+  }
+
+  // Emit every complete parameter element at the start of body, returning the rest
+  consumeParameters(body, events) {
+    let rest = body
+    let match
+
+    while ((match = PARAMETER_REGEX.exec(rest)) !== null) {
+      const [element, key, rawContent] = match
+      const value = parseParameterValue(rawContent.trim(), this.current.schema?.properties?.[key])
+      const prefix = this.current.argumentCount === 0 ? '{' : ','
+
+      this.emitArguments(`${prefix}${JSON.stringify(key)}:${JSON.stringify(value)}`, events)
+      this.current.argumentCount++
+      rest = rest.slice(element.length)
+    }
+
+    return rest
+  }
+
+  finishToolCall(events) {
+    this.emitArguments(this.current.argumentCount === 0 ? '{}' : '}', events)
+    this.current = null
+  }
+
+  emitArguments(fragment, events) {
+    if (this.current.suppressed) {
+      return
+    }
+
+    events.push({
+      type: 'tool_call',
+      delta: {
+        index: this.current.index,
+        function: { arguments: fragment }
+      }
+    })
+  }
+}
+
+/**
+ * Create an incremental tool call parser for a streamed response
+ */
+export function createToolCallStreamParser(toolContext) {
+  return new ToolCallStreamParser(toolContext)
+}
+
+// Generate an OpenAI-style tool call id
+export function generateToolCallId() {
+  return 'call_' + Math.random().toString(36).substring(2, 15) +
+         Math.random().toString(36).substring(2, 15)
+}
+
+/**
+ * Remove <tool> blocks from text, leaving the surrounding prose
+ */
+export function stripToolBlocks(text) {
+  return text.replace(TOOL_BLOCK_REGEX, '').trim()
+}
+
+/**
+ * Convert a tool call to the XML format the model is prompted with
+ */
+export function convertToolCallToXml(toolName, parameters) {
+  let xml = `<tool name="${toolName}">\n`
+
+  for (const [key, value] of Object.entries(parameters || {})) {
+    const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)
+    xml += `  <${key}>${escapeXml(text)}</${key}>\n`
+  }
+
+  xml += '</tool>'
+  return xml
+}
+
+/**
+ * Render an assistant message's tool_calls back into XML so the model sees its own calls in history
+ */
+export function renderAssistantToolCalls(toolCalls) {
+  return toolCalls
+    .map(toolCall => {
+      let args = {}
+      try {
+        args = JSON.parse(toolCall.function?.arguments || '{}')
+      } catch {
+        args = { arguments: toolCall.function?.arguments }
+      }
+      return convertToolCallToXml(toolCall.function?.name, args)
+    })
+    .join('\n')
+}
+
+/**
+ * Render a tool result message as a <tool_result> block
+ */
+export function renderToolResult(name, toolCallId, content) {
+  const attributes = [
+    name ? `name="${escapeXml(name)}"` : null,
+    toolCallId ? `tool_call_id="${escapeXml(toolCallId)}"` : null
+  ].filter(Boolean).join(' ')
+
+  return `<tool_result ${attributes}>\n${content}\n</tool_result>`
+}
+
+// Escape XML special characters
+export function escapeXml(unsafe) {
+  return unsafe
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;')
+}
+
+// Reverse escapeXml
+export function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+export default {
+  normalizeTools,
+  normalizeToolChoice,
+  getToolContext,
+  validateTools,
+  buildToolPrompt,
+  parseToolCalls,
+  extractToolCalls,
+  createToolCallStreamParser,
+  generateToolCallId,
+  stripToolBlocks,
+  convertToolCallToXml,
+  renderAssistantToolCalls,
+  renderToolResult,
+  escapeXml,
+  unescapeXml
+}
@@ -1,5 +1,17 @@
 import { logger } from '../services/logger.js'
 import { config } from '../config/index.js'
+import { modelRegistry } from '../services/modelRegistry.js'
+import { ModelNotFoundError } from '../middleware/errorHandler.js'
+import {
+  extractToolCalls,
+  getToolContext,
+  buildToolPrompt,
+  renderAssistantToolCalls,
+  renderToolResult
+} from './toolCalling.js'
+import { getResponseFormat, buildResponseFormatPrompt } from './structuredOutput.js'
+import { translateContent, contentToText } from './contentParts.js'
+import { getUsageSource } from './tokenizer.js'
 
 // Translate OpenAI chat completion request to Qolaba format
 export function translateOpenAIToQolaba(openaiRequest, modelConfig) {
@@ -10,15 +22,18 @@ export function translateOpenAIToQolaba(openaiRequest, modelConfig) {
       messagesCount: openaiRequest.messages?.length || 0
     })
 
+    const systemPolicy = config.systemMessages.policy
+    logSystemMessagePolicy(openaiRequest, systemPolicy)
+
     const qolabaRequest = {
       llm: modelConfig.llm,
       llm_model: modelConfig.llm_model,
-      history: translateMessages(openaiRequest.messages),
+      history: translateMessages(openaiRequest.messages, systemPolicy),
       temperature: openaiRequest.temperature ?? config.models.temperature,
       image_analyze: hasImages(openaiRequest.messages),
-      enable_tool: hasTools(openaiRequest),
-      system_msg: getSystemMessage(openaiRequest.messages),
-      tools: configureTools(openaiRequest),
+      enable_tool: false, // Qolaba's server-side tools; client functions are prompted via system_msg
+      system_msg: buildSystemMessage(openaiRequest, systemPolicy, modelConfig.defaults?.system_prompt_prefix),
+      tools: configureTools(),
       // Qolaba API specific parameters
       token: openaiRequest.token || '123', // Default from curl example
       orgID: openaiRequest.orgID || 'string',
@@ -49,6 +64,71 @@ export function translateOpenAIToQolaba(openaiRequest, modelConfig) {
   }
 }
 
+// Response header naming the upstream model a request ran on
+export const MODEL_HEADER = 'X-Qolaba-Model'
+
+/**
+ * Routing config of a requested model under the resolution policy
+ * (config.models.resolution). Throws ModelNotFoundError when it does not resolve.
+ */
+export function getModelConfig(modelName, policy = config.models.resolution) {
+  const mappedModel = modelRegistry.resolve(modelName)
+
+  if (mappedModel) {
+    logger.debug('Model mapped successfully', {
+      requestedModel: modelName,
+      mappedLLM: mappedModel.llm,
+      mappedLLMModel: mappedModel.llm_model,
+      provider: mappedModel.provider
+    })
+    return mappedModel
+  }
+
+  if (policy === 'fuzzy') {
+    const closest = modelRegistry.findClosest(modelName)
+    if (closest) {
+      const resolved = modelRegistry.resolve(closest)
+      logger.info('Resolved model by fuzzy match', {
+        requestedModel: modelName,
+        resolvedModel: closest,
+        mappedLLMModel: resolved.llm_model
+      })
+      return resolved
+    }
+  }
+
+  if (policy === 'fallback') {
+    const defaultModel = modelRegistry.getDefault()
+    logger.warn('Model not found in catalog, using default', {
+      requestedModel: modelName,
+      defaultModel: defaultModel.llm_model
+    })
+    return defaultModel
+  }
+
+  throw new ModelNotFoundError(modelName, modelRegistry.suggest(modelName))
+}
+
+/**
+ * Fill in temperature and max_tokens the request left out from the defaults of
+ * the model or alias it resolved to
+ */
+export function applyModelDefaults(request, modelConfig) {
+  const defaults = modelConfig.defaults
+  if (!defaults) {
+    return request
+  }
+
+  const applied = { ...request }
+  if (request.temperature === undefined && defaults.temperature !== undefined) {
+    applied.temperature = defaults.temperature
+  }
+  if (request.max_tokens === undefined && request.max_completion_tokens === undefined && defaults.max_tokens !== undefined) {
+    applied.max_tokens = defaults.max_tokens
+  }
+  return applied
+}
+
 // Translate Qolaba response to OpenAI format
 export function translateQolabaToOpenAI(qolabaResponse, originalRequest, isStreaming = false) {
   try {
@@ -73,44 +153,62 @@ export function translateQolabaToOpenAI(qolabaResponse, originalRequest, isStrea
 }
 
 // Translate OpenAI messages to Qolaba history format
-// NOTE: System messages are extracted separately to system_msg field,
-// so we filter them out from the history to avoid duplication
-function translateMessages(messages) {
+// NOTE: System and developer messages are extracted separately to the system_msg
+// field, so we filter them out from the history to avoid duplication, except
+// mid-conversation ones under the 'inline' policy, which stay in place as notes.
+// Tool calls and tool results are rendered as XML text, since Qolaba history
+// only carries plain user/assistant turns.
+function translateMessages(messages, policy = 'concatenate') {
   const history = []
+  const toolNamesById = new Map()
+
+  const firstTurnIndex = getFirstTurnIndex(messages)
 
-  for (const message of messages) {
-    // Skip system messages - they are handled separately via system_msg field
-    if (message.role === 'system') {
-      continue
+  messages.forEach((message, index) => {
+    if (isSystemRole(message.role)) {
+      // With the inline policy, instructions given mid-conversation stay in place as notes
+      if (policy === 'inline' && index > firstTurnIndex) {
+        history.push({
+          role: 'user',
+          content: {
+            text: renderSystemNote(contentToText(message.content, `Message at index ${index}`)),
+            image_data: []
+          }
+        })
+      }
+      // Otherwise they are merged into the system_msg field
+      return
     }
 
+    // Handle string and multi-part content (text, images, text files)
     const qolabaMessage = {
       role: message.role,
-      content: {
-        text: '',
-        image_data: []
-      }
+      content: translateContent(message.content, `Message at index ${index}`)
     }
 
-    // Handle different content types
-    if (typeof message.content === 'string') {
-      qolabaMessage.content.text = message.content
-    } else if (Array.isArray(message.content)) {
-      // Handle multi-modal content (text + images)
-      for (const contentItem of message.content) {
-        if (contentItem.type === 'text') {
-          qolabaMessage.content.text = contentItem.text
-        } else if (contentItem.type === 'image_url') {
-          qolabaMessage.content.image_data.push({
-            url: contentItem.image_url.url,
-            details: contentItem.image_url.detail || 'low'
-          })
+    // Assistant turns that called tools: append the calls in the prompted XML format
+    const toolCalls = message.tool_calls || (message.function_call ? [{ function: message.function_call }] : null)
+    if (message.role === 'assistant' && toolCalls?.length > 0) {
+      for (const toolCall of toolCalls) {
+        if (toolCall.id) {
+          toolNamesById.set(toolCall.id, toolCall.function?.name)
         }
       }
+      const callsXml = renderAssistantToolCalls(toolCalls)
+      qolabaMessage.content.text = qolabaMessage.content.text
+        ? `${qolabaMessage.content.text}\n${callsXml}`
+        : callsXml
+    }
+
+    // Tool results go back to the model as a user turn carrying a <tool_result> block
+    if (message.role === 'tool' || message.role === 'function') {
+      const name = message.name || toolNamesById.get(message.tool_call_id)
+      qolabaMessage.role = 'user'
+      qolabaMessage.content.text = renderToolResult(name, message.tool_call_id, qolabaMessage.content.text)
     }
 
     history.push(qolabaMessage)
-  }
+  })
 
   return history
 }
@@ -125,16 +223,72 @@ function hasImages(messages) {
   })
 }
 
-// Check if request has tools
-function hasTools(request) {
-  return !!(request.tools && request.tools.length > 0) ||
-         !!(request.functions && request.functions.length > 0)
+// system and developer messages both carry instructions for system_msg
+function isSystemRole(role) {
+  return role === 'system' || role === 'developer'
+}
+
+// Index of the first user/assistant/tool turn (messages.length if there is none)
+function getFirstTurnIndex(messages) {
+  const index = messages.findIndex(message => !isSystemRole(message.role))
+  return index === -1 ? messages.length : index
+}
+
+// Extract system message text from messages: all system/developer messages with the
+// concatenate policy, only the leading ones with the inline policy
+function getSystemMessage(messages, policy = 'concatenate') {
+  const firstTurnIndex = getFirstTurnIndex(messages)
+
+  return messages
+    .map((message, index) => ({ message, index }))
+    .filter(({ message, index }) => isSystemRole(message.role) && (policy !== 'inline' || index < firstTurnIndex))
+    .map(({ message, index }) => contentToText(message.content, `Message at index ${index}`))
+    .filter(text => text.length > 0)
+    .join('\n\n')
+}
+
+// Render a mid-conversation system message as a note in the history
+function renderSystemNote(text) {
+  return `[System note: ${text}]`
+}
+
+// Report which policy was applied and where the system/developer messages went
+function logSystemMessagePolicy(request, policy) {
+  const messages = request.messages || []
+  const firstTurnIndex = getFirstTurnIndex(messages)
+  const systemIndexes = messages
+    .map((message, index) => (isSystemRole(message.role) ? index : -1))
+    .filter(index => index !== -1)
+
+  if (systemIndexes.length === 0) {
+    return
+  }
+
+  const inlineCount = policy === 'inline'
+    ? systemIndexes.filter(index => index > firstTurnIndex).length
+    : 0
+
+  logger.debug('Applied system message policy', {
+    requestId: request.requestId,
+    policy,
+    systemMessages: systemIndexes.length,
+    mergedIntoSystemMsg: systemIndexes.length - inlineCount,
+    keptInline: inlineCount
+  })
 }
 
-// Extract system message from messages
-function getSystemMessage(messages) {
-  const systemMessage = messages.find(msg => msg.role === 'system')
-  return systemMessage ? (typeof systemMessage.content === 'string' ? systemMessage.content : '') : ''
+// Build system_msg: the caller's system prompt plus tool definitions and
+// response_format instructions when they are in play
+function buildSystemMessage(request, policy, prefix = null) {
+  const toolContext = getToolContext(request)
+  const responseFormat = getResponseFormat(request)
+
+  return [
+    prefix,
+    getSystemMessage(request.messages, policy),
+    toolContext ? buildToolPrompt(toolContext) : null,
+    responseFormat ? buildResponseFormatPrompt(responseFormat) : null
+  ].filter(Boolean).join('\n\n')
 }
 
 // Get last user message
@@ -144,20 +298,11 @@ function getLastUserMessage(messages) {
   
   if (!lastUserMessage) return ''
   
-  if (typeof lastUserMessage.content === 'string') {
-    return lastUserMessage.content
-  } else if (Array.isArray(lastUserMessage.content)) {
-    return lastUserMessage.content
-      .filter(item => item.type === 'text')
-      .map(item => item.text)
-      .join(' ')
-  }
-  
-  return ''
+  return translateContent(lastUserMessage.content).text
 }
 
 // Configure tools for Qolaba
-function configureTools(request) {
+function configureTools() {
   const defaultTools = {
     tool_list: {
       image_generation: false,
@@ -174,16 +319,8 @@ function configureTools(request) {
     image_generation_parameters: {}
   }
 
-  // Enable tools based on request
-  if (request.tools && request.tools.length > 0) {
-    defaultTools.tool_list.internet_search = true // Enable internet search for tools
-    defaultTools.tool_list.search_doc = true      // Enable document search
-  }
-
-  if (request.functions && request.functions.length > 0) {
-    defaultTools.tool_list.python_code_execution_tool = true
-  }
-
+  // Function tools from the request are executed by the client, not by Qolaba's
+  // built-in tools, so they are described in system_msg instead of enabling tool_list entries
   return defaultTools
 }
 
@@ -226,7 +363,8 @@ function translateNonStreamingResponse(qolabaResponse, originalRequest) {
     usage: {
       prompt_tokens: qolabaResponse.usage?.promptTokens || 0,
       completion_tokens: qolabaResponse.usage?.completionTokens || 0,
-      total_tokens: qolabaResponse.usage?.totalTokens || 0
+      total_tokens: qolabaResponse.usage?.totalTokens || 0,
+      source: getUsageSource([qolabaResponse.usage])
     }
   }
 }
@@ -237,63 +375,13 @@ function generateId() {
          Math.random().toString(36).substring(2, 15)
 }
 
-// Extract tool calls from response
-export function extractToolCalls(content) {
-  const toolCalls = []
-  
-  // Simple regex to find XML tool calls
-  const toolRegex = /<tool name="([^"]+)">([\s\S]*?)<\/tool>/g
-  let match
-  
-  while ((match = toolRegex.exec(content)) !== null) {
-    const toolName = match[1]
-    const toolContent = match[2]
-    
-    try {
-      // Parse XML content to extract parameters
-      const parameters = parseXmlToParameters(toolContent)
-      
-      toolCalls.push({
-        id: generateId(),
-        type: 'function',
-        function: {
-          name: toolName,
-          arguments: JSON.stringify(parameters)
-        }
-      })
-    } catch (error) {
-      logger.warn('Failed to parse tool call', { toolName, error: error.message })
-    }
-  }
-  
-  return toolCalls
-}
-
-// Parse XML content to parameters object
-function parseXmlToParameters(xmlContent) {
-  const parameters = {}
-  
-  // Simple XML parsing - this could be enhanced with a proper XML parser
-  const tagRegex = /<(\w+)[^>]*>([\s\S]*?)<\/\1>/g
-  let match
-  
-  while ((match = tagRegex.exec(xmlContent)) !== null) {
-    const tagName = match[1]
-    const tagContent = match[2].trim()
-    
-    // Try to parse as JSON, otherwise use as string
-    try {
-      parameters[tagName] = JSON.parse(tagContent)
-    } catch {
-      parameters[tagName] = tagContent
-    }
-  }
-  
-  return parameters
-}
+// Tool call parsing lives in toolCalling.js; re-exported for existing callers
+export { extractToolCalls }
 
 export default {
   translateOpenAIToQolaba,
   translateQolabaToOpenAI,
+  getModelConfig,
+  applyModelDefaults,
   extractToolCalls
 }
\ No newline at end of file
@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import request from 'supertest';
+
+// Mock external dependencies to avoid actual HTTP requests
+jest.mock('../src/services/qolaba.js');
+jest.mock('../src/services/logger.js');
+
+import app from '../src/index.js';
+import { QolabaApiClient } from '../src/services/qolaba.js';
+import { translateAnthropicToOpenAI } from '../src/utils/anthropic.js';
+import { RequestCancelledError } from '../src/middleware/errorHandler.js';
+
+const weatherTool = {
+  name: 'get_weather',
+  description: 'Get the current weather for a city',
+  input_schema: {
+    type: 'object',
+    properties: { city: { type: 'string' } },
+    required: ['city']
+  }
+};
+
+// Parse an SSE body into [{ event, data }]
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.includes('event: '))
+  .map(block => {
+    const lines = block.split('\n');
+    return {
+      event: lines.find(line => line.startsWith('event: ')).slice(7),
+      data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6))
+    };
+  });
+
+describe('Anthropic Messages API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Translation', () => {
+    it('should map system, content blocks and tool results to OpenAI messages', () => {
+      const openaiRequest = translateAnthropicToOpenAI({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 256,
+        system: [{ type: 'text', text: 'Be brief.' }],
+        tools: [weatherTool],
+        tool_choice: { type: 'any' },
+        messages: [
+          { role: 'user', content: [{ type: 'text', text: 'Weather in Paris?' }] },
+          {
+            role: 'assistant',
+            content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }]
+          },
+          {
+            role: 'user',
+            content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '21C' }]
+          }
+        ]
+      });
+
+      expect(openaiRequest.messages).toEqual([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Weather in Paris?' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'toolu_1', content: '21C' }
+      ]);
+      expect(openaiRequest.tools[0].function.parameters).toEqual(weatherTool.input_schema);
+      expect(openaiRequest.tool_choice).toBe('required');
+    });
+  });
+
+  describe('POST /v1/messages', () => {
+    it('should accept x-api-key and return an Anthropic message', async () => {
+      QolabaApiClient.prototype.chat.mockResolvedValue({
+        output: 'Hello there!',
+        usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 }
+      });
+
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .set('anthropic-version', '2023-06-01')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          system: 'You are friendly.',
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-sonnet-4-20250514',
+        content: [{ type: 'text', text: 'Hello there!' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 12, output_tokens: 3 }
+      });
+      expect(res.body.id).toMatch(/^msg_/);
+
+      const payload = QolabaApiClient.prototype.chat.mock.calls[0][0];
+      expect(payload.system_msg).toBe('You are friendly.');
+    });
+
+    it('should return tool_use blocks with stop_reason tool_use', async () => {
+      QolabaApiClient.prototype.chat.mockResolvedValue({
+        output: '<tool name="get_weather"><city>Paris</city></tool>',
+        usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 }
+      });
+
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          tools: [weatherTool],
+          messages: [{ role: 'user', content: 'Weather in Paris?' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.stop_reason).toBe('tool_use');
+      expect(res.body.content[0]).toMatchObject({ type: 'tool_use', name: 'get_weather', input: { city: 'Paris' } });
+      expect(res.body.content[0].id).toMatch(/^toolu_/);
+    });
+
+    it('should stream the Anthropic event sequence', async () => {
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'Hel' });
+        onChunk({ output: 'lo' });
+        return { output: 'Hello', usage: { promptTokens: 5, completionTokens: 2, totalTokens: 7 } };
+      });
+
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          stream: true,
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      const events = parseEvents(res.text);
+
+      expect(events.map(e => e.event)).toEqual([
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop'
+      ]);
+      expect(events[2].data.delta).toEqual({ type: 'text_delta', text: 'Hel' });
+      expect(events[5].data.delta.stop_reason).toBe('end_turn');
+      expect(events[5].data.usage.output_tokens).toBe(2);
+      expect(events[0].data.message.usage.input_tokens).toBeGreaterThan(0);
+    });
+
+    it('should send a stream failure as an Anthropic error event', async () => {
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'Hel' });
+        throw Object.assign(new Error('Qolaba is overloaded'), { response: { status: 503 } });
+      });
+
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          stream: true,
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      const error = parseEvents(res.text).find(e => e.event === 'error');
+      expect(error.data).toEqual({ type: 'error', error: { type: 'overloaded_error', message: 'Qolaba is overloaded' } });
+    });
+
+    it('should cut the upstream stream short at a stop sequence', async () => {
+      let signal;
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk, options) => {
+        signal = options.signal;
+        onChunk({ output: 'Hello END' });
+        if (signal.aborted) {
+          throw new RequestCancelledError();
+        }
+        return { output: 'Hello END', usage: { promptTokens: 8, completionTokens: 2, totalTokens: 10 } };
+      });
+
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          stop_sequences: ['END'],
+          stream: true,
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      const events = parseEvents(res.text);
+      expect(signal.aborted).toBe(true);
+      expect(events.map(e => e.event)).not.toContain('error');
+      expect(events.find(e => e.event === 'message_delta').data.delta).toEqual({ stop_reason: 'stop_sequence', stop_sequence: 'END' });
+    });
+
+    it('should cut the reply at max_tokens with stop_reason max_tokens', async () => {
+      const output = 'one two three four five six seven eight nine ten';
+      QolabaApiClient.prototype.chat.mockResolvedValue({
+        output,
+        usage: { promptTokens: 12, completionTokens: 10, totalTokens: 22 }
+      });
+
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 2,
+          messages: [{ role: 'user', content: 'Count' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.stop_reason).toBe('max_tokens');
+      expect(res.body.stop_sequence).toBeNull();
+      expect(res.body.content[0].text).toBe('one two');
+      expect(res.body.usage.output_tokens).toBe(2);
+    });
+
+    it('should cut the reply at stop_sequences and report the matched sequence', async () => {
+      QolabaApiClient.prototype.chat.mockResolvedValue({
+        output: 'Hello there\nHuman: more',
+        usage: { promptTokens: 12, completionTokens: 6, totalTokens: 18 }
+      });
+
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          stop_sequences: ['STOP', '\nHuman:'],
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.content).toEqual([{ type: 'text', text: 'Hello there' }]);
+      expect(res.body.stop_reason).toBe('stop_sequence');
+      expect(res.body.stop_sequence).toBe('\nHuman:');
+    });
+
+    it('should apply stop_sequences and max_tokens while streaming', async () => {
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'Hello ST' });
+        onChunk({ output: 'OP and more' });
+        return { output: 'Hello STOP and more', usage: { promptTokens: 5, completionTokens: 5, totalTokens: 10 } };
+      });
+
+      const stopped = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          stop_sequences: ['STOP'],
+          stream: true,
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      const stoppedEvents = parseEvents(stopped.text);
+      const text = stoppedEvents
+        .filter(e => e.event === 'content_block_delta')
+        .map(e => e.data.delta.text)
+        .join('');
+      const stoppedDelta = stoppedEvents.find(e => e.event === 'message_delta').data.delta;
+      expect(text).toBe('Hello ');
+      expect(stoppedDelta).toEqual({ stop_reason: 'stop_sequence', stop_sequence: 'STOP' });
+
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'one two three four five ' });
+        onChunk({ output: 'six seven eight nine ten' });
+        return { output: 'one two three four five six seven eight nine ten', usage: { promptTokens: 5, completionTokens: 10, totalTokens: 15 } };
+      });
+
+      const truncated = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 2,
+          stream: true,
+          messages: [{ role: 'user', content: 'Count' }]
+        });
+
+      const truncatedDelta = parseEvents(truncated.text).find(e => e.event === 'message_delta').data.delta;
+      expect(truncatedDelta).toEqual({ stop_reason: 'max_tokens', stop_sequence: null });
+    });
+
+    it('should reject requests without max_tokens', async () => {
+      const res = await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'test-api-key-1234567890')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ type: 'error', error: { type: 'invalid_request_error', message: expect.stringContaining('max_tokens') } });
+    });
+
+    it('should answer authentication errors in the Anthropic format', async () => {
+      const res = await request(app)
+        .post('/v1/messages')
+        .send({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 256,
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ type: 'error', error: { type: 'authentication_error', message: expect.any(String) } });
+    });
+  });
+});
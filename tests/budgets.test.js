@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+
+// Mock external dependencies to avoid actual HTTP requests
+jest.mock('../src/services/qolaba.js');
+jest.mock('../src/services/logger.js');
+
+import app from '../src/index.js';
+import { config } from '../src/config/index.js';
+import { QolabaApiClient } from '../src/services/qolaba.js';
+import { BudgetTracker, budgetTracker, secondsUntilReset } from '../src/services/budgets.js';
+import { virtualKeyStore } from '../src/services/virtualKeys.js';
+import { estimateCost } from '../src/services/pricing.js';
+import { RequestCancelledError } from '../src/middleware/errorHandler.js';
+import { countPromptTokens } from '../src/utils/tokenizer.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-'));
+const usage = { promptTokens: 10, completionTokens: 5, totalTokens: 15, source: 'upstream' };
+
+const postChat = (key = 'test-api-key-1234567890', body = {}) => request(app)
+  .post('/v1/chat/completions')
+  .set('Authorization', `Bearer ${key}`)
+  .send({ model: 'gpt-4.1-mini-2025-04-14', messages: [{ role: 'user', content: 'Hello' }], ...body });
+
+describe('Budgets', () => {
+  const defaults = budgetTracker.defaults;
+  const adminKey = config.admin.apiKey;
+
+  beforeAll(() => {
+    config.admin.apiKey = 'admin-secret-key';
+    virtualKeyStore.load(path.join(tmpDir, 'keys.json'));
+  });
+
+  afterAll(() => {
+    config.admin.apiKey = adminKey;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    QolabaApiClient.prototype.chat.mockResolvedValue({ output: 'Hi', usage });
+  });
+
+  afterEach(() => {
+    budgetTracker.defaults = defaults;
+    budgetTracker.reset();
+  });
+
+  describe('Limits', () => {
+    it('should warn past the soft limit and refuse past the hard limit', async () => {
+      budgetTracker.defaults = { daily_tokens: { soft: 10, hard: 25 } };
+
+      const first = await postChat();
+      expect(first.status).toBe(200);
+      expect(first.headers['x-budget-warning']).toBeUndefined();
+
+      const second = await postChat();
+      expect(second.status).toBe(200);
+      expect(second.headers['x-budget-warning']).toBe('daily_tokens=15/25');
+
+      const third = await postChat();
+      expect(third.status).toBe(429);
+      expect(third.body.error).toMatchObject({ type: 'insufficient_quota', code: 'insufficient_quota' });
+      expect(Number(third.headers['retry-after'])).toBe(secondsUntilReset('daily'));
+      expect(QolabaApiClient.prototype.chat).toHaveBeenCalledTimes(2);
+    });
+
+    it('should put the soft limit at a share of a plain hard limit', () => {
+      const tracker = new BudgetTracker({ path: null, defaults: { monthly_tokens: 1000 }, softLimitRatio: 0.5 });
+
+      expect(tracker.getLimits({})).toEqual([{ name: 'monthly_tokens', period: 'monthly', metric: 'tokens', soft: 500, hard: 1000 }]);
+    });
+
+    it('should keep the spending of each key apart', async () => {
+      budgetTracker.defaults = { daily_tokens: 10 };
+
+      await postChat('first-api-key-1234567890');
+
+      expect((await postChat('first-api-key-1234567890')).status).toBe(429);
+      expect((await postChat('second-api-key-1234567890')).status).toBe(200);
+    });
+
+    it('should charge the estimated cost to the budget of a virtual key', async () => {
+      const created = await request(app)
+        .post('/admin/keys')
+        .set('x-admin-key', 'admin-secret-key')
+        .send({ label: 'agent', upstream_key: 'qolaba-upstream-key-1234567890', budget: { monthly_cost: 0.000001 } });
+
+      expect((await postChat(created.body.key)).status).toBe(200);
+      const res = await postChat(created.body.key);
+
+      expect(res.status).toBe(429);
+      expect(res.body.error.message).toMatch(/monthly cost budget/);
+      expect(budgetTracker.getSpent(created.body.id).monthly.cost).toBeCloseTo(estimateCost('gpt-4.1-mini-2025-04-14', usage));
+    });
+
+    it('should refuse models without a price under a cost budget', async () => {
+      budgetTracker.defaults = { daily_cost: 5 };
+
+      const res = await postChat('unpriced-api-key-1234567890', { model: 'claude-sonnet-4-20250514' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toMatchObject({ code: 'model_not_priced', param: 'model' });
+      expect(QolabaApiClient.prototype.chat).not.toHaveBeenCalled();
+
+      budgetTracker.defaults = { daily_tokens: 1000 };
+      expect((await postChat('unpriced-api-key-1234567890', { model: 'claude-sonnet-4-20250514' })).status).toBe(200);
+    });
+
+    it('should charge streamed requests once they complete', async () => {
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'Hi' });
+        return { output: 'Hi', usage };
+      });
+
+      await postChat('stream-api-key-1234567890', { stream: true });
+
+      const states = await request(app).get('/admin/budgets').set('x-admin-key', 'admin-secret-key');
+      expect(states.body.data).toEqual([
+        expect.objectContaining({ daily: expect.objectContaining({ tokens: 15 }), monthly: expect.objectContaining({ tokens: 15 }) })
+      ]);
+    });
+  });
+
+  describe('Unfinished streams', () => {
+    const getDailyTokens = async () => {
+      const states = await request(app).get('/admin/budgets').set('x-admin-key', 'admin-secret-key');
+      return states.body.data.map(state => state.daily.tokens);
+    };
+
+    it('should charge the prompt and partial output of a stream that fails part way', async () => {
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'Hello there, this is a partial answer' });
+        throw Object.assign(new Error('Streaming error: aborted'), { code: 'ECONNRESET' });
+      });
+
+      await postChat('failing-stream-key-1234567890', { stream: true });
+
+      const [tokens] = await getDailyTokens();
+      expect(tokens).toBeGreaterThan(8);
+    });
+
+    it('should charge a stream cancelled by the client', async () => {
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'Partial' });
+        throw new RequestCancelledError();
+      });
+
+      await request(app)
+        .post('/v1/messages')
+        .set('x-api-key', 'cancelled-stream-key-1234567890')
+        .send({ model: 'claude-sonnet-4-20250514', max_tokens: 64, stream: true, messages: [{ role: 'user', content: 'Hello' }] });
+
+      const [tokens] = await getDailyTokens();
+      expect(tokens).toBeGreaterThan(0);
+    });
+
+    it('should cut the other choices short when one fails and charge all of them', async () => {
+      const signals = [];
+      let payload;
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (streamPayload, onChunk, options) => {
+        payload = streamPayload;
+        signals.push(options.signal);
+        onChunk({ output: 'Partial' });
+        if (signals.length === 1) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          throw Object.assign(new Error('Streaming error: aborted'), { code: 'ECONNRESET' });
+        }
+        // The sibling streams until it is cut short
+        await new Promise(resolve => options.signal.addEventListener('abort', resolve, { once: true }));
+        throw new RequestCancelledError();
+      });
+
+      await postChat('failing-choice-key-1234567890', { stream: true, n: 2 });
+
+      expect(signals.map(signal => signal.aborted)).toEqual([true, true]);
+      const [tokens] = await getDailyTokens();
+      expect(tokens).toBeGreaterThan(2 * countPromptTokens(payload));
+    });
+
+    it('should cancel the other calls when one choice fails and charge them', async () => {
+      const signals = [];
+      let payload;
+      QolabaApiClient.prototype.chat.mockImplementation(async (chatPayload, options) => {
+        payload = chatPayload;
+        signals.push(options.signal);
+        if (signals.length === 1) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+        }
+        await new Promise(resolve => options.signal.addEventListener('abort', resolve, { once: true }));
+        throw new RequestCancelledError();
+      });
+
+      const res = await postChat('failing-choices-key-1234567890', { n: 3 });
+
+      expect(res.status).not.toBe(200);
+      expect(signals.map(signal => signal.aborted)).toEqual([true, true, true]);
+      const [tokens] = await getDailyTokens();
+      expect(tokens).toBe(2 * countPromptTokens(payload));
+    });
+
+    it('should not charge a stream that failed before reaching the upstream', async () => {
+      QolabaApiClient.prototype.streamChat.mockRejectedValue(Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } }));
+
+      await postChat('rejected-stream-key-1234567890', { stream: true });
+
+      expect(Math.max(0, ...await getDailyTokens())).toBe(0);
+    });
+  });
+
+  describe('BudgetTracker', () => {
+    it('should keep spending across restarts', () => {
+      const file = path.join(tmpDir, 'budgets.json');
+      const tracker = new BudgetTracker({ path: file });
+      tracker.charge({ originalApiKey: 'persisted-api-key' }, 'gpt-4o-mini', usage);
+      tracker.flush();
+
+      const reloaded = new BudgetTracker({ path: file });
+
+      expect(reloaded.check({ originalApiKey: 'persisted-api-key' })).toEqual({ exceeded: [], warnings: [] });
+      expect(reloaded.getStates()[0].daily).toMatchObject({ tokens: 15 });
+    });
+
+    it('should start over in a new period', () => {
+      const tracker = new BudgetTracker({ path: null });
+      tracker.spending.set('key', { daily: { period: '2000-01-01', tokens: 500, cost: 1 }, monthly: { period: '2000-01', tokens: 500, cost: 1 } });
+
+      expect(tracker.getSpent('key').daily).toMatchObject({ tokens: 0, cost: 0 });
+    });
+  });
+});
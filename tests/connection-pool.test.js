@@ -0,0 +1,101 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+
+// Mock external dependencies to avoid actual HTTP requests
+jest.mock('../src/services/qolaba.js');
+jest.mock('../src/services/logger.js');
+
+import app from '../src/index.js';
+import { QolabaApiClient } from '../src/services/qolaba.js';
+import { ConnectionPool, connectionPool } from '../src/services/connectionPool.js';
+
+const { QolabaApiClient: RealClient } = jest.requireActual('../src/services/qolaba.js');
+
+describe('Connection pool', () => {
+  afterEach(() => {
+    connectionPool.destroy();
+  });
+
+  describe('QolabaApiClient', () => {
+    it('should share agents between clients of the same key', () => {
+      const first = new RealClient('key-one');
+      const second = new RealClient('key-one');
+
+      expect(first.client.defaults.httpsAgent).toBe(second.client.defaults.httpsAgent);
+      expect(first.client.defaults.httpAgent).toBe(second.client.defaults.httpAgent);
+      expect(first.client.defaults.httpsAgent.keepAlive).toBe(true);
+    });
+
+    it('should give other keys their own agents', () => {
+      const first = new RealClient('key-one');
+      const second = new RealClient('key-two');
+
+      expect(first.client.defaults.httpsAgent).not.toBe(second.client.defaults.httpsAgent);
+      expect(connectionPool.getStats().pools).toHaveLength(2);
+    });
+  });
+
+  describe('ConnectionPool', () => {
+    it('should close the least recently used pools beyond maxPools', () => {
+      const pool = new ConnectionPool({ maxPools: 2 });
+      const first = pool.getAgents('key-one');
+      pool.getAgents('key-two');
+      pool.getAgents('key-one');
+      pool.getAgents('key-three');
+
+      expect(pool.getStats().pools).toHaveLength(2);
+      expect(pool.getAgents('key-one')).toEqual(first);
+      pool.destroy();
+    });
+
+    it('should keep pools with requests in flight', () => {
+      const pool = new ConnectionPool({ maxPools: 1 });
+      const busy = pool.getAgents('key-one');
+      busy.httpsAgent.sockets['qolaba.ai:443:'] = [{}];
+
+      pool.getAgents('key-two');
+
+      expect(pool.getStats()).toMatchObject({ inUse: 1, pools: [{ inUse: 1 }, { inUse: 0 }] });
+      busy.httpsAgent.sockets = {};
+      pool.destroy();
+    });
+
+    it('should count sockets across the agents of each pool', async () => {
+      const server = http.createServer((req, res) => res.end('ok'));
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const pool = new ConnectionPool({ keepAlive: true });
+      const { httpAgent } = pool.getAgents('key-one');
+
+      await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, agent: httpAgent }, (res) => {
+          res.resume();
+          res.on('end', resolve);
+        }).on('error', reject);
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(pool.getStats()).toMatchObject({ inUse: 0, free: 1, queued: 0 });
+      pool.destroy();
+      await new Promise(resolve => server.close(resolve));
+    });
+  });
+
+  describe('GET /v1/health/connections', () => {
+    it('should report pool statistics', async () => {
+      QolabaApiClient.prototype.getConnectionHealth.mockReturnValue({ isHealthy: true, successRate: 100 });
+      connectionPool.getAgents('key-one');
+
+      const res = await request(app).get('/v1/health/connections');
+
+      expect(res.body.pool).toMatchObject({
+        keepAlive: true,
+        inUse: 0,
+        free: 0,
+        queued: 0,
+        pools: [expect.objectContaining({ clients: 1, inUse: 0, free: 0, queued: 0 })]
+      });
+      expect(res.body.pool.pools[0].id).not.toContain('key-one');
+    });
+  });
+});
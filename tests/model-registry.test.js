@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+
+// Mock external dependencies to avoid actual HTTP requests
+jest.mock('../src/services/qolaba.js');
+jest.mock('../src/services/logger.js');
+
+import app from '../src/index.js';
+import { config } from '../src/config/index.js';
+import { ModelRegistry, modelRegistry } from '../src/services/modelRegistry.js';
+import { QolabaApiClient } from '../src/services/qolaba.js';
+import { getModelConfig } from '../src/utils/translator.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-catalog-'));
+
+const writeCatalog = (name, contents) => {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+};
+
+const catalog = {
+  default_context_window: 32000,
+  models: [
+    { id: 'gpt-4.1-mini-2025-04-14', llm: 'OpenAI', context_window: 1047576 },
+    { id: 'claude-sonnet-4-20250514', llm: 'ClaudeAI' }
+  ],
+  aliases: {
+    'gpt-4o': { model: 'gpt-4.1-mini-2025-04-14', listed: true },
+    'claude-3-5-sonnet-20241022': 'claude-sonnet-4-20250514'
+  }
+};
+
+const createRegistry = (options = {}) => new ModelRegistry({
+  path: writeCatalog('catalog.json', catalog),
+  defaultModel: 'gpt-4.1-mini-2025-04-14',
+  ...options
+});
+
+describe('Model registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Catalog', () => {
+    it('should resolve models and aliases', () => {
+      const registry = createRegistry();
+
+      expect(registry.resolve('claude-sonnet-4-20250514')).toMatchObject({ llm: 'ClaudeAI', provider: 'ClaudeAI' });
+      expect(registry.resolve('gpt-4o')).toMatchObject({ id: 'gpt-4.1-mini-2025-04-14', llm_model: 'gpt-4.1-mini-2025-04-14' });
+      expect(registry.resolve('gpt-4')).toBeNull();
+    });
+
+    it('should load YAML catalogs', () => {
+      const file = writeCatalog('catalog.yaml', [
+        'models:',
+        '  - id: gemini-2.5-flash',
+        '    llm: GeminiAI',
+        'aliases:',
+        '  gemini-1.5-flash: gemini-2.5-flash'
+      ].join('\n'));
+
+      const registry = new ModelRegistry({ path: file, defaultModel: 'gemini-2.5-flash' });
+
+      expect(registry.resolve('gemini-1.5-flash').llm).toBe('GeminiAI');
+    });
+
+    it('should reject aliases that do not route anywhere', () => {
+      const file = writeCatalog('broken.json', { ...catalog, aliases: { 'gpt-4': 'gpt-5' } });
+
+      expect(() => new ModelRegistry({ path: file })).toThrow(/alias gpt-4 points to unknown model gpt-5/);
+    });
+
+    it('should expose every routable id as mappings, with the default', () => {
+      const mappings = createRegistry().getMappings();
+
+      expect(Object.keys(mappings)).toEqual([
+        'gpt-4.1-mini-2025-04-14',
+        'claude-sonnet-4-20250514',
+        'gpt-4o',
+        'claude-3-5-sonnet-20241022',
+        'default'
+      ]);
+      expect(mappings['claude-3-5-sonnet-20241022']).toEqual({
+        llm: 'ClaudeAI',
+        llm_model: 'claude-sonnet-4-20250514',
+        provider: 'ClaudeAI'
+      });
+    });
+
+    it('should list models and listed aliases only', () => {
+      const ids = createRegistry().listModels().map(model => model.id);
+
+      expect(ids).toEqual(['gpt-4.1-mini-2025-04-14', 'claude-sonnet-4-20250514', 'gpt-4o']);
+    });
+
+    it('should fall back to the default context window', () => {
+      const registry = createRegistry();
+
+      expect(registry.getContextWindow('gpt-4.1-mini-2025-04-14')).toBe(1047576);
+      expect(registry.getContextWindow('claude-sonnet-4-20250514')).toBe(32000);
+    });
+  });
+
+  describe('Discovery', () => {
+    it('should add discovered models and hide the ones Qolaba does not report', async () => {
+      const registry = createRegistry({ discoveryEnabled: true });
+      const client = {
+        discoverModels: jest.fn().mockResolvedValue({
+          models: [
+            { llm: 'OpenAI', llm_model: 'gpt-4.1-mini-2025-04-14' },
+            { llm: 'OpenAI', llm_model: 'gpt-5-mini' }
+          ]
+        })
+      };
+
+      await registry.refreshIfStale(client);
+
+      expect(registry.resolve('gpt-5-mini')).toMatchObject({ llm: 'OpenAI', provider: 'OpenAI' });
+      expect(registry.listModels().map(model => model.id)).toEqual(['gpt-4.1-mini-2025-04-14', 'gpt-5-mini', 'gpt-4o']);
+    });
+
+    it('should cache discovery results for the TTL', async () => {
+      const registry = createRegistry({ discoveryEnabled: true, discoveryTtl: 60000 });
+      const client = { discoverModels: jest.fn().mockResolvedValue({ OpenAI: ['gpt-4.1-mini-2025-04-14'] }) };
+
+      await Promise.all([registry.refreshIfStale(client), registry.refreshIfStale(client)]);
+      await registry.refreshIfStale(client);
+
+      expect(client.discoverModels).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the catalog when discovery fails', async () => {
+      const registry = createRegistry({ discoveryEnabled: true });
+      const client = { discoverModels: jest.fn().mockRejectedValue(new Error('404')) };
+
+      await registry.refreshIfStale(client);
+
+      expect(registry.lastDiscoveryError).toBe('404');
+      expect(registry.listModels()).toHaveLength(3);
+    });
+
+    it('should not call Qolaba when discovery is disabled', async () => {
+      const client = { discoverModels: jest.fn() };
+
+      await createRegistry().refreshIfStale(client);
+
+      expect(client.discoverModels).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Routing', () => {
+    it('should read config.modelMappings from the registry', () => {
+      expect(config.modelMappings).toEqual(modelRegistry.getMappings());
+      expect(config.modelMappings.default.llm_model).toBe(config.models.default);
+    });
+
+    it('should route models listed by /v1/models without falling back', async () => {
+      const res = await request(app).get('/v1/models');
+
+      expect(res.status).toBe(200);
+      res.body.data.forEach(model => {
+        expect(modelRegistry.resolve(model.id)).not.toBeNull();
+      });
+      expect(getModelConfig('claude-3-7-sonnet-latest').llm_model).toBe('claude-3-7-sonnet-latest');
+    });
+
+    it('should not list unlisted aliases but still route them', async () => {
+      const res = await request(app).get('/v1/models');
+
+      expect(res.body.data.map(model => model.id)).not.toContain('gpt-3.5-turbo');
+      expect(getModelConfig('gpt-3.5-turbo').llm_model).toBe('gpt-4.1-mini-2025-04-14');
+    });
+
+    it('should describe aliases by the model they route to', async () => {
+      const res = await request(app).get('/v1/models/gpt-4o');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        id: 'gpt-4o',
+        root: 'gpt-4.1-2025-04-14',
+        llm_model: 'gpt-4.1-2025-04-14',
+        context_window: 1047576
+      });
+    });
+
+    it('should list models from the registry in QolabaApiClient.getModels', async () => {
+      const { QolabaApiClient: RealClient } = jest.requireActual('../src/services/qolaba.js');
+      const models = await new RealClient('test-key').getModels();
+
+      expect(models.data.map(model => model.id)).toEqual(modelRegistry.listModels().map(model => model.id));
+      expect(QolabaApiClient.prototype.discoverModels).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+
+// Mock external dependencies to avoid actual HTTP requests
+jest.mock('../src/services/qolaba.js');
+jest.mock('../src/services/logger.js');
+
+import app from '../src/index.js';
+import { config } from '../src/config/index.js';
+import { QolabaApiClient } from '../src/services/qolaba.js';
+import { RateLimiter, rateLimiter, ipRateLimiter } from '../src/services/rateLimiter.js';
+import { virtualKeyStore } from '../src/services/virtualKeys.js';
+import { MemoryStore } from '../src/services/stateStore.js';
+import { formatDuration } from '../src/middleware/rateLimit.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-'));
+const usage = { promptTokens: 10, completionTokens: 5, totalTokens: 15, source: 'upstream' };
+
+const postChat = (key = 'test-api-key-1234567890', body = {}) => request(app)
+  .post('/v1/chat/completions')
+  .set('Authorization', `Bearer ${key}`)
+  .send({ model: 'gpt-4.1-mini-2025-04-14', messages: [{ role: 'user', content: 'Hello' }], ...body });
+
+const createKey = (body) => request(app)
+  .post('/admin/keys')
+  .set('x-admin-key', 'admin-secret-key')
+  .send({ label: 'agent', upstream_key: 'qolaba-upstream-key-1234567890', ...body });
+
+describe('Rate limiting', () => {
+  const adminKey = config.admin.apiKey;
+  const { tiers } = rateLimiter;
+
+  beforeAll(() => {
+    config.admin.apiKey = 'admin-secret-key';
+    virtualKeyStore.load(path.join(tmpDir, 'keys.json'));
+  });
+
+  afterAll(() => {
+    config.admin.apiKey = adminKey;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    QolabaApiClient.prototype.chat.mockResolvedValue({ output: 'Hi', usage });
+  });
+
+  afterEach(async () => {
+    rateLimiter.tiers = tiers;
+    await rateLimiter.reset();
+    await ipRateLimiter.reset();
+  });
+
+  describe('Requests per minute', () => {
+    it('should report the remaining requests in OpenAI-style headers', async () => {
+      rateLimiter.tiers = { ...tiers, default: { requests_per_minute: 3 } };
+
+      const res = await postChat();
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-ratelimit-limit-requests']).toBe('3');
+      expect(res.headers['x-ratelimit-remaining-requests']).toBe('2');
+      expect(res.headers['x-ratelimit-reset-requests']).toMatch(/^(\d+m)?[\d.]+m?s$/);
+      expect(res.headers['x-ratelimit-limit']).toBe('3');
+      expect(res.headers['x-ratelimit-remaining']).toBe('2');
+      expect(res.headers).not.toHaveProperty('x-ratelimit-limit-tokens');
+    });
+
+    it('should refuse requests past the limit with a Retry-After', async () => {
+      rateLimiter.tiers = { ...tiers, default: { requests_per_minute: 2 } };
+
+      await postChat();
+      await postChat();
+      const res = await postChat();
+
+      expect(res.status).toBe(429);
+      expect(res.body.error).toMatchObject({ type: 'rate_limit_error', code: 'rate_limit_exceeded' });
+      expect(res.body.error.message).toMatch(/requests per minute \(RPM\): limit 2, used 2/);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(QolabaApiClient.prototype.chat).toHaveBeenCalledTimes(2);
+
+      expect((await postChat('other-api-key-1234567890')).status).toBe(200);
+    });
+  });
+
+  describe('Tokens per minute', () => {
+    it('should charge the tokens of each completion and hold the key back once they run out', async () => {
+      rateLimiter.tiers = { ...tiers, default: { tokens_per_minute: 20 } };
+
+      const first = await postChat();
+      expect(first.headers['x-ratelimit-limit-tokens']).toBe('20');
+      expect(first.headers['x-ratelimit-remaining-tokens']).toBe('20');
+
+      const second = await postChat();
+      expect(second.status).toBe(200);
+      expect(second.headers['x-ratelimit-remaining-tokens']).toBe('5');
+
+      const third = await postChat();
+      expect(third.status).toBe(429);
+      expect(third.body.error.message).toMatch(/tokens per minute \(TPM\): limit 20, used 30/);
+    });
+  });
+
+  describe('Streaming requests per minute', () => {
+    it('should only count streaming requests', async () => {
+      rateLimiter.tiers = { ...tiers, default: { streams_per_minute: 1 } };
+      QolabaApiClient.prototype.streamChat.mockImplementation(async (payload, onChunk) => {
+        onChunk({ output: 'Hi' });
+        return { output: 'Hi', usage };
+      });
+
+      expect((await postChat(undefined, { stream: true })).status).toBe(200);
+      expect((await postChat()).status).toBe(200);
+      expect((await postChat(undefined, { stream: true })).status).toBe(429);
+    });
+  });
+
+  describe('Virtual keys', () => {
+    it('should apply the tier or the limits of the key', async () => {
+      rateLimiter.tiers = { ...tiers, free: { requests_per_minute: 1 } };
+
+      const tiered = await createKey({ rate_limit: 'free' });
+      expect(tiered.body.rate_limit).toBe('free');
+      expect((await postChat(tiered.body.key)).headers['x-ratelimit-limit-requests']).toBe('1');
+      expect((await postChat(tiered.body.key)).status).toBe(429);
+
+      const custom = await createKey({ rate_limit: { requests_per_minute: 7 } });
+      expect((await postChat(custom.body.key)).headers['x-ratelimit-limit-requests']).toBe('7');
+    });
+
+    it('should reject unknown tiers', async () => {
+      const res = await createKey({ rate_limit: 'platinum' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toMatch(/Unknown rate limit tier 'platinum'/);
+    });
+  });
+
+  describe('Client IP limit', () => {
+    const ipTiers = ipRateLimiter.tiers;
+
+    afterEach(() => {
+      ipRateLimiter.tiers = ipTiers;
+    });
+
+    it('should limit admin key guesses per client IP', async () => {
+      ipRateLimiter.tiers = { default: { requests_per_minute: 2 } };
+      const guess = () => request(app).get('/admin/keys').set('x-admin-key', 'wrong-admin-key');
+
+      expect((await guess()).status).toBe(401);
+      expect((await guess()).status).toBe(401);
+      const res = await guess();
+
+      expect(res.status).toBe(429);
+      expect(res.body.error.code).toBe('rate_limit_exceeded');
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('should limit the models and health routes but not the completion routes', async () => {
+      ipRateLimiter.tiers = { default: { requests_per_minute: 1 } };
+
+      expect((await request(app).get('/v1/models')).status).toBe(200);
+      expect((await request(app).get('/health')).status).toBe(429);
+      expect((await postChat()).status).toBe(200);
+      expect((await postChat()).status).toBe(200);
+    });
+  });
+
+  describe('State store failures', () => {
+    const failOpen = config.rateLimits.failOpen;
+
+    afterEach(() => {
+      config.rateLimits.failOpen = failOpen;
+      jest.restoreAllMocks();
+    });
+
+    it('should let requests through or refuse them as configured', async () => {
+      QolabaApiClient.prototype.chat.mockResolvedValue({ output: 'Hi', usage });
+      jest.spyOn(rateLimiter, 'take').mockRejectedValue(new Error('Redis command INCRBYFLOAT timed out after 2000ms'));
+
+      config.rateLimits.failOpen = true;
+      expect((await postChat()).status).toBe(200);
+
+      config.rateLimits.failOpen = false;
+      const refused = await postChat();
+      expect(refused.status).toBe(503);
+      expect(refused.body.error.code).toBe('rate_limit_unavailable');
+      expect(refused.headers['retry-after']).toBe('1');
+    });
+  });
+
+  describe('RateLimiter', () => {
+    const req = { originalApiKey: 'sliding-api-key' };
+
+    it('should slide the previous minute out of the window', async () => {
+      const limiter = new RateLimiter({ default: { requests_per_minute: 10 }, store: new MemoryStore() });
+      for (let i = 0; i < 10; i++) {
+        expect((await limiter.take(req, ['requests'], 60000)).allowed).toBe(true);
+      }
+
+      const limited = await limiter.take(req, ['requests'], 60000);
+      expect(limited.allowed).toBe(false);
+      expect(limited.limited.retryAfterMs).toBe(66000);
+
+      // Half a minute into the next one, half of the previous minute still counts
+      const later = await limiter.take(req, ['requests'], 150000);
+      expect(later.allowed).toBe(true);
+      expect(later.requests).toMatchObject({ used: 6, remaining: 4 });
+    });
+
+    it('should reject invalid tiers', () => {
+      expect(() => new RateLimiter({ tiers: '{"free": {"requests_per_minute": 0}}' })).toThrow(/Invalid RATE_LIMIT_TIERS/);
+      expect(() => new RateLimiter({ tiers: 'not json' })).toThrow(/Invalid RATE_LIMIT_TIERS/);
+    });
+
+    it('should format durations like OpenAI', () => {
+      expect(formatDuration(20)).toBe('20ms');
+      expect(formatDuration(1500)).toBe('1.5s');
+      expect(formatDuration(360000)).toBe('6m0s');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+jest.mock('../src/services/logger.js');
+
+import { config } from '../src/config/index.js';
+import { logger } from '../src/services/logger.js';
+import { translateOpenAIToQolaba } from '../src/utils/translator.js';
+
+const modelConfig = { llm: 'OpenAI', llm_model: 'gpt-4.1-mini-2025-04-14', provider: 'OpenAI' };
+
+const messages = [
+  { role: 'system', content: 'You are a narrator.' },
+  { role: 'developer', content: 'Write in the past tense.' },
+  { role: 'user', content: 'Begin the story.' },
+  { role: 'assistant', content: 'Once upon a time...' },
+  { role: 'system', content: 'The hero is now in a forest.' },
+  { role: 'user', content: 'Continue.' }
+];
+
+describe('System message policy', () => {
+  const originalPolicy = config.systemMessages.policy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    config.systemMessages.policy = originalPolicy;
+  });
+
+  describe('concatenate', () => {
+    beforeEach(() => {
+      config.systemMessages.policy = 'concatenate';
+    });
+
+    it('should merge every system and developer message into system_msg', () => {
+      const payload = translateOpenAIToQolaba({ messages }, modelConfig);
+
+      expect(payload.system_msg).toBe(
+        'You are a narrator.\n\nWrite in the past tense.\n\nThe hero is now in a forest.'
+      );
+    });
+
+    it('should keep system and developer messages out of history', () => {
+      const payload = translateOpenAIToQolaba({ messages }, modelConfig);
+
+      expect(payload.history.map(entry => entry.role)).toEqual(['user', 'assistant', 'user']);
+      expect(payload.history.map(entry => entry.content.text)).toEqual([
+        'Begin the story.',
+        'Once upon a time...',
+        'Continue.'
+      ]);
+    });
+
+    it('should merge array-form developer content', () => {
+      const payload = translateOpenAIToQolaba({
+        messages: [
+          { role: 'developer', content: [{ type: 'text', text: 'Be brief.' }] },
+          { role: 'user', content: 'Hi' }
+        ]
+      }, modelConfig);
+
+      expect(payload.system_msg).toBe('Be brief.');
+      expect(payload.history).toHaveLength(1);
+    });
+  });
+
+  describe('inline', () => {
+    beforeEach(() => {
+      config.systemMessages.policy = 'inline';
+    });
+
+    it('should put only the leading system and developer messages in system_msg', () => {
+      const payload = translateOpenAIToQolaba({ messages }, modelConfig);
+
+      expect(payload.system_msg).toBe('You are a narrator.\n\nWrite in the past tense.');
+    });
+
+    it('should keep later system messages in position as notes', () => {
+      const payload = translateOpenAIToQolaba({ messages }, modelConfig);
+
+      expect(payload.history.map(entry => entry.role)).toEqual(['user', 'assistant', 'user', 'user']);
+      expect(payload.history[2].content.text).toBe('[System note: The hero is now in a forest.]');
+      expect(payload.history[3].content.text).toBe('Continue.');
+      expect(payload.last_user_query).toBe('Continue.');
+    });
+  });
+
+  it('should report the applied policy in debug logs', () => {
+    config.systemMessages.policy = 'inline';
+
+    translateOpenAIToQolaba({ messages, requestId: 'req-1' }, modelConfig);
+
+    expect(logger.debug).toHaveBeenCalledWith('Applied system message policy', {
+      requestId: 'req-1',
+      policy: 'inline',
+      systemMessages: 3,
+      mergedIntoSystemMsg: 2,
+      keptInline: 1
+    });
+  });
+
+  it('should not log the policy when there are no system messages', () => {
+    translateOpenAIToQolaba({ messages: [{ role: 'user', content: 'Hi' }] }, modelConfig);
+
+    expect(logger.debug).not.toHaveBeenCalledWith('Applied system message policy', expect.anything());
+  });
+});
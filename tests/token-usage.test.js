@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { PassThrough } from 'stream';
+
+// Mock axios so QolabaApiClient talks to canned responses
+const mockPost = jest.fn();
+jest.mock('axios', () => ({
+  __esModule: true,
+  default: {
+    create: () => ({
+      post: mockPost,
+      get: jest.fn(),
+      interceptors: { request: { use: () => {} }, response: { use: () => {} } }
+    })
+  }
+}));
+jest.mock('../src/services/logger.js');
+
+import { QolabaApiClient } from '../src/services/qolaba.js';
+import {
+  countTokens,
+  countPromptTokens,
+  resolveUsage,
+  getUsageSource
+} from '../src/utils/tokenizer.js';
+
+const payload = {
+  llm: 'OpenAI',
+  llm_model: 'gpt-4.1-mini-2025-04-14',
+  system_msg: 'You are helpful.',
+  history: [{ role: 'user', content: { text: 'Hello, world!', image_data: [] } }]
+};
+
+// Feed SSE lines to a stream once the client has attached its listeners
+const streamResponse = (lines, { done = true } = {}) => {
+  const stream = new PassThrough();
+  setImmediate(() => {
+    lines.forEach(line => stream.write(`data: ${line}\n`));
+    if (done) {
+      stream.write('data: [DONE]\n');
+    }
+    stream.end();
+  });
+  return { status: 200, data: stream };
+};
+
+describe('Token usage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Tokenizer', () => {
+    it('should count o200k_base tokens for OpenAI models', () => {
+      expect(countTokens('Hello, world!', 'OpenAI')).toBe(4);
+      expect(countTokens('', 'OpenAI')).toBe(0);
+    });
+
+    it('should scale counts for other provider families', () => {
+      const base = countTokens('The quick brown fox jumps over the lazy dog.', 'OpenAI');
+
+      expect(countTokens('The quick brown fox jumps over the lazy dog.', 'ClaudeAI')).toBe(Math.ceil(base * 1.2));
+      expect(countTokens('The quick brown fox jumps over the lazy dog.', 'UnknownAI')).toBe(Math.ceil(base * 1.1));
+    });
+
+    it('should count special token markers as plain text', () => {
+      expect(countTokens('<|endoftext|>', 'OpenAI')).toBeGreaterThan(1);
+    });
+
+    it('should count system_msg, history and images in the prompt', () => {
+      // priming + system (3 + 4) + user (3 + 4)
+      expect(countPromptTokens(payload)).toBe(17);
+
+      const withImage = {
+        ...payload,
+        history: [{ role: 'user', content: { text: 'Hello, world!', image_data: [{ url: 'https://example.com/a.png', details: 'low' }] } }]
+      };
+      expect(countPromptTokens(withImage)).toBe(17 + 85);
+    });
+  });
+
+  describe('resolveUsage', () => {
+    it('should keep counts reported upstream', () => {
+      expect(resolveUsage({ promptTokens: 20, completionTokens: 5 }, payload, 'Hi')).toEqual({
+        promptTokens: 20,
+        completionTokens: 5,
+        totalTokens: 25,
+        source: 'upstream'
+      });
+    });
+
+    it('should count missing values locally as integers', () => {
+      const usage = resolveUsage({ promptTokens: 0, completionTokens: 0 }, payload, 'Hello, world!');
+
+      expect(usage).toEqual({ promptTokens: 17, completionTokens: 4, totalTokens: 21, source: 'estimated' });
+    });
+
+    it('should mark partially reported usage as estimated', () => {
+      const usage = resolveUsage({ completionTokens: 7 }, payload, 'Hello, world!');
+
+      expect(usage).toMatchObject({ promptTokens: 17, completionTokens: 7, source: 'estimated' });
+    });
+
+    it('should combine the source of several calls', () => {
+      expect(getUsageSource([{ source: 'upstream' }, { source: 'upstream' }])).toBe('upstream');
+      expect(getUsageSource([{ source: 'upstream' }, { source: 'estimated' }])).toBe('estimated');
+    });
+  });
+
+  describe('QolabaApiClient', () => {
+    it('should estimate usage for streams that end with [DONE]', async () => {
+      mockPost.mockResolvedValue(streamResponse([
+        JSON.stringify({ output: 'Hello, ' }),
+        JSON.stringify({ output: 'world!' })
+      ]));
+
+      const result = await new QolabaApiClient('test-key').streamChat(payload, () => {});
+
+      expect(result.output).toBe('Hello, world!');
+      expect(result.usage).toEqual({ promptTokens: 17, completionTokens: 4, totalTokens: 21, source: 'estimated' });
+    });
+
+    it('should estimate usage for streams that end without a completion marker', async () => {
+      mockPost.mockResolvedValue(streamResponse([JSON.stringify({ output: 'Hello, world!' })], { done: false }));
+
+      const result = await new QolabaApiClient('test-key').streamChat(payload, () => {});
+
+      expect(Number.isInteger(result.usage.completionTokens)).toBe(true);
+      expect(result.usage).toMatchObject({ promptTokens: 17, completionTokens: 4, source: 'estimated' });
+    });
+
+    it('should use counts from the final stream message', async () => {
+      mockPost.mockResolvedValue(streamResponse([
+        JSON.stringify({ output: 'Hello, world!' }),
+        JSON.stringify({ output: null, promptTokens: 30, completionTokens: 6 })
+      ], { done: false }));
+
+      const result = await new QolabaApiClient('test-key').streamChat(payload, () => {});
+
+      expect(result.usage).toEqual({ promptTokens: 30, completionTokens: 6, totalTokens: 36, source: 'upstream' });
+    });
+
+    it('should fill in usage missing from chat responses', async () => {
+      mockPost.mockResolvedValue({ status: 200, data: { output: 'Hello, world!' } });
+
+      const result = await new QolabaApiClient('test-key').chat(payload);
+
+      expect(result.usage).toEqual({ promptTokens: 17, completionTokens: 4, totalTokens: 21, source: 'estimated' });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+
+// Mock external dependencies to avoid actual HTTP requests
+jest.mock('../src/services/qolaba.js');
+jest.mock('../src/services/logger.js');
+
+import { config } from '../src/config/index.js';
+import { RetryHelper, providerCircuitBreakers } from '../src/utils/retryHelper.js';
+import { concurrencyMonitor } from '../src/utils/concurrencyMonitor.js';
+
+const { QolabaApiClient: RealClient } = jest.requireActual('../src/services/qolaba.js');
+
+const payload = { llm: 'OpenAI', llm_model: 'gpt-4.1-mini-2025-04-14', history: [], last_user_query: 'Hi' };
+const reply = { status: 200, data: { output: 'Hi' } };
+
+const upstreamError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+const connectionReset = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+const createClient = (requestId) => {
+  const client = new RealClient('test-key', { requestId });
+  client.client.post = jest.fn();
+  return client;
+};
+
+describe('Upstream retries', () => {
+  const retry = config.retry;
+  let sleep;
+
+  beforeAll(() => {
+    config.retry = {
+      chat: { maxRetries: 2, initialDelay: 10, maxDelay: 100, maxRetryAfter: 5000 },
+      stream: { maxRetries: 1, initialDelay: 10, maxDelay: 100, maxRetryAfter: 5000 }
+    };
+  });
+
+  afterAll(() => {
+    config.retry = retry;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sleep = jest.spyOn(RetryHelper.prototype, 'sleep').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    sleep.mockRestore();
+    providerCircuitBreakers.reset();
+  });
+
+  describe('RetryHelper', () => {
+    it('should read Retry-After in seconds or as a date', () => {
+      const helper = new RetryHelper();
+
+      expect(helper.getRetryAfter(upstreamError(503, { 'retry-after': '3' }))).toBe(3000);
+      expect(helper.getRetryAfter(upstreamError(503, { 'retry-after': new Date(Date.now() + 60000).toUTCString() }))).toBeGreaterThan(58000);
+      expect(helper.getRetryAfter(upstreamError(503))).toBe(0);
+    });
+
+    it('should wait at least as long as Retry-After asks', () => {
+      const helper = new RetryHelper({ initialDelay: 10, maxDelay: 100 });
+
+      expect(helper.calculateDelay(1, upstreamError(503, { 'retry-after': '2' }))).toBe(2000);
+      expect(helper.calculateDelay(1)).toBeLessThan(100);
+    });
+
+    it('should not retry when Retry-After is longer than the policy allows', () => {
+      const helper = new RetryHelper({ maxRetryAfter: 5000 });
+
+      expect(helper.shouldRetry(upstreamError(503, { 'retry-after': '60' }), 0)).toBe(false);
+      expect(helper.shouldRetry(upstreamError(503, { 'retry-after': '1' }), 0)).toBe(true);
+    });
+
+    it('should allow turning retries off', () => {
+      expect(new RetryHelper({ maxRetries: 0 }).shouldRetry(connectionReset(), 0)).toBe(false);
+    });
+  });
+
+  describe('chat', () => {
+    it('should retry a connection reset', async () => {
+      const client = createClient();
+      client.client.post.mockRejectedValueOnce(connectionReset()).mockResolvedValueOnce(reply);
+
+      await expect(client.chat(payload)).resolves.toMatchObject({ output: 'Hi' });
+      expect(client.client.post).toHaveBeenCalledTimes(2);
+    });
+
+    it('should honor the upstream Retry-After', async () => {
+      const client = createClient();
+      client.client.post.mockRejectedValueOnce(upstreamError(503, { 'retry-after': '2' })).mockResolvedValueOnce(reply);
+
+      await client.chat(payload);
+
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('should retry a 429 answer after its Retry-After', async () => {
+      const client = createClient();
+      client.client.post
+        .mockResolvedValueOnce({ status: 429, headers: { 'retry-after': '3' }, data: { error: { message: 'Too many requests' } } })
+        .mockResolvedValueOnce(reply);
+
+      await expect(client.chat(payload)).resolves.toMatchObject({ output: 'Hi' });
+      expect(client.client.post).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(3000);
+      expect(providerCircuitBreakers.get('OpenAI').failureCount).toBe(0);
+    });
+
+    it('should fail with the upstream status when 429 persists', async () => {
+      const client = createClient();
+      client.client.post.mockResolvedValue({ status: 429, headers: { 'retry-after': '60' }, data: {} });
+
+      await expect(client.chat(payload)).rejects.toMatchObject({ statusCode: 429, response: { status: 429 } });
+      expect(client.client.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the policy\'s retries', async () => {
+      const client = createClient();
+      client.client.post.mockRejectedValue(upstreamError(502));
+
+      await expect(client.chat(payload)).rejects.toThrow(/502/);
+      expect(client.client.post).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry client errors', async () => {
+      const client = createClient();
+      client.client.post.mockRejectedValue(upstreamError(400));
+
+      await expect(client.chat(payload)).rejects.toThrow();
+      expect(client.client.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record every attempt in the concurrency monitor', async () => {
+      const requestId = 'retry-test-request';
+      const before = await concurrencyMonitor.getMetrics();
+      concurrencyMonitor.registerRequest(requestId, { type: 'test' });
+      const client = createClient(requestId);
+      client.client.post.mockRejectedValueOnce(upstreamError(504)).mockResolvedValueOnce(reply);
+
+      await client.chat(payload);
+
+      expect(concurrencyMonitor.getRequestDetails(requestId).attempts).toEqual([
+        expect.objectContaining({ operation: 'chat', attempt: 1, outcome: 'failed', statusCode: 504 }),
+        expect.objectContaining({ operation: 'chat', attempt: 2, outcome: 'success' })
+      ]);
+      expect((await concurrencyMonitor.getMetrics()).upstreamRetries).toBe(before.upstreamRetries + 1);
+      concurrencyMonitor.cleanupRequest(requestId);
+    });
+  });
+
+  describe('streamChat', () => {
+    it('should retry a stream that failed before its first chunk', async () => {
+      const client = createClient();
+      const onChunk = jest.fn();
+      client.streamChatUpstream = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Connection reset during streaming'), { code: 'ECONNRESET' }))
+        .mockImplementationOnce(async (streamPayload, callback) => {
+          callback({ output: 'Hi', done: false });
+          return { output: 'Hi' };
+        });
+
+      await expect(client.streamChat(payload, onChunk)).resolves.toMatchObject({ output: 'Hi' });
+      expect(onChunk).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a non-2xx /streamChat answer with its status', async () => {
+      const client = createClient();
+      const data = { destroy: jest.fn() };
+      client.client.post
+        .mockResolvedValueOnce({ status: 429, headers: { 'retry-after': '1' }, data })
+        .mockResolvedValueOnce({ status: 401, headers: {}, data });
+
+      await expect(client.streamChat(payload, () => {})).rejects.toMatchObject({ statusCode: 401 });
+      expect(client.client.post).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(1000);
+      expect(data.destroy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry once a chunk has been passed on', async () => {
+      const client = createClient();
+      client.streamChatUpstream = jest.fn().mockImplementation(async (streamPayload, callback) => {
+        callback({ output: 'Hel', done: false });
+        throw Object.assign(new Error('Streaming error: aborted'), { code: 'ECONNRESET' });
+      });
+
+      await expect(client.streamChat(payload, () => {})).rejects.toThrow(/aborted/);
+      expect(client.streamChatUpstream).toHaveBeenCalledTimes(1);
+    });
+  });
+});
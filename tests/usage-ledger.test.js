@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+
+// Mock external dependencies to avoid actual HTTP requests
+jest.mock('../src/services/qolaba.js');
+jest.mock('../src/services/logger.js');
+
+import app from '../src/index.js';
+import { config } from '../src/config/index.js';
+import { QolabaApiClient } from '../src/services/qolaba.js';
+import { UsageLedger, usageLedger } from '../src/services/usageLedger.js';
+import { PriceTable, estimateCost } from '../src/services/pricing.js';
+import { virtualKeyStore } from '../src/services/virtualKeys.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-ledger-'));
+const usage = { promptTokens: 10, completionTokens: 5, totalTokens: 15, source: 'upstream' };
+const today = new Date().toISOString().slice(0, 10);
+
+const postChat = (key = 'test-api-key-1234567890', body = {}) => request(app)
+  .post('/v1/chat/completions')
+  .set('Authorization', `Bearer ${key}`)
+  .send({ model: 'gpt-4.1-mini-2025-04-14', messages: [{ role: 'user', content: 'Hello' }], ...body });
+
+const getUsage = (query = '', key = 'test-api-key-1234567890') => request(app)
+  .get(`/v1/models/usage${query}`)
+  .set('Authorization', `Bearer ${key}`);
+
+describe('Usage ledger', () => {
+  const adminKey = config.admin.apiKey;
+
+  beforeAll(() => {
+    config.admin.apiKey = 'admin-secret-key';
+    virtualKeyStore.load(path.join(tmpDir, 'keys.json'));
+  });
+
+  afterAll(() => {
+    config.admin.apiKey = adminKey;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    QolabaApiClient.prototype.chat.mockResolvedValue({ output: 'Hi', usage });
+  });
+
+  afterEach(() => {
+    usageLedger.reset();
+  });
+
+  describe('GET /v1/models/usage', () => {
+    it('should report the usage recorded for the caller\'s key', async () => {
+      await postChat();
+      await postChat(undefined, { model: 'gpt-4o-mini' });
+      await postChat('other-api-key-1234567890');
+
+      const res = await getUsage();
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ object: 'usage', start_date: `${today.slice(0, 7)}-01`, end_date: today });
+      expect(res.body.totals).toMatchObject({ requests: 2, prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+      expect(res.body.totals.cost).toBeCloseTo(estimateCost('gpt-4.1-mini-2025-04-14', usage) + estimateCost('gpt-4o-mini', usage));
+      expect(res.body.by_model.map(entry => entry.model).sort()).toEqual(['gpt-4.1-mini-2025-04-14', 'gpt-4o-mini']);
+      expect(res.body.by_day).toEqual([expect.objectContaining({ date: today, requests: 2 })]);
+      expect(res.body).not.toHaveProperty('by_key');
+    });
+
+    it('should leave the cost of models without a price unknown', async () => {
+      await postChat();
+      await postChat(undefined, { model: 'claude-sonnet-4-20250514' });
+
+      const res = await getUsage();
+
+      expect(res.body.totals).toMatchObject({ requests: 2, unpriced_requests: 1 });
+      expect(res.body.totals.cost).toBeCloseTo(estimateCost('gpt-4.1-mini-2025-04-14', usage));
+      expect(res.body.by_model.find(entry => entry.model === 'claude-sonnet-4-20250514')).toMatchObject({ cost: null, unpriced_requests: 1 });
+    });
+
+    it('should only count the days in the requested range', async () => {
+      await postChat();
+
+      const res = await getUsage('?start_date=2000-01-01&end_date=2000-01-31');
+
+      expect(res.status).toBe(200);
+      expect(res.body.totals.requests).toBe(0);
+      expect(res.body.by_day).toEqual([]);
+    });
+
+    it('should reject malformed and reversed dates', async () => {
+      const malformed = await getUsage('?start_date=yesterday');
+      expect(malformed.status).toBe(400);
+      expect(malformed.body.error.message).toMatch(/start_date/);
+
+      expect((await getUsage('?end_date=2025-02-30')).status).toBe(400);
+      expect((await getUsage('?start_date=2025-02-01&end_date=2025-01-01')).status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).get('/v1/models/usage');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /admin/usage', () => {
+    it('should break usage down per key and name virtual keys', async () => {
+      const created = await request(app)
+        .post('/admin/keys')
+        .set('x-admin-key', 'admin-secret-key')
+        .send({ label: 'agent', upstream_key: 'qolaba-upstream-key-1234567890' });
+
+      await postChat(created.body.key);
+      await postChat(created.body.key);
+      await postChat();
+
+      const res = await request(app).get('/admin/usage').set('x-admin-key', 'admin-secret-key');
+
+      expect(res.status).toBe(200);
+      expect(res.body.totals.requests).toBe(3);
+      expect(res.body.by_key).toEqual([
+        expect.objectContaining({ key: created.body.id, label: 'agent', requests: 2 }),
+        expect.objectContaining({ key: expect.stringMatching(/^key_/), label: null, requests: 1 })
+      ]);
+    });
+  });
+
+  describe('GET /v1/models/pricing', () => {
+    it('should serve the configured price table', async () => {
+      const res = await request(app).get('/v1/models/pricing');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ object: 'pricing', version: '1' });
+      expect(res.body.data.text_models['gpt-4o-mini']).toEqual({ input_tokens: 0.00015, output_tokens: 0.0003, currency: 'USD' });
+    });
+  });
+
+  describe('UsageLedger', () => {
+    it('should keep usage across restarts', () => {
+      const file = path.join(tmpDir, 'usage.json');
+      const ledger = new UsageLedger({ path: file });
+      ledger.record({ originalApiKey: 'persisted-api-key' }, 'gpt-4o-mini', usage);
+      ledger.flush();
+
+      const reloaded = new UsageLedger({ path: file });
+
+      expect(reloaded.query({ from: today, to: today }).totals).toMatchObject({ requests: 1, total_tokens: 15 });
+    });
+
+    it('should drop days past the retention period', () => {
+      const ledger = new UsageLedger({ path: null, retentionDays: 7 });
+      ledger.record({}, 'gpt-4o-mini', usage, new Date('2025-01-01T12:00:00Z'));
+      ledger.record({}, 'gpt-4o-mini', usage, new Date('2025-01-07T12:00:00Z'));
+      ledger.record({}, 'gpt-4o-mini', usage, new Date('2025-01-08T12:00:00Z'));
+
+      expect(ledger.query({ from: '2025-01-01', to: '2025-01-31' }).by_day.map(day => day.date)).toEqual(['2025-01-07', '2025-01-08']);
+    });
+  });
+
+  describe('PriceTable', () => {
+    it('should price requests from another file and keep its prices when a reload is invalid', () => {
+      const file = path.join(tmpDir, 'pricing.json');
+      fs.writeFileSync(file, JSON.stringify({ text_models: { 'custom-model': { input_tokens: 1, output_tokens: 2 } } }));
+      const table = new PriceTable({ path: file });
+
+      expect(table.estimateCost('custom-model', usage)).toBeCloseTo(0.02);
+      expect(table.estimateCost('gpt-4o-mini', usage)).toBeNull();
+
+      fs.writeFileSync(file, JSON.stringify({ text_models: { 'custom-model': { input_tokens: -1 } } }));
+      expect(() => table.load()).toThrow(/Invalid price table/);
+      expect(table.estimateCost('custom-model', usage)).toBeCloseTo(0.02);
+    });
+  });
+});